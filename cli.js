@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+// ローカルで動かすためのコマンドラインツール
+// GCP の認証情報がなくても、シークレットを環境変数やローカルのファイル (lib/secrets) から読んで実行できる
+//
+//   node cli.js garbage [--from yyyy-MM-dd] [--to yyyy-MM-dd] [--area <地区ID>]
+//   node cli.js library list
+//   node cli.js send [--dry-run] [--date yyyy-MM-dd] [--only garbage|library] [--timing evening|morning] [--mode daily|weekly] [--webhook <URL>]
+//
+// 共通のオプション: --config <設定ファイル>（省略時は CONFIG_PATH か config/config.json）、--secrets <JSON ファイル>
+const { parseArgs } = require('util');
+const { addDays, differenceInCalendarDays, format, startOfDay } = require('date-fns');
+const { ja } = require('date-fns/locale');
+
+const {
+  createLibraryReminderMessage,
+  getGarbageInfo,
+  getLibraryBooksForAccount,
+  getSecrets,
+  parseRunOptions,
+  runReminder,
+} = require('./index');
+const { loadConfig, reminderPreferences } = require('./lib/config');
+const { configureLogging } = require('./lib/logger');
+const { createRetryQueue } = require('./lib/retry');
+const { createSecretAccessor, createSecretSource } = require('./lib/secrets');
+const { createEnvSecretSource } = require('./lib/secrets/env');
+const { createStateStore } = require('./lib/state');
+const { DEFAULT_TIME_ZONE, parseZonedDate, toZonedTime } = require('./lib/time');
+
+// garbage で --to を省略した場合に表示する日数
+const DEFAULT_GARBAGE_DAYS = 7;
+
+// garbage で一度に表示できる最大の日数
+const MAX_GARBAGE_DAYS = 366;
+
+const USAGE = `使い方:
+  node cli.js garbage [--from yyyy-MM-dd] [--to yyyy-MM-dd] [--area <地区ID>]
+      期間のゴミ収集日を表示する（省略時は今日から${DEFAULT_GARBAGE_DAYS}日間）
+  node cli.js library list
+      図書館のカードごとに貸出中の本と、今日送るはずの返却期限のリマインドを表示する
+  node cli.js send [--dry-run] [--date yyyy-MM-dd] [--only garbage|library] [--timing evening|morning] [--mode daily|weekly] [--webhook <URL>]
+      discordReminder と同じ処理を実行する（--dry-run では送らずに内容を表示する。--webhook ではすべてをその Discord ウェブフックに送る。
+      --mode weekly では週間まとめを送る）
+
+共通のオプション:
+  --config <ファイル>   設定ファイル（省略時は CONFIG_PATH か config/config.json）
+  --secrets <ファイル>  シークレット名 -> 値 の JSON か .env。ファイルにないシークレットは設定の secrets
+                        (Secret Manager 以外の場合) と環境変数から読む (例: discord-webhook-url -> DISCORD_WEBHOOK_URL)
+`;
+
+/**
+ * CLI で使うシークレットを取得する関数を作る
+ * --secrets のファイル、設定の読み込み元（Secret Manager の場合を除く）、環境変数の順に探す
+ * @param {object} config 設定
+ * @param {string} [filePath] --secrets のファイル
+ * @param {object} [env] 環境変数
+ * @returns {(secretName: string) => Promise<string>} シークレットを取得する関数
+ */
+function createLocalSecretAccessor(config, filePath, env = process.env) {
+  return createSecretAccessor([
+    ...(filePath ? [createSecretSource({ backend: 'file', path: filePath })] : []),
+    ...(config.secrets.backend !== 'secret-manager' ? [createSecretSource(config.secrets)] : []),
+    createEnvSecretSource({}, env),
+  ]);
+}
+
+/**
+ * yyyy-MM-dd の引数を設定のタイムゾーンの日付にする
+ * @param {string} value 引数の値
+ * @param {string} name 引数の名前（エラーメッセージ用）
+ * @param {string} timeZone タイムゾーン
+ * @returns {Date} その日の 0 時
+ */
+function parseDateOption(value, name, timeZone) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? parseZonedDate(value, 'yyyy-MM-dd', timeZone) : null;
+  if (!date) {
+    throw new Error(`--${name} は yyyy-MM-dd 形式で指定してください。`);
+  }
+  return date;
+}
+
+/**
+ * garbage: 期間のゴミ収集日を1日1行で表示する
+ * @param {object} config 設定
+ * @param {object} values 引数
+ * @param {(line: string) => void} print 出力する関数
+ */
+function printGarbage(config, values, print) {
+  const timeZone = config.timeZone || DEFAULT_TIME_ZONE;
+  const from = values.from ? parseDateOption(values.from, 'from', timeZone) : startOfDay(toZonedTime(new Date(), timeZone));
+  const to = values.to ? parseDateOption(values.to, 'to', timeZone) : addDays(from, DEFAULT_GARBAGE_DAYS - 1);
+  const days = differenceInCalendarDays(to, from) + 1;
+  if (days < 1 || days > MAX_GARBAGE_DAYS) {
+    throw new Error(`--from から --to までは${MAX_GARBAGE_DAYS}日以内で指定してください。`);
+  }
+  const areas = values.area ? config.areas.filter(area => area.id === values.area) : config.areas;
+  if (areas.length === 0) {
+    throw new Error(`地区 "${values.area}" は設定されていません。`);
+  }
+
+  areas.forEach(area => {
+    if (areas.length > 1) print(`▼ ${area.name}`);
+    for (let i = 0; i < days; i++) {
+      const date = addDays(from, i);
+      print(`${format(date, 'yyyy-MM-dd (EEE)', { locale: ja })} ${getGarbageInfo(date, area.schedule) || '-'}`);
+    }
+  });
+}
+
+/**
+ * library list: カードごとに貸出中の本と、今日送るはずのリマインドを表示する
+ * リマインドの日数は設定全体の reminders.libraryDays を使う（通知先ごとの指定は反映しない）
+ * @param {object} config 設定
+ * @param {(secretName: string) => Promise<string>} accessSecret シークレットを取得する関数
+ * @param {(line: string) => void} print 出力する関数
+ */
+async function printLibrary(config, accessSecret, print) {
+  const today = toZonedTime(new Date(), config.timeZone || DEFAULT_TIME_ZONE);
+  const { libraryAccounts } = await getSecrets(config, { accessSecret, includeRecipients: false });
+
+  const books = [];
+  for (const account of libraryAccounts) {
+    const accountBooks = await getLibraryBooksForAccount(account);
+    print(`▼ ${account.name || 'カード'} (${accountBooks.length}冊)`);
+    accountBooks.forEach(book => print(`${format(book.returnDate, 'yyyy/MM/dd')} ${book.title}`));
+    books.push(...accountBooks);
+  }
+
+  const reminder = createLibraryReminderMessage(books, today, reminderPreferences(config, {}).libraryDays);
+  print('');
+  print(reminder ? reminder.text : '今日送る返却期限のリマインドはありません。');
+}
+
+/**
+ * send: discordReminder と同じ処理を実行し、送った（--dry-run では送るはずの）メッセージを表示する
+ * Firestore の状態はローカルでは使わない（設定の state が file の場合だけ使う）
+ * 図書館の再試行も Cloud Tasks には登録せず、待ち時間の後にこのプロセスで実行する
+ * @param {object} config 設定
+ * @param {object} values 引数
+ * @param {(secretName: string) => Promise<string>} accessSecret シークレットを取得する関数
+ * @param {(line: string) => void} print 出力する関数
+ */
+async function send(config, values, accessSecret, print) {
+  const options = parseRunOptions({
+    date: values.date,
+    dryRun: values['dry-run'] ? 'true' : undefined,
+    only: values.only,
+    timing: values.timing,
+    mode: values.mode,
+  }, config);
+
+  const secrets = await getSecrets(config, { accessSecret, includeRecipients: !values.webhook });
+  if (values.webhook) {
+    // テスト用のチャンネルなどに、すべての通知をまとめて送る
+    secrets.recipients = [{ name: 'CLI', type: 'discord', webhookUrl: values.webhook }];
+  }
+  const stateStore = createStateStore(config.state && config.state.backend === 'file' ? config.state : undefined);
+
+  const retryQueue = createRetryQueue({ backend: 'memory' });
+
+  const printResult = result => {
+    print(`${result.date} (${result.timing})${result.mode === 'weekly' ? ' [weekly]' : ''}${result.dryRun ? ' [dry run]' : ''}: ${result.notifications.length}件`);
+    result.notifications.forEach(notification => {
+      print('');
+      print(`--- ${notification.recipient} (${notification.type}) ${notification.topic}${notification.areaId ? ` / ${notification.areaId}` : ''}`);
+      print(notification.text);
+    });
+  };
+
+  printResult(await runReminder({ ...options, config, secrets, stateStore, retryQueue }));
+  await retryQueue.drain(async params => {
+    const retryOptions = parseRunOptions(params, config);
+    print('');
+    print(`=== 図書館の再試行 (${retryOptions.retry.attempt}回目)`);
+    printResult(await runReminder({ ...retryOptions, config, secrets, stateStore, retryQueue }));
+  });
+}
+
+/**
+ * コマンドを実行する
+ * @param {string[]} argv コマンドライン引数（node と cli.js を除いたもの）
+ * @param {object} [io]
+ * @param {(line: string) => void} [io.print] 結果を出力する関数（省略時は標準出力）
+ * @param {object} [io.env] 環境変数（シークレットの読み込みに使う）
+ * @returns {Promise<number>} 終了コード
+ */
+async function main(argv, { print = line => process.stdout.write(`${line}\n`), env = process.env } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        config: { type: 'string' },
+        secrets: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        area: { type: 'string' },
+        date: { type: 'string' },
+        only: { type: 'string' },
+        timing: { type: 'string' },
+        mode: { type: 'string' },
+        webhook: { type: 'string' },
+        'dry-run': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const command = positionals.join(' ');
+  if (values.help || !['garbage', 'library list', 'send'].includes(command)) {
+    process.stderr.write(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  // 結果の出力と混ざらないよう、ログは標準エラーに出す（LOG_LEVEL / LOG_REDACT は関数と同じ）
+  configureLogging({ write: line => process.stderr.write(`${line}\n`) });
+
+  try {
+    const config = loadConfig(values.config || env.CONFIG_PATH || undefined);
+    const accessSecret = createLocalSecretAccessor(config, values.secrets, env);
+    if (command === 'garbage') {
+      printGarbage(config, values, print);
+    } else if (command === 'library list') {
+      await printLibrary(config, accessSecret, print);
+    } else {
+      await send(config, values, accessSecret, print);
+    }
+    return 0;
+  } catch (error) {
+    process.stderr.write(`エラー: ${error.message}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  createLocalSecretAccessor,
+  main,
+};
@@ -1,113 +1,125 @@
-// Google Cloud Secret Manager クライアントライブラリをインポート
-const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
 // date-fns から必要な関数をインポート
-const { addDays, getDay, getDate, format, differenceInCalendarDays, parse } = require('date-fns');
-// 注意: タイムゾーンを正確に扱う場合は date-fns-tz の導入も検討
-// const { zonedTimeToUtc, utcToZonedTime, format } = require('date-fns-tz');
-// const japanTimeZone = 'Asia/Tokyo';
-const axios = require('axios');     // axios をインポート
-const cheerio = require('cheerio'); // cheerio をインポート
+const { addDays, format, isValid, differenceInCalendarDays, parse, startOfDay } = require('date-fns');
+const { ja } = require('date-fns/locale');
+const { getGarbageCollection } = require('./lib/garbage-schedule');
+const { DEFAULT_REMINDERS, loadConfig, reminderPreferences } = require('./lib/config');
+const { createCalendar } = require('./lib/ics');
+const { createLibraryAdapter } = require('./lib/library');
+const { detectPageIssues } = require('./lib/library/page-structure');
+const { EMBED_COLORS, createMessage, createNotice, joinMessages } = require('./lib/discord');
+const { DIGEST_TOPIC, NOTIFIER_TYPES, isSubscribed, notifyRecipients } = require('./lib/notifiers');
+const { createSecretAccessor, createSecretSource } = require('./lib/secrets');
+const {
+  EPHEMERAL_FLAG, INTERACTION_TYPES, RESPONSE_TYPES, createMessageResponse, editOriginalResponse, getCommandOptions,
+  sendFollowUpMessages, verifyInteractionSignature,
+} = require('./lib/interactions');
+const { createRetryQueue, formatDelay, retryDelayMs } = require('./lib/retry');
+const { createLogger } = require('./lib/logger');
+const {
+  createStateStore, diffLoans, loadNotifiedReservations, loadPageStructure, loadPreviousLoans, loadSentLog,
+  reservationKey, saveLoans, saveNotifiedReservations, savePageStructure,
+} = require('./lib/state');
+const { DEFAULT_TIME_ZONE, parseZonedDate, toZonedTime } = require('./lib/time');
+const crypto = require('crypto');
 
-// Secret Manager クライアントを初期化
-const client = new SecretManagerServiceClient();
+const logger = createLogger('reminder');
 
 /**
- * Secret Manager から最新バージョンのシークレットの値を取得する関数
- * @param {string} secretName シークレット名 (例: 'library-id')
- * @returns {Promise<string>} シークレットの値
+ * 設定の読み込み元 (secrets) からシークレットを取得する関数を作る
+ * @param {object} [config] 設定（省略時は config/config.json）
+ * @returns {(secretName: string) => Promise<string>} シークレットを取得する関数
  */
-async function accessSecretVersion(secretName) {
-  // Google Cloud プロジェクト ID を自動で取得するか、環境変数などから設定
-  // 注意: 'YOUR_PROJECT_ID' は実際のプロジェクト ID に置き換えるか、
-  // Cloud Functions 環境では自動で設定されることが多いです。
-  // ローカルテスト用に process.env.GOOGLE_CLOUD_PROJECT を設定することもできます。
-  const projectId = process.env.GOOGLE_CLOUD_PROJECT || 'learngcp-455101';
-  const name = `projects/${projectId}/secrets/${secretName}/versions/latest`;
-
-  try {
-    // シークレットの値にアクセス
-    const [version] = await client.accessSecretVersion({ name: name });
-
-    // ペイロードは Base64 エンコードされているのでデコードする
-    const payload = version.payload.data.toString('utf8');
-    console.log(`Successfully accessed secret: ${secretName}`); // ログ出力（デバッグ用）
-    return payload;
-  } catch (error) {
-    console.error(`Error accessing secret ${secretName}:`, error);
-    throw new Error(`Failed to access secret ${secretName}`);
-  }
+function createConfiguredSecretAccessor(config = getConfig()) {
+  return createSecretAccessor([createSecretSource(config.secrets)]);
 }
 
 /**
  * 必要な全てのシークレットを取得する関数（例）
+ * @param {object} [config] 設定（省略時は config/config.json）。通知先や図書館カードのシークレット名もここから決まる
+ * @param {object} [options]
+ * @param {(secretName: string) => Promise<string>} [options.accessSecret] シークレットを取得する関数（省略時は設定の secrets の読み込み元）
+ * @param {boolean} [options.includeRecipients] false の場合は図書館のカードのシークレットだけを取得する（recipients は空になる）
  * @returns {Promise<object>} 取得したシークレットを含むオブジェクト
  */
-async function getSecrets() {
+async function getSecrets(config = getConfig(), { accessSecret = createConfiguredSecretAccessor(config), includeRecipients = true } = {}) {
+  const recipients = includeRecipients ? config.recipients : [];
+  // 通知先のシークレット名の項目 (例: webhookSecret) -> 値を入れる項目 (例: webhookUrl)
+  const recipientSecrets = recipient => Object.entries(NOTIFIER_TYPES[recipient.type].secrets);
+
+  // 通知先や図書館カードは同じシークレットを共有することがあるので重複を除いて取得
+  const secretNames = [...new Set([
+    ...recipients.flatMap(recipient => recipientSecrets(recipient).map(([secretKey]) => recipient[secretKey])),
+    ...config.libraryAccounts.flatMap(account => [account.idSecret, account.passwordSecret]),
+  ])];
+
   // 並行してシークレットを取得
-  const [libraryId, libraryPassword, discordWebhookUrl] = await Promise.all([
-    accessSecretVersion('library-id'),
-    accessSecretVersion('library-password'),
-    accessSecretVersion('discord-webhook-url'),
-  ]);
+  const values = await Promise.all(secretNames.map(secretName => accessSecret(secretName)));
+  const secretOf = secretName => values[secretNames.indexOf(secretName)];
 
   return {
-    libraryId,
-    libraryPassword,
-    discordWebhookUrl,
+    // 通知先（設定にシークレットの値を加えたもの。例: Discord なら webhookUrl）
+    recipients: recipients.map(recipient => {
+      const withSecrets = { ...recipient };
+      recipientSecrets(recipient).forEach(([secretKey, valueKey]) => {
+        withSecrets[valueKey] = secretOf(recipient[secretKey]);
+      });
+      return withSecrets;
+    }),
+    // 図書館のカード（表示名と利用者番号・パスワード）
+    libraryAccounts: config.libraryAccounts.map(account => ({
+      name: account.name,
+      libraryId: secretOf(account.idSecret),
+      libraryPassword: secretOf(account.passwordSecret),
+      adapter: account.adapter,
+      // 図書館のサイトの日付は、基準日と同じ設定のタイムゾーンの暦で読み取る
+      adapterOptions: { ...account.adapterOptions, timeZone: config.timeZone || DEFAULT_TIME_ZONE },
+      autoRenew: account.autoRenew === true,
+    })),
   };
 }
 
-// --- ここからゴミ出し情報判定ロジック ---
+// 設定は初回のみ読み込む (環境変数 CONFIG_PATH で別のファイルを指定可能)
+let config = null;
 
 /**
- * 指定された日付（JST基準と仮定）の河内長野市小塩町のゴミ収集情報を取得する
- * @param {Date} targetDate ゴミ収集情報を知りたい日付
- * @returns {string | null} ゴミの種類（複数ある場合は「、」で連結）、収集がない場合は null
+ * 設定を取得する（初回のみファイルを読み込んで検証）
+ * @returns {object} 検証済みの設定
  */
-function getGarbageInfo(targetDate) {
-  const garbageTypes = []; // その日のゴミ種類を格納する配列
-
-  // date-fns を使って日付情報を取得
-  const dayOfWeek = getDay(targetDate);     // 曜日 (0 = 日曜, 1 = 月曜, ..., 6 = 土曜)
-  const dateOfMonth = getDate(targetDate);   // 日にち (1から31)
+function getConfig() {
+  if (!config) {
+    config = loadConfig();
+    logger.info('Config loaded', { areas: config.areas.map(area => area.id) });
+  }
+  return config;
+}
 
-  // 月の第何週かを正確に計算 (旧ロジック削除)
-  // const firstDayOfMonth = new Date(targetDate.getFullYear(), targetDate.getMonth(), 1).getDay();  // 月初日の曜日
-  // const weekOfMonth = Math.ceil((dateOfMonth + firstDayOfMonth) / 7);
+// --- ここからゴミ出し情報判定ロジック ---
 
-  // デバッグ用ログ（必要に応じてコメントアウト）
-  // console.log(`Checking garbage for: ${format(targetDate, 'yyyy-MM-dd')}, DayOfWeek: ${dayOfWeek}, DateOfMonth: ${dateOfMonth}`);
+// 収集ルールはコードではなくスケジュールファイル (config/schedules/*.json) で定義し、
+// どの地区がどのファイルを使うかは config/config.json の areas で指定する
 
-  // 燃えるゴミ: 水曜(3) または 土曜(6)
-  if (dayOfWeek === 3 || dayOfWeek === 6) {
-    garbageTypes.push('燃えるゴミ');
+/**
+ * 地区のゴミ収集スケジュールを取得する
+ * @param {string} [areaId] 地区 ID（省略時は設定の先頭の地区）
+ * @returns {object} 検証済みのスケジュール定義
+ */
+function getGarbageSchedule(areaId) {
+  const { areas } = getConfig();
+  const area = areaId ? areas.find(a => a.id === areaId) : areas[0];
+  if (!area) {
+    throw new Error(`地区 "${areaId}" は設定されていません。`);
   }
+  return area.schedule;
+}
 
-  // 火曜日(2)の特別収集チェック
-  if (dayOfWeek === 2) {
-    // その月で何回目の火曜日かを計算
-    const tuesdayOccurrence = Math.floor((dateOfMonth - 1) / 7) + 1;
-    // console.log(`Tuesday Occurrence: ${tuesdayOccurrence}`); // デバッグ用
-
-    if (tuesdayOccurrence === 1) {
-      // 第1火曜
-      garbageTypes.push('ペットボトル');
-      garbageTypes.push('プラスチック製容器包装');
-    }
-    if (tuesdayOccurrence === 2) {
-      // 第2火曜
-      garbageTypes.push('燃えないゴミ');
-    }
-    if (tuesdayOccurrence === 3) {
-      // 第3火曜
-      garbageTypes.push('プラスチック製容器包装');
-    }
-    if (tuesdayOccurrence === 4) {
-      // 第4火曜
-      garbageTypes.push('カン・ビン・小型金属・古紙・古布');
-    }
-    // 注意: 第5火曜は収集なし
-  }
+/**
+ * 指定された日付（設定のタイムゾーンの暦の日付）のゴミ収集情報を取得する
+ * @param {Date} targetDate ゴミ収集情報を知りたい日付
+ * @param {object} [schedule] スケジュール定義（省略時は設定の先頭の地区のスケジュール）
+ * @returns {string | null} ゴミの種類（複数ある場合は「、」で連結）、収集がない場合は null
+ */
+function getGarbageInfo(targetDate, schedule = getGarbageSchedule()) {
+  const garbageTypes = getGarbageCollection(schedule, targetDate).types;
 
   // 収集があるかチェック
   if (garbageTypes.length > 0) {
@@ -117,842 +129,1444 @@ function getGarbageInfo(targetDate) {
   }
 }
 
+/**
+ * 振替・休止・臨時収集を含めたゴミ出しリマインドメッセージを作成する
+ * @param {Date} targetDate 収集日（夕方の実行では明日、朝の実行では今日）
+ * @param {object} [schedule] スケジュール定義（省略時は設定の先頭の地区のスケジュール）
+ * @param {string} [areaName] 見出しに含める地区名（複数地区を同じチャンネルに送る場合など）
+ * @param {string} [dayLabel] 見出しでの収集日の言い方（"明日" / "今日"）
+ * @returns {{text: string, embeds: Array<object>} | null} リマインドメッセージ、収集も休止のお知らせもない場合は null
+ */
+function createGarbageReminderMessage(targetDate, schedule = getGarbageSchedule(), areaName, dayLabel = '明日') {
+  const collection = getGarbageCollection(schedule, targetDate);
+  const targetDateStr = format(targetDate, 'yyyy-MM-dd');
+  const shortDate = dateStr => format(parse(dateStr, 'yyyy-MM-dd', new Date()), 'M/d');
+  const withNote = (text, note) => (note ? `${text}・${note}` : text);
+  const heading = areaName ? `【ゴミ出し・${areaName}】` : '【ゴミ出し】';
+
+  const lines = [];
+  const embeds = [];
+  const garbageEmbed = (title, labels) => ({
+    color: EMBED_COLORS.garbage,
+    title,
+    description: labels.map(label => `・ ${label}`).join('\n'),
+  });
+  if (collection.types.length > 0) {
+    // 振替・臨時収集の場合はゴミの種類の後ろに注記する (例: "燃えるゴミ（1/3 からの振替）")
+    const labels = collection.types.map(garbage => {
+      const moved = collection.rescheduled.find(r => r.garbage === garbage);
+      if (moved) return `${garbage}（${withNote(`${shortDate(moved.from)} からの振替`, moved.note)}）`;
+      const extra = collection.extra.find(e => e.garbage === garbage);
+      if (extra) return `${garbage}（${withNote('臨時収集', extra.note)}）`;
+      return garbage;
+    });
+    lines.push(`${heading}${dayLabel}の収集 (${targetDateStr}): ${labels.join('、')}`);
+    embeds.push(garbageEmbed(`${heading}${dayLabel}の収集 (${targetDateStr})`, labels));
+  }
+  if (collection.cancelled.length > 0) {
+    // 本来の収集日だが休止・振替になったものを知らせる
+    const labels = collection.cancelled.map(c =>
+      `${c.garbage}（${withNote(c.to ? `${shortDate(c.to)} に振替` : '休止', c.note)}）`);
+    lines.push(`${heading}${dayLabel} (${targetDateStr}) はいつもの収集がありません: ${labels.join('、')}`);
+    embeds.push(garbageEmbed(`${heading}${dayLabel} (${targetDateStr}) はいつもの収集がありません`, labels));
+  }
+
+  return lines.length > 0 ? createMessage(lines.join('\n'), embeds) : null;
+}
+
 // --- ここから図書館スクレイピングロジック ---
+// 図書館ごとのスクレイピングの実装は lib/library/ のアダプターにある
+
+// 返却期限の何日前に自動延長するか（reminders.libraryDays の既定の「3日後」と合わせる）
+const RENEWAL_DAYS_BEFORE_DUE = 3;
+
+// 返却期限切れの催促の段階（最も長く延滞している本の超過日数で決める。minDays の大きい順）
+// 本が貸出一覧から消えるまで毎日送り、延滞が長引くほど文面を強め、mention の段階からは通知先の mentions に呼びかける
+const OVERDUE_LEVELS = [
+  { minDays: 7, color: EMBED_COLORS.error, mention: true, notice: '🚨 1週間以上延滞しています。至急返却してください。' },
+  { minDays: 3, color: EMBED_COLORS.overdue, mention: true, notice: '⚠️ 延滞が続いています。早めに返却してください。' },
+  { minDays: 1, color: EMBED_COLORS.overdue, mention: false, notice: '返却期限を過ぎています。返却をお忘れなく。' },
+];
+
+/**
+ * 図書館サイトにログインし、そのセッションで処理を行う
+ * 失敗した場合は詳細をログに出し、利用者向けのメッセージのエラーにして投げ直す
+ * @param {import('./lib/library').LibraryAdapter} adapter 図書館アダプター
+ * @param {string} libraryId 利用者番号
+ * @param {string} libraryPassword パスワード
+ * @param {string} errorMessage 失敗時に投げるエラーのメッセージ
+ * @param {(session: object) => Promise<any>} task ログイン済みのセッションで行う処理
+ * @returns {Promise<any>} task の戻り値
+ */
+async function withLibrarySession(adapter, libraryId, libraryPassword, errorMessage, task) {
+  if (adapter.validateCredentials) {
+    adapter.validateCredentials(libraryId, libraryPassword);
+  }
+
+  try {
+    const session = await adapter.login(libraryId, libraryPassword);
+    return await task(session);
+
+  } catch (error) {
+    // エラーレスポンスがあればステータスも残す（本文は個人情報を含むので出さない）
+    logger.error('Error fetching library data', { error, status: error.response ? error.response.status : undefined });
+    throw new Error(errorMessage);
+  }
+}
 
 /**
- * 河内長野市立図書館サイトにログインし、貸出中の書籍情報を取得する
+ * 図書館サイト（省略時は河内長野市立図書館）にログインし、貸出中の書籍情報を取得する
  * @param {string} libraryId 利用者番号
  * @param {string} libraryPassword パスワード
+ * @param {import('./lib/library').LibraryAdapter} [adapter] 図書館アダプター
  * @returns {Promise<Array<{title: string, returnDate: Date}>>} 書籍情報の配列
  */
-async function getLibraryBooks(libraryId, libraryPassword) {
-  // HTTPSを使用するように修正
-  const baseUrl = 'https://www1.city.kawachinagano.lg.jp/WebOpac/webopac';
-  const loginUrl = `${baseUrl}/login.do`;
-  const indexUrl = `${baseUrl}/index.do`;  // トップページ
-  const userMenuUrl = `${baseUrl}/usermenu.do`; // 正しいログインフォームページ
-  const homeUrl = `${baseUrl}/home.do`;    // ホームページ
-  const myPageUrl = `${baseUrl}/user.do`;  // マイページ
-  const targetUrl = `${baseUrl}/userlist.do?type=2&page=1`; // 貸出一覧
-
-  // 利用者番号が8桁の半角数字かチェック
-  if (!/^\d{8}$/.test(libraryId)) {
-    console.error('Library ID must be 8 digits number');
-    throw new Error('図書館IDは8桁の半角数字である必要があります。');
-  }
-
-  // GASスクリプトと同じようにパスワードチェックを緩和
-  // ハイフン（-）などの記号を含むパスワードも許可する
-  console.log(`Using password with length: ${libraryPassword.length}`);
-  
-  // 長さのみのチェックに変更（GASスクリプトでは特に形式チェックをしていなかった）
-  if (libraryPassword.length < 4 || libraryPassword.length > 20) {
-    console.error('Library password length should be between 4 and 20 characters');
-    throw new Error('図書館パスワードの長さが不適切です。');
-  }
-  
-  // axios で使う共通ヘッダー (より実際のブラウザに近いものに変更)
-  const headers = {
-    "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36",
-    "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7",
-    "Accept-Language": "ja,en-US;q=0.9,en;q=0.8",
-    "Accept-Encoding": "gzip, deflate, br",
-    "Connection": "keep-alive",
-    "Cache-Control": "max-age=0",
-    "Sec-Ch-Ua": "\"Google Chrome\";v=\"122\", \"Not(A:Brand\";v=\"24\", \"Chromium\";v=\"122\"",
-    "Sec-Ch-Ua-Mobile": "?0",
-    "Sec-Ch-Ua-Platform": "\"Windows\"",
-    "Sec-Fetch-Dest": "document",
-    "Sec-Fetch-Mode": "navigate",
-    "Sec-Fetch-Site": "same-origin",
-    "Sec-Fetch-User": "?1",
-    "Upgrade-Insecure-Requests": "1"
-  };
+async function getLibraryBooks(libraryId, libraryPassword, adapter = createLibraryAdapter()) {
+  return withLibrarySession(adapter, libraryId, libraryPassword,
+    '図書館の貸出情報の取得中にエラーが発生しました。', session => adapter.listLoans(session));
+}
+
+/**
+ * 図書館サイト（省略時は河内長野市立図書館）にログインし、予約中の資料の情報を取得する
+ * @param {string} libraryId 利用者番号
+ * @param {string} libraryPassword パスワード
+ * @param {import('./lib/library').LibraryAdapter} [adapter] 図書館アダプター
+ * @returns {Promise<Array<{title: string, status: string, ready: boolean, pickupDeadline: Date | null}>>} 予約情報の配列
+ */
+async function getLibraryReservations(libraryId, libraryPassword, adapter = createLibraryAdapter()) {
+  return withLibrarySession(adapter, libraryId, libraryPassword,
+    '図書館の予約情報の取得中にエラーが発生しました。', session => adapter.listReservations(session));
+}
 
-  // より詳細なデバッグ情報
-  console.log(`Using Library ID: ${libraryId.substring(0, 2)}******`); // セキュリティのため一部のみ表示
-  console.log(`Using baseUrl: ${baseUrl}`);
+/**
+ * カードの図書館アダプターを作成する
+ * 返却期限などの日付を基準日と同じ暦で比べられるよう、設定のタイムゾーンで読み取らせる
+ * @param {{adapter: string, adapterOptions?: object}} account 図書館のカード
+ * @param {string} timeZone 設定のタイムゾーン
+ * @returns {import('./lib/library').LibraryAdapter} 図書館アダプター
+ */
+function createAccountAdapter(account, timeZone) {
+  return createLibraryAdapter(account.adapter, { ...account.adapterOptions, timeZone });
+}
 
-  // ログイン試行回数を制限
-  const MAX_LOGIN_ATTEMPTS = 2;
-  let loginAttempts = 0;
-  
-  try {
-    // 最初のアクセスで一回クッキーを得ておく
-    console.log('Accessing index page to initialize session...');
-    const indexResponse = await axios.get(`${baseUrl}/index.do`, {
-      headers,
-      timeout: 10000,
-    });
-    
-    // 初期クッキーがあれば保存
-    let initialCookies = '';
-    if (indexResponse.headers['set-cookie']) {
-      initialCookies = indexResponse.headers['set-cookie']
-        .map(cookie => cookie.split(';')[0])
-        .join('; ');
-      console.log('Initial cookies obtained');
-    }
-    
-    // ユーザーがログイン前に操作する典型的なページ遷移を模倣
-    await new Promise(resolve => setTimeout(resolve, 1000)); // 1秒待機
-
-    // 重要な変更: 正しいログインフォームページ(usermenu.do)にアクセス
-    console.log('Fetching user menu page with login form...');
-    const userMenuResponse = await axios.get(userMenuUrl, { 
-      headers: {
-        ...headers,
-        'Cookie': initialCookies,
-      },
-      timeout: 10000,
-    });
-    console.log(`User menu page status: ${userMenuResponse.status}`);
-      
-    // ログインページのHTML内容の一部を出力（フォーム部分を確認するため）
-    const userMenuHtml = userMenuResponse.data;
-    
-    // 隠しフィールドの値を抽出
-    const $loginPage = cheerio.load(userMenuHtml);
-    // フォームのaction属性を取得（実際のフォーム送信先を確認）
-    const loginFormAction = $loginPage('form').attr('action');
-    console.log(`Login form action: ${loginFormAction}`);
-    
-    // FormのHiddenフィールドを取得
-    const formInputs = {};
-    $loginPage('form input[type="hidden"]').each((i, el) => {
-      const name = $loginPage(el).attr('name');
-      const value = $loginPage(el).attr('value');
-      if (name) {
-        formInputs[name] = value || '';
-      }
-    });
-    console.log('Form hidden fields:', formInputs);
-    
-    // histnumとforwardのデフォルト値を設定
-    const histnum = formInputs['histnum'] || '1';
-    const forward = formInputs['forward'] || '';
-    
-    // Cookie再取得
-    let loginPageCookies = initialCookies;
-    if (userMenuResponse.headers['set-cookie']) {
-      loginPageCookies = userMenuResponse.headers['set-cookie']
-        .map(cookie => cookie.split(';')[0])
-        .join('; ');
-      console.log('User menu page cookies obtained');
-    }
-    
-    // 通常ユーザーの動作を模倣: フォーム入力と送信の間に少し待機
-    await new Promise(resolve => setTimeout(resolve, 1500)); // 1.5秒待機
-    
-    // ユーザーがログインフォームを送信
-    let cookieString = '';
-    let loginSuccess = false;
-    let actualLoginUrl = loginUrl; // 変数スコープを修正：ここで宣言して初期値を設定
-    
-    while (loginAttempts < MAX_LOGIN_ATTEMPTS) {
-      loginAttempts++;
-      console.log(`Login attempt ${loginAttempts}/${MAX_LOGIN_ATTEMPTS}`);
-      
-      try {
-        // フォームのaction属性に基づいてログインURLを決定
-        // 相対パスの場合は絶対パスに変換
-        if (loginFormAction) {
-          if (loginFormAction.startsWith('http')) {
-            actualLoginUrl = loginFormAction;
-          } else if (loginFormAction.startsWith('/')) {
-            actualLoginUrl = `https://www1.city.kawachinagano.lg.jp${loginFormAction}`;
-          } else {
-            actualLoginUrl = `${baseUrl}/${loginFormAction}`;
-          }
-        }
-        console.log(`Using login URL: ${actualLoginUrl}`);
-        
-        // URLエンコードされたフォームデータを準備
-        const loginPayload = new URLSearchParams({
-          userno: libraryId,
-          passwd: libraryPassword,
-          ...formInputs // 隠しフィールドも含める
-        }).toString();
-        
-        console.log(`Login payload keys: ${Object.keys(new URLSearchParams(loginPayload)).join(', ')}`);
-        console.log(`Login payload: userno=${libraryId.substring(0, 2)}******&passwd=***&${Object.entries(formInputs).map(([k, v]) => `${k}=${v}`).join('&')}`);
-        
-        const loginResponse = await axios.post(actualLoginUrl, loginPayload, {
-          headers: {
-            ...headers,
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'Origin': 'https://www1.city.kawachinagano.lg.jp',
-            'Referer': userMenuUrl, // 正しいリファラー
-            'Cookie': loginPageCookies,
-          },
-          maxRedirects: 5,
-          validateStatus: null,
-          timeout: 15000,
-        });
-        
-        console.log(`Login response status: ${loginResponse.status}`);
-        
-        // レスポンスの一部をログ出力
-        if (loginResponse.data) {
-          const snippet = loginResponse.data.substring(0, 200);
-          console.log(`Login response preview: ${snippet}`);
-          
-          // ログイン成功かどうかを判定
-          if (loginResponse.data.includes('ログアウト') || 
-              !loginResponse.data.includes('ログイン') || 
-              loginResponse.data.includes('利用照会')) {
-            console.log('Login successful based on page content!');
-            loginSuccess = true;
-          } else {
-            console.log('Login page still shows login form');
-          }
-        }
-        
-        // レスポンスヘッダーから Cookie を取得
-        const cookies = loginResponse.headers['set-cookie'];
-        if (!cookies || cookies.length === 0) {
-          console.error('Login failed: No Set-Cookie header found in response.');
-          
-          if (loginAttempts < MAX_LOGIN_ATTEMPTS) {
-            console.log(`Retrying login due to missing cookies (attempt ${loginAttempts}/${MAX_LOGIN_ATTEMPTS})`);
-            await new Promise(resolve => setTimeout(resolve, 3000)); // 3秒待機
-            continue;
-          }
-          
-          throw new Error('図書館へのログインに失敗しました (Cookieが取得できませんでした)');
-        }
-        
-        cookieString = cookies.map(cookie => cookie.split(';')[0]).join('; ');
-        console.log('Cookies obtained:', cookieString);
-
-        // 成功したらループを抜ける
-        if (loginSuccess) break;
-        
-        // Cookieはあるがログイン成功の判定ができない場合
-        if (loginAttempts < MAX_LOGIN_ATTEMPTS) {
-          console.log(`Login status unclear, retrying (attempt ${loginAttempts}/${MAX_LOGIN_ATTEMPTS})`);
-          await new Promise(resolve => setTimeout(resolve, 3000)); // 3秒待機
-          continue;
-        }
+/**
+ * 1枚のカードで貸出中の書籍情報を取得し、持ち主の表示名を付ける
+ * ログインはカードごとに行うので、セッション (Cookie) はカード間で共有されない
+ * @param {{name: string, libraryId: string, libraryPassword: string, adapter: string, adapterOptions?: object}} account 図書館のカード
+ * @param {string} [timeZone] 設定のタイムゾーン（返却期限を読み取るのに使う）
+ * @returns {Promise<Array<{title: string, returnDate: Date, owner: string}>>} 書籍情報の配列
+ */
+async function getLibraryBooksForAccount(account, timeZone = DEFAULT_TIME_ZONE) {
+  const books = await getLibraryBooks(account.libraryId, account.libraryPassword, createAccountAdapter(account, timeZone));
+  return books.map(book => ({ ...book, owner: account.name }));
+}
+
+/**
+ * 1枚のカードで貸出一覧と予約一覧を1回のログインで取得し、持ち主の表示名を付ける
+ * カードで自動延長 (autoRenew) が有効で、図書館アダプターが延長に対応している場合は、
+ * 返却期限が3日後の資料の延長も同じセッションで申し込む
+ * 予約一覧の取得や延長に失敗しても貸出一覧は返す（予約一覧の取得に失敗した場合、reservations は null）
+ * @param {{name: string, libraryId: string, libraryPassword: string, adapter: string, adapterOptions?: object, autoRenew?: boolean}} account 図書館のカード
+ * @param {Date} baseDate 基準日（設定のタイムゾーンの日時）。自動延長の対象を決めるのに使う
+ * @param {string} timeZone 設定のタイムゾーン（返却期限・取置期限を読み取るのに使う）
+ * @returns {Promise<{books: Array<object>, reservations: Array<object> | null, renewals: Array<object>, report: object | null}>}
+ *   貸出中の書籍・予約・延長の結果と、貸出一覧の抽出方法・ページの構造（アダプターが対応していない場合は null）
+ */
+async function getLibraryStatusForAccount(account, baseDate, timeZone) {
+  const adapter = createAccountAdapter(account, timeZone);
+  return withLibrarySession(adapter, account.libraryId, account.libraryPassword,
+    '図書館の貸出情報の取得中にエラーが発生しました。', async session => {
+      let books = await adapter.listLoans(session);
 
-      } catch (error) {
-        console.error(`Login attempt ${loginAttempts}/${MAX_LOGIN_ATTEMPTS} failed:`, error.message);
-        
-        if (loginAttempts < MAX_LOGIN_ATTEMPTS) {
-          console.log(`Retrying login after exception (attempt ${loginAttempts}/${MAX_LOGIN_ATTEMPTS})`);
-          await new Promise(resolve => setTimeout(resolve, 3000)); // 3秒待機
-          continue;
+      let renewals = [];
+      const renewalTargets = account.autoRenew && adapter.renew
+        ? books.filter(book => differenceInCalendarDays(book.returnDate, baseDate) === RENEWAL_DAYS_BEFORE_DUE)
+        : [];
+      if (renewalTargets.length > 0) {
+        try {
+          const renewal = await adapter.renew(session, renewalTargets);
+          renewals = renewal.results;
+          books = renewal.books;
+        } catch (renewalError) {
+          logger.error('Failed to renew books', { account: account.name, error: renewalError });
+          renewals = renewalTargets.map(book => ({ title: book.title, renewed: false, reason: '延長の申し込み中にエラーが発生しました' }));
         }
-        
-        throw new Error(`図書館へのログインが ${MAX_LOGIN_ATTEMPTS} 回失敗しました: ${error.message}`);
       }
+
+      let reservations = null;
+      try {
+        reservations = await adapter.listReservations(session);
+      } catch (reservationError) {
+        logger.error('Failed to get reservations', { account: account.name, error: reservationError });
+      }
+      return {
+        books: books.map(book => ({ ...book, owner: account.name })),
+        reservations: reservations && reservations.map(reservation => ({ ...reservation, owner: account.name })),
+        renewals: renewals.map(renewal => ({ ...renewal, owner: account.name })),
+        report: adapter.loanPageReport ? adapter.loanPageReport(session) : null,
+      };
+    });
+}
+
+/**
+ * カードの持ち主の表示名をメッセージ用に連結する（名前のないカードだけなら空文字）
+ * @param {Array<{name: string}>} accounts 図書館のカード
+ * @returns {string} 例: "父・母の"
+ */
+function describeAccounts(accounts) {
+  const names = accounts.map(account => account.name).filter(Boolean);
+  return names.length > 0 ? `${names.join('・')}の` : '';
+}
+
+/**
+ * 書籍や予約の行を持ち主ごとにまとめて出力する（持ち主のないものは見出しなし）
+ * @param {Array<{owner?: string}>} items 書籍・予約の配列
+ * @param {(item: object) => string} formatItem 1件分の行を作る関数
+ * @returns {string} 改行で終わる複数行の文字列
+ */
+function formatByOwner(items, formatItem) {
+  let lines = '';
+  const owners = [...new Set(items.map(item => item.owner || ''))];
+  owners.forEach(owner => {
+    if (owner) lines += `▼ ${owner}\n`;
+    items.filter(item => (item.owner || '') === owner).forEach(item => {
+      lines += `${formatItem(item)}\n`;
+    });
+  });
+  return lines;
+}
+
+/**
+ * 見出しと書籍・予約ごとのフィールドから図書館の埋め込みを作る
+ * 持ち主がある場合はフィールドの値の後ろに付ける
+ * @param {string} title 見出し
+ * @param {Array<{title: string, owner?: string}>} items 書籍・予約の配列
+ * @param {(item: object) => string} describeItem フィールドの値を作る関数
+ * @returns {object} 埋め込み
+ */
+function createLibraryEmbed(title, items, describeItem) {
+  return {
+    color: EMBED_COLORS.library,
+    title,
+    fields: items.map(item => ({
+      name: item.title,
+      value: item.owner ? `${describeItem(item)}（${item.owner}）` : describeItem(item),
+    })),
+  };
+}
+
+/**
+ * 返却期限までの日数を見出しの言い方にする (例: 0 -> "今日が", 3 -> "3日後に")
+ * @param {number} days 返却期限までの日数
+ * @returns {string} 見出しの言い方
+ */
+function describeDueDay(days) {
+  if (days === 0) return '今日が';
+  if (days === 1) return '明日が';
+  return `${days}日後に`;
+}
+
+/**
+ * 取得した書籍リストからリマインドメッセージを作成する
+ * 書籍に持ち主 (owner) が設定されている場合は持ち主ごとにまとめて表示する
+ * 返却期限を過ぎた本は延滞の長さに応じた催促 (OVERDUE_LEVELS) を先頭に載せる
+ * @param {Array<{title: string, returnDate: Date, owner?: string}>} books 貸出中の書籍リスト
+ * @param {Date} baseDate リマインドの基準日（設定のタイムゾーンの日時）
+ * @param {number[]} [reminderDays] 返却期限の何日前に知らせるか（通知先の reminders.libraryDays）
+ * @returns {{text: string, embeds: Array<object>, mention?: boolean} | null} リマインドメッセージ、対象がない場合は null
+ */
+function createLibraryReminderMessage(books, baseDate, reminderDays = DEFAULT_REMINDERS.libraryDays) {
+  const reminders = { overdue: [] };
+  // 知らせる日ごとの書籍（返却期限の遠い順に表示する）
+  const windows = [...reminderDays].sort((a, b) => b - a).map(days => ({ days, books: [] }));
+
+  books.forEach(book => {
+    // baseDate (今日) と returnDate (返却日) の暦の日数の差を計算（どちらも設定のタイムゾーンの日時）
+    const daysUntilDue = differenceInCalendarDays(book.returnDate, baseDate);
+    const item = { title: book.title, returnDate: book.returnDate, owner: book.owner };
+
+    if (daysUntilDue < 0) {
+      reminders.overdue.push({ ...item, daysOverdue: -daysUntilDue });
+    } else {
+      const window = windows.find(candidate => candidate.days === daysUntilDue);
+      if (window) window.books.push(item);
+    }
+  });
+
+  const formatBooks = list => formatByOwner(list, book =>
+    `・ ${book.title} (返却期限: ${format(book.returnDate, 'yyyy/MM/dd')})`);
+  const bookEmbed = (title, list) => createLibraryEmbed(title, list, book =>
+    `返却期限: ${format(book.returnDate, 'yyyy/MM/dd')}`);
+
+  let message = '';
+  const embeds = [];
+  let mention = false;
+  if (reminders.overdue.length > 0) {
+    // 延滞の長い順に並べ、最も長い延滞で催促の段階を決める
+    const overdue = [...reminders.overdue].sort((a, b) => b.daysOverdue - a.daysOverdue);
+    const level = OVERDUE_LEVELS.find(candidate => overdue[0].daysOverdue >= candidate.minDays);
+    const describeOverdue = book => `返却期限: ${format(book.returnDate, 'yyyy/MM/dd')}、${book.daysOverdue}日超過`;
+    const title = `【図書館】返却期限を過ぎた本が ${overdue.length}冊 あります`;
+    message += `${title}:\n${level.notice}\n`;
+    message += formatByOwner(overdue, book => `・ ${book.title} (${describeOverdue(book)})`);
+    message += '\n';
+    embeds.push({ ...createLibraryEmbed(title, overdue, describeOverdue), color: level.color, description: level.notice });
+    mention = level.mention;
+  }
+  windows.filter(window => window.books.length > 0).forEach(window => {
+    const title = `【図書館】${describeDueDay(window.days)}返却期限の本が ${window.books.length}冊 あります`;
+    message += `${title}:\n`;
+    message += formatBooks(window.books);
+    message += '\n';
+    embeds.push(bookEmbed(title, window.books));
+  });
+
+  // メッセージが空なら null を返す
+  return message.trim() ? createMessage(message.trim(), embeds, { mention }) : null;
+}
+
+/**
+ * 自動延長の結果を資料ごとに知らせるメッセージを作成する
+ * @param {Array<{title: string, renewed: boolean, reason?: string, returnDate?: Date, owner?: string}>} renewals 延長の結果
+ * @returns {{text: string, embeds: Array<object>} | null} メッセージ、延長を試みなかった場合は null
+ */
+function createRenewalResultMessage(renewals) {
+  if (renewals.length === 0) return null;
+
+  const succeeded = renewals.filter(renewal => renewal.renewed).length;
+  const title = `【図書館】自動延長の結果 (成功 ${succeeded}冊 / 失敗 ${renewals.length - succeeded}冊)`;
+  const describeRenewal = renewal => (renewal.renewed
+    ? `延長しました (新しい返却期限: ${format(renewal.returnDate, 'yyyy/MM/dd')})`
+    : `延長できませんでした (${renewal.reason})`);
+  let message = `${title}:\n`;
+  message += formatByOwner(renewals, renewal => `・ ${renewal.title}: ${describeRenewal(renewal)}`);
+
+  return createMessage(message.trim(), [createLibraryEmbed(title, renewals, describeRenewal)]);
+}
+
+/**
+ * 貸出一覧を正しく読み取れていない可能性（ページの構造の変化・本が1冊も読み取れない）を知らせるメッセージを作成する
+ * 「貸出がない」という通常の結果と区別できるよう、色とメンションを変えて送る
+ * @param {Array<{account: {name: string}, report: {description: string}, issues: Array<{message: string}>}>} alerts カードごとの問題
+ * @returns {{text: string, embeds: Array<object>, mention: boolean} | null} メッセージ、問題がない場合は null
+ */
+function createPageStructureAlertMessage(alerts) {
+  if (alerts.length === 0) return null;
+
+  const title = '【図書館】⚠️ 貸出一覧を正しく読み取れていない可能性があります';
+  const lines = alerts.map(({ account, report, issues }) =>
+    `${account.name ? `${account.name}: ` : ''}${issues.map(issue => issue.message).join('')}（抽出方法: ${report.description}）`);
+  const footer = '図書館のサイトが変わった場合は、読み取り方の修正が必要です。';
+  const text = `${title}:\n${lines.map(line => `・ ${line}`).join('\n')}\n${footer}`;
+  return createMessage(text, [{ title, description: `${lines.join('\n')}\n\n${footer}`, color: EMBED_COLORS.scraper }], { mention: true });
+}
+
+/**
+ * 前回の実行からの貸出一覧の変化（新しく借りた本・返却した本）を知らせるメッセージを作成する
+ * @param {{borrowed: Array<{title: string, returnDate: Date, owner?: string}>, returned: Array<{title: string, owner?: string}>}} changes 貸出一覧の変化
+ * @returns {{text: string, embeds: Array<object>} | null} メッセージ、変化がない場合は null
+ */
+function createLoanChangeMessage({ borrowed, returned }) {
+  let message = '';
+  const embeds = [];
+  if (borrowed.length > 0) {
+    const title = `【図書館】新しく借りた本が ${borrowed.length}冊 あります`;
+    message += `${title}:\n`;
+    message += formatByOwner(borrowed, book => `・ ${book.title} (返却期限: ${format(book.returnDate, 'yyyy/MM/dd')})`);
+    message += '\n';
+    embeds.push(createLibraryEmbed(title, borrowed, book => `返却期限: ${format(book.returnDate, 'yyyy/MM/dd')}`));
+  }
+  if (returned.length > 0) {
+    const title = `【図書館】返却済みになった本が ${returned.length}冊 あります`;
+    message += `${title}:\n`;
+    message += formatByOwner(returned, book => `・ ${book.title}`);
+    embeds.push(createLibraryEmbed(title, returned, () => '返却済み'));
+  }
+
+  // メッセージが空なら null を返す
+  return message.trim() ? createMessage(message.trim(), embeds) : null;
+}
+
+/**
+ * 予約の取置期限が今日/明日に迫っているか
+ * @param {{pickupDeadline: Date | null}} reservation 予約
+ * @param {Date} baseDate 基準日（設定のタイムゾーンの日時）
+ * @returns {boolean} 取置期限が今日か明日の場合は true
+ */
+function isPickupDeadlineNear(reservation, baseDate) {
+  if (!reservation.pickupDeadline) return false;
+  const daysUntilDeadline = differenceInCalendarDays(reservation.pickupDeadline, baseDate);
+  return daysUntilDeadline >= 0 && daysUntilDeadline <= 1;
+}
+
+/**
+ * 予約の一覧から受け取りのお知らせメッセージを作成する
+ * 受け取り可能（取置中）な予約と、取置期限が今日/明日に迫った予約を知らせる
+ * @param {Array<{title: string, ready: boolean, pickupDeadline: Date | null, owner?: string}>} reservations 予約の一覧
+ * @param {Date} baseDate 基準日（設定のタイムゾーンの日時）
+ * @returns {{text: string, embeds: Array<object>} | null} お知らせメッセージ、対象がない場合は null
+ */
+function createReservationReminderMessage(reservations, baseDate) {
+  const ready = [];
+  const expiring = [];
+
+  reservations.filter(reservation => reservation.ready).forEach(reservation => {
+    // 期限が迫っているものは期限のお知らせの方にだけ載せる
+    if (isPickupDeadlineNear(reservation, baseDate)) {
+      expiring.push(reservation);
+    } else {
+      ready.push(reservation);
+    }
+  });
+
+  const formatReservation = reservation => reservation.pickupDeadline
+    ? `・ ${reservation.title} (取置期限: ${format(reservation.pickupDeadline, 'yyyy/MM/dd')})`
+    : `・ ${reservation.title}`;
+
+  const reservationEmbed = (title, list) => createLibraryEmbed(title, list, reservation => (reservation.pickupDeadline
+    ? `取置期限: ${format(reservation.pickupDeadline, 'yyyy/MM/dd')}`
+    : '受け取りできます'));
+
+  let message = '';
+  const embeds = [];
+  if (expiring.length > 0) {
+    const title = `【図書館】取置期限が今日/明日の予約が ${expiring.length}冊 あります。早めに受け取ってください`;
+    message += `${title}:\n`;
+    message += formatByOwner(expiring, formatReservation);
+    message += '\n';
+    embeds.push(reservationEmbed(title, expiring));
+  }
+  if (ready.length > 0) {
+    const title = `【図書館】受け取りできる予約が ${ready.length}冊 あります`;
+    message += `${title}:\n`;
+    message += formatByOwner(ready, formatReservation);
+    embeds.push(reservationEmbed(title, ready));
+  }
+
+  // メッセージが空なら null を返す
+  return message.trim() ? createMessage(message.trim(), embeds) : null;
+}
+
+// --- ここから週間まとめ (weekly digest) ロジック ---
+// 毎晩の「明日」のリマインドとは別に、週に1回（例: 日曜の夕方）、1週間分の収集日と2週間以内の返却期限をまとめて送る
+
+// 週間まとめに載せるゴミ収集日の日数（夕方の実行では明日から、朝の実行では今日から）
+const WEEKLY_GARBAGE_DAYS = 7;
+
+// 週間まとめに載せる返却期限（今日から何日後まで。期限切れの本も載せる）
+const WEEKLY_LIBRARY_DAYS = 14;
+
+/**
+ * 週間まとめでの日付の表し方 (例: 4/7 (月))
+ * @param {Date} date 日付
+ * @returns {string} 表示用の日付
+ */
+function formatDigestDay(date) {
+  return format(date, 'M/d (EEE)', { locale: ja });
+}
+
+/**
+ * 地区ごとに、期間中のゴミ収集日を集める
+ * @param {Array<{id: string, name: string, schedule: object}>} areas 地区
+ * @param {Date} from 期間の初日（設定のタイムゾーンの日付）
+ * @returns {Array<{area: object, days: Array<{date: Date, garbage: string}>}>} 地区ごとの収集日と収集するゴミ
+ */
+function collectWeeklyGarbage(areas, from) {
+  return areas.map(area => ({
+    area,
+    days: Array.from({ length: WEEKLY_GARBAGE_DAYS }, (_, i) => addDays(from, i))
+      .map(date => ({ date, garbage: getGarbageInfo(date, area.schedule) }))
+      .filter(day => day.garbage),
+  }));
+}
+
+/**
+ * 週間まとめのメッセージを作成する（ゴミ出しは地区ごと、図書館は返却期限の近い順に1つのメッセージにまとめる）
+ * @param {object} digest
+ * @param {Date} digest.from 期間の初日
+ * @param {Date} digest.baseDate 基準日（今日。設定のタイムゾーンの日時）
+ * @param {Array<{area: {name: string}, days: Array<{date: Date, garbage: string}>}>} digest.garbage 載せる地区の収集日（ゴミ出しを載せない場合は空）
+ * @param {Array<{title: string, returnDate: Date, owner?: string}> | null} digest.books 貸出中の本（図書館を載せない場合は null）
+ * @param {Array<{name: string}>} [digest.failedAccounts] 貸出一覧を取得できなかったカード
+ * @param {boolean} [digest.showAreaNames] 見出しに地区名を含めるか（複数地区の場合）
+ * @returns {{text: string, embeds: Array<object>} | null} メッセージ、載せる内容がない場合は null
+ */
+function createWeeklyDigestMessage({ from, baseDate, garbage, books, failedAccounts = [], showAreaNames = false }) {
+  if (garbage.length === 0 && !books) return null;
+
+  const period = `${formatDigestDay(from)}〜${formatDigestDay(addDays(from, WEEKLY_GARBAGE_DAYS - 1))}`;
+  const sections = [];
+  const embeds = [];
+
+  garbage.forEach(({ area, days }) => {
+    const title = `【週間まとめ・ゴミ出し${showAreaNames ? `・${area.name}` : ''}】${period}`;
+    if (days.length === 0) {
+      sections.push(`${title}: 収集はありません`);
+      embeds.push({ color: EMBED_COLORS.garbage, title, description: '収集はありません' });
+      return;
     }
-    
-    if (!loginSuccess) {
-      throw new Error(`図書館へのログインに失敗しました (${MAX_LOGIN_ATTEMPTS}回試行後)`);
-    }
-    
-    // ログイン成功後、ユーザーの操作を模倣して少し待機
-    console.log('Login successful, waiting a moment before next step...');
-    await new Promise(resolve => setTimeout(resolve, 2000)); // 2秒待機
-
-    // 重要: usermenu.doにアクセスして利用者メニューを取得
-    console.log('Accessing user menu page after login...');
-    const userMenuAfterLoginResponse = await axios.get(userMenuUrl, {
-      headers: {
-        ...headers,
-        'Cookie': cookieString,
-        'Referer': actualLoginUrl || loginUrl,
-      },
-      maxRedirects: 5,
-      timeout: 15000,
-      validateStatus: null,
+    sections.push(`${title}:\n${days.map(day => `・ ${formatDigestDay(day.date)}: ${day.garbage}`).join('\n')}`);
+    embeds.push({
+      color: EMBED_COLORS.garbage,
+      title,
+      fields: days.map(day => ({ name: formatDigestDay(day.date), value: day.garbage })),
     });
-    
-    console.log(`User menu after login status: ${userMenuAfterLoginResponse.status}`);
-    
-    // ユーザーメニューのHTMLを解析
-    const userMenuAfterLoginHtml = userMenuAfterLoginResponse.data;
-    console.log('User menu after login HTML preview:');
-    console.log(userMenuAfterLoginHtml.substring(0, 500));
-    
-    // ログイン成功の確認（ログイン後のページにはユーザー名や特定のメニューが表示されるはず）
-    if (userMenuAfterLoginHtml.includes('ログアウト') || 
-        userMenuAfterLoginHtml.includes('利用照会') || 
-        userMenuAfterLoginHtml.includes('貸出中') ||
-        userMenuAfterLoginHtml.includes('予約中')) {
-      console.log('Confirmed login success based on user menu content');
+  });
+
+  if (books) {
+    const dueBooks = books
+      .filter(book => differenceInCalendarDays(book.returnDate, baseDate) <= WEEKLY_LIBRARY_DAYS)
+      .sort((a, b) => a.returnDate - b.returnDate);
+    const describeDue = book => (differenceInCalendarDays(book.returnDate, baseDate) < 0
+      ? `${formatDigestDay(book.returnDate)}（期限切れ）`
+      : formatDigestDay(book.returnDate));
+    const failureNote = failedAccounts.length > 0 ? `${describeAccounts(failedAccounts)}貸出情報は取得できませんでした。` : null;
+
+    let title;
+    let embed;
+    if (dueBooks.length > 0) {
+      title = `【週間まとめ・図書館】${WEEKLY_LIBRARY_DAYS}日以内に返却期限の本が ${dueBooks.length}冊 あります`;
+      sections.push(`${title}:\n${formatByOwner(dueBooks, book => `・ ${describeDue(book)} ${book.title}`).trim()}`);
+      embed = createLibraryEmbed(title, dueBooks, book => `返却期限: ${describeDue(book)}`);
     } else {
-      console.log('Warning: User menu does not show expected content after login');
-    }
-    
-    // 利用者メニューから「貸出一覧」へのリンクを探す
-    const $userMenu = cheerio.load(userMenuAfterLoginHtml);
-    
-    // ページ内のすべてのリンクを表示してデバッグ
-    console.log('All links in user menu page:');
-    $userMenu('a').each((i, el) => {
-      const linkText = $userMenu(el).text().trim();
-      const href = $userMenu(el).attr('href') || '';
-      if (linkText && href) {
-        console.log(`Link ${i+1}: "${linkText}" -> ${href}`);
+      title = `【週間まとめ・図書館】${WEEKLY_LIBRARY_DAYS}日以内に返却期限の本は${failureNote ? '見つかりませんでした' : 'ありません'}`;
+      sections.push(title);
+      embed = { color: EMBED_COLORS.library, title };
+    }
+    if (failureNote) {
+      sections[sections.length - 1] += `\n${failureNote}`;
+      embed.description = failureNote;
+    }
+    embeds.push(embed);
+  }
+
+  return createMessage(sections.join('\n\n'), embeds);
+}
+
+/**
+ * 週間まとめを作成して、通知先ごとに受け取る内容（地区のゴミ出し・図書館）だけをまとめた1つのメッセージで送る
+ * @param {object} params
+ * @param {Array<object>} params.areas 地区
+ * @param {Array<object>} params.libraryAccounts 図書館のカード（シークレットの値を含む）
+ * @param {Date} params.from 期間の初日
+ * @param {Date} params.baseDate 基準日（今日）
+ * @param {string} params.timeZone 設定のタイムゾーン
+ * @param {'garbage' | 'library'} [params.only] 指定した内容だけを載せる
+ * @param {(topic: string, message: object | ((recipient: object) => object | null)) => Promise<void>} params.notify 通知する関数
+ */
+async function sendWeeklyDigest({ areas, libraryAccounts, from, baseDate, timeZone, only, notify }) {
+  const garbage = only === 'library' ? [] : collectWeeklyGarbage(areas, from);
+
+  let books = null;
+  const failedAccounts = [];
+  if (only !== 'garbage') {
+    books = [];
+    for (const account of libraryAccounts) {
+      try {
+        books.push(...await getLibraryBooksForAccount(account, timeZone));
+      } catch (libraryError) {
+        // 週間まとめは再試行せず、取得できなかったことをまとめに載せる
+        logger.error('Failed to get library books for the weekly digest', { account: account.name, error: libraryError });
+        failedAccounts.push(account);
       }
+    }
+  }
+
+  await notify(DIGEST_TOPIC, recipient => createWeeklyDigestMessage({
+    from,
+    baseDate,
+    garbage: garbage.filter(({ area }) => isSubscribed(recipient, 'garbage', area.id)),
+    books: books && isSubscribed(recipient, 'library') ? books : null,
+    failedAccounts,
+    showAreaNames: areas.length > 1,
+  }));
+}
+
+// --- ここからカレンダー (iCalendar) 配信ロジック ---
+
+// 一度に配信する期間の上限（日数）
+const MAX_CALENDAR_DAYS = 366;
+
+/**
+ * ゴミ収集日と図書館の返却期限を終日イベントにしたカレンダーを作成する
+ * @param {object} options
+ * @param {Date} options.from 開始日（この日を含む）
+ * @param {Date} options.to 終了日（この日を含む）
+ * @param {Array<{id: string, name: string, schedule: object}>} options.areas ゴミ収集を展開する地区
+ * @param {Array<{title: string, returnDate: Date, owner?: string}>} [options.books] 貸出中の書籍リスト
+ * @param {string} [options.timeZone] 設定のタイムゾーン
+ * @returns {string} text/calendar の本文
+ */
+function createReminderCalendar({ from, to, areas, books = [], timeZone = DEFAULT_TIME_ZONE }) {
+  const events = [];
+
+  // ゴミ収集日を1日ずつ展開
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    areas.forEach(area => {
+      const collection = getGarbageCollection(area.schedule, date);
+      if (collection.types.length === 0) return;
+      const description = [
+        ...collection.rescheduled.map(r => `${r.garbage}: ${r.from} からの振替${r.note ? ` (${r.note})` : ''}`),
+        ...collection.extra.map(e => `${e.garbage}: 臨時収集${e.note ? ` (${e.note})` : ''}`),
+      ].join('\n');
+      events.push({
+        uid: `garbage-${area.id}-${format(date, 'yyyyMMdd')}`,
+        date,
+        summary: `【ゴミ出し${areas.length > 1 ? `・${area.name}` : ''}】${collection.types.join('、')}`,
+        description,
+      });
     });
-    
-    let borrowingListUrl = '';
-    
-    // 「貸出一覧」などのリンクテキストを持つaタグを探す
-    $userMenu('a').each((i, el) => {
-      const linkText = $userMenu(el).text().trim();
-      const href = $userMenu(el).attr('href') || '';
-      if (linkText.includes('貸出一覧') || linkText.includes('利用照会') || 
-          (href && href.includes('userlist.do'))) {
-        borrowingListUrl = href;
-        console.log(`Found borrowing list link: ${linkText} -> ${href}`);
-        return false; // eachループを抜ける
-      }
+  }
+
+  // 返却期限（同じ本の期限が延びた場合も同じイベントとして更新されるよう、UID は持ち主とタイトルから作る）
+  books.forEach(book => {
+    const titleHash = crypto.createHash('sha1').update(`${book.owner || ''}\n${book.title}`).digest('hex').substring(0, 12);
+    events.push({
+      uid: `library-${titleHash}`,
+      date: book.returnDate,
+      summary: `【図書館】返却期限: ${book.title}${book.owner ? ` (${book.owner})` : ''}`,
     });
-    
-    // 貸出一覧へのリンクが見つからなかった場合はデフォルトURLを使用
-    if (!borrowingListUrl) {
-      console.log('No borrowing list link found, using default URL');
-      borrowingListUrl = 'userlist.do?type=2&page=1';
-    }
-    
-    // 相対URLの場合は絶対URLに変換
-    if (!borrowingListUrl.startsWith('http')) {
-      if (borrowingListUrl.startsWith('/')) {
-        borrowingListUrl = `https://www1.city.kawachinagano.lg.jp${borrowingListUrl}`;
-      } else {
-        borrowingListUrl = `${baseUrl}/${borrowingListUrl}`;
-      }
+  });
+
+  return createCalendar({ name: 'ゴミ出し・図書館リマインダー', events, timeZone });
+}
+
+// 実行の時間帯 -> ゴミ出しで知らせる収集日（今日から何日後か）と見出しでの言い方
+// 通知先ごとに reminders.garbage に含まれる時間帯の実行でだけゴミ出しを送る。図書館は夕方の実行でだけ送る
+const GARBAGE_TIMING_TARGETS = {
+  evening: { daysAhead: 1, dayLabel: '明日' },
+  morning: { daysAhead: 0, dayLabel: '今日' },
+};
+
+// この時刻（設定のタイムゾーン）より前の実行は朝の実行とみなす
+const MORNING_RUN_BEFORE_HOUR = 12;
+
+/**
+ * 取得できたカードごとに前回の貸出一覧と比べ、新しく借りた本と返却した本をまとめる
+ * 前回の貸出一覧が保存されていないカード（初回など）は比べない
+ * @param {import('./lib/state').StateStore} stateStore 状態のストア
+ * @param {Array<{account: {name: string}, books: Array<object>}>} fetchedAccounts 取得できたカードと貸出一覧
+ * @param {string} timeZone 保存した返却期限を解釈するタイムゾーン
+ * @returns {Promise<{borrowed: Array<object>, returned: Array<object>}>} 新しく借りた本と返却した本（持ち主付き）
+ */
+async function detectLoanChanges(stateStore, fetchedAccounts, timeZone) {
+  const borrowed = [];
+  const returned = [];
+  for (const { account, books } of fetchedAccounts) {
+    const previous = await loadPreviousLoans(stateStore, account.name, timeZone);
+    if (!previous) continue;
+    const changes = diffLoans(previous.map(book => ({ ...book, owner: account.name })), books);
+    borrowed.push(...changes.borrowed);
+    returned.push(...changes.returned);
+  }
+  return { borrowed, returned };
+}
+
+/**
+ * 取得できたカードごとに前回までに知らせた予約と比べ、今回知らせる予約を選ぶ
+ * 受け取り可能になった予約は一度だけ知らせ、取置期限が今日/明日に迫ったら知らせ済みでももう一度知らせる
+ * @param {import('./lib/state').StateStore} stateStore 状態のストア
+ * @param {Array<{account: {name: string}, reservations: Array<object> | null}>} fetchedAccounts 取得できたカードと予約一覧
+ * @param {Date} baseDate 基準日（設定のタイムゾーンの日時）
+ * @returns {Promise<Array<object>>} 知らせる予約（持ち主付き）
+ */
+async function selectReservationsToAnnounce(stateStore, fetchedAccounts, baseDate) {
+  const announced = [];
+  for (const { account, reservations } of fetchedAccounts) {
+    if (!reservations) continue;
+    const notified = await loadNotifiedReservations(stateStore, account.name);
+    announced.push(...reservations.filter(reservation => reservation.ready
+      && (!notified.has(reservationKey(reservation)) || isPickupDeadlineNear(reservation, baseDate))));
+  }
+  return announced;
+}
+
+/**
+ * 設定の retry から再試行のキューを作る（Cloud Tasks からの再試行は reminderHttp の token を付けて呼び出す）
+ * memory のキューは CLI しか実行しないので、関数（discordReminder / reminderHttp）では再試行しない
+ * @param {object} config 設定
+ * @returns {import('./lib/retry').RetryQueue | null} キュー、再試行しない場合は null
+ */
+function createConfiguredRetryQueue(config) {
+  if (config.retry.backend === 'memory') {
+    logger.warn('Library retries are disabled: the memory retry queue is only drained by the CLI', { backend: config.retry.backend });
+    return null;
+  }
+  return createRetryQueue(config.retry, {
+    getToken: () => createConfiguredSecretAccessor(config)(config.secrets.names.reminderHttpToken),
+  });
+}
+
+/**
+ * 図書館の取得に失敗したカードを知らせ、回数が残っていれば再試行をキューに登録する
+ * 「○分後に再試行します」は再試行を登録できた場合（dryRun では登録するはずの場合）だけ知らせる
+ * @param {object} params
+ * @param {Array<{name: string}>} params.failedAccounts 取得に失敗したカード
+ * @param {number} params.attempt 失敗した取得が何回目か（初回は 1）
+ * @param {object} params.policy 再試行の回数と間隔 (config の retry)
+ * @param {import('./lib/retry').RetryQueue | null} params.retryQueue 再試行のキュー（null の場合は再試行しない）
+ * @param {string} params.date 実行日 (yyyy-MM-dd)。再試行も同じ日の実行として扱う
+ * @param {boolean} params.dryRun true の場合は再試行を登録しない
+ * @param {(topic: string, message: object) => Promise<void>} params.notify 通知する関数
+ */
+async function scheduleLibraryRetry({ failedAccounts, attempt, policy, retryQueue, date, dryRun, notify }) {
+  const accounts = describeAccounts(failedAccounts);
+  const delayMs = retryDelayMs(policy, attempt);
+  let retrying = Boolean(retryQueue) && attempt < policy.maxAttempts;
+
+  if (retrying && dryRun) {
+    logger.info('Dry run: not enqueueing the library retry', { attempt: attempt + 1, delayMs });
+  } else if (retrying) {
+    // 失敗したカードだけを、同じ日の図書館の実行としてもう一度確認する
+    const params = {
+      date,
+      only: 'library',
+      dryRun: 'false',
+      retryAttempt: String(attempt + 1),
+      accounts: JSON.stringify(failedAccounts.map(account => account.name)),
+    };
+    try {
+      await retryQueue.enqueue(params, delayMs);
+      logger.info('Library retry enqueued', { backend: retryQueue.backend, attempt: attempt + 1, delayMs });
+    } catch (enqueueError) {
+      logger.error('Failed to enqueue the library retry', { backend: retryQueue.backend, attempt: attempt + 1, error: enqueueError });
+      retrying = false;
     }
-    
-    // ユーザーメニューからの新しいクッキーがあれば更新
-    if (userMenuAfterLoginResponse.headers['set-cookie']) {
-      cookieString = userMenuAfterLoginResponse.headers['set-cookie']
-        .map(cookie => cookie.split(';')[0])
-        .join('; ');
-      console.log('Updated cookies from user menu after login');
-    }
-    
-    // ブラウザの操作を模倣して少し待機
-    await new Promise(resolve => setTimeout(resolve, 1500)); // 1.5秒待機
-    
-    // 貸出一覧ページを取得
-    console.log(`Fetching borrowing list from: ${borrowingListUrl}`);
-    const bookListResponse = await axios.get(borrowingListUrl, {
-      headers: {
-        ...headers,
-        'Cookie': cookieString,
-        'Referer': userMenuUrl,
-      },
-      maxRedirects: 10,
-      timeout: 25000,
-      validateStatus: null,
+  }
+  if (!retrying) {
+    logger.warn('Giving up library retries', {
+      attempt, maxAttempts: policy.maxAttempts, retryQueue: Boolean(retryQueue), account: failedAccounts.map(account => account.name),
     });
-    
-    console.log(`Book list page status: ${bookListResponse.status}`);
-    // タイトルを取得してページ種類を確認
-    const bookListHtml = bookListResponse.data;
-    const $bookList = cheerio.load(bookListHtml);
-    const bookListTitle = $bookList('title').text().trim();
-    console.log(`Book list page title: ${bookListTitle}`);
-    
-    // タイムアウトエラーが発生していないか確認
-    if (bookListTitle.includes('タイムアウト')) {
-      console.error('Timeout error detected in book list page!');
-      // 情報を収集してエラーの原因を調査
-      const errorMsg = $bookList('.error-msg, .msg, .message').text().trim() || 
-                       "タイムアウトエラーが発生しました。";
-      console.error(`Error message: ${errorMsg}`);
-      
-      // より詳細に分析
-      console.log('Analyzing page structure to identify error reason...');
-      const bodyContent = $bookList('body').text().trim().substring(0, 500);
-      console.log(`Body content: ${bodyContent}`);
-      
-      throw new Error(`図書館の貸出一覧ページでタイムアウトが発生しました: ${errorMsg}`);
-    }
-    
-    const html = bookListHtml;
-        
-    // HTMLの一部をログ出力して構造を確認
-    console.log('Book list page HTML preview:');
-    console.log(html.substring(0, 2000)); // 最初の2000文字を表示
-        
-    // GASスクリプトで使用されていた正規表現パターンを採用
-    console.log('Using regex pattern extraction (like GAS script)...');
-    const books = [];
-    
-    // 元のGASスクリプトと完全に同じ正規表現パターンに変更
-    const bookTitleRegex = /<strong>(.+?)<\/strong><\/a><br>/g;
-    const dateRegex = /<td class="nwrap">(\d{4}\/\d{2}\/\d{2})<\/td>/g;
-    
-    const titles = [];
-    const dates = [];
-    
-    let titleMatch;
-    while ((titleMatch = bookTitleRegex.exec(html)) !== null) {
-      titles.push(titleMatch[1]);
-    }
-    
-    let dateMatch;
-    while ((dateMatch = dateRegex.exec(html)) !== null) {
-      dates.push(dateMatch[1]);
-    }
-    
-    console.log(`Found ${titles.length} titles and ${dates.length} dates using regex`);
-    
-    // タイトルと日付の数が一致している場合は、それらをペアにして処理
-    if (titles.length > 0 && titles.length === dates.length) {
-      for (let i = 0; i < titles.length; i++) {
-        const title = titles[i];
-        const dateText = dates[i];
-        const returnDate = parse(dateText, 'yyyy/MM/dd', new Date());
-        books.push({ title, returnDate });
-        console.log(`Found book via regex: "${title}" due on ${format(returnDate, 'yyyy/MM/dd')}`);
+  }
+
+  const failure = attempt === 1 ? `【図書館】${accounts}貸出情報の取得に失敗しました。` : `【図書館】${accounts}再試行も失敗しました。`;
+  let next = '';
+  if (retrying) {
+    next = attempt === 1 ? `${formatDelay(delayMs)}後に再試行します。` : `${formatDelay(delayMs)}後にもう一度再試行します。`;
+  } else if (attempt > 1) {
+    next = '今回は諦めます。';
+  }
+  await notify('library', createNotice('error', `${failure}${next}`));
+}
+
+/**
+ * 取得できたカードごとに貸出一覧のページを前回と比べ、正しく読み取れていない可能性があるカードを返す
+ * 本を読み取れたページの構造は、次回の比較のために保存する（dryRun では保存しない）
+ * @param {import('./lib/state').StateStore} stateStore 状態のストア
+ * @param {Array<{account: {name: string, adapter: string}, books: Array<object>, report: object | null}>} fetchedAccounts 取得できたカードと貸出一覧
+ * @param {{timeZone: string, now: Date, dryRun: boolean}} options 保存した返却期限を解釈するタイムゾーン・実行時刻・dryRun
+ * @returns {Promise<Array<{account: object, report: object, issues: Array<{type: string, message: string}>}>>} カードごとの問題
+ */
+async function checkLoanPages(stateStore, fetchedAccounts, { timeZone, now, dryRun }) {
+  const alerts = [];
+  for (const { account, books, report } of fetchedAccounts) {
+    if (!report) continue;
+    const previousStructure = await loadPageStructure(stateStore, account.adapter);
+    const previousLoans = await loadPreviousLoans(stateStore, account.name, timeZone);
+    const issues = detectPageIssues({ report, books, previousLoans, previousStructure });
+    if (issues.length > 0) {
+      logger.warn('Library loan page may have changed', {
+        account: account.name, strategy: report.strategy, fingerprint: report.fingerprint, issues: issues.map(issue => issue.type),
+      });
+      alerts.push({ account, report, issues });
+    }
+    if (!dryRun && books.length > 0 && (!previousStructure || previousStructure.fingerprint !== report.fingerprint)) {
+      await savePageStructure(stateStore, account.adapter, report, now);
+    }
+  }
+  return alerts;
+}
+
+/**
+ * ゴミ出しと図書館のリマインドを作成して、設定した通知先 (Discord・Slack・LINE・メール) へ送信する（discordReminder の本体）
+ * テストでは実行時刻・設定・シークレットを差し替えてローカルのサーバーに向ける
+ * @param {object} [options]
+ * @param {Date} [options.now] 実行時刻（省略時は現在時刻）
+ * @param {object} [options.config] 設定（省略時は config/config.json）
+ * @param {object} [options.secrets] getSecrets と同じ形のシークレット（省略時は設定の secrets の読み込み元から取得）
+ * @param {import('./lib/retry').RetryQueue | null} [options.retryQueue] 図書館の再試行のキュー（省略時は config の retry から作成。null の場合は再試行しない）
+ * @param {{attempt: number, accounts: string[]}} [options.retry] キューから実行された再試行（attempt: 何回目の取得か、accounts: 確認し直すカードの表示名）。
+ *   指定した場合は、そのカードの図書館だけを処理する
+ * @param {import('./lib/state').StateStore} [options.stateStore] 状態のストア（省略時は config の state から作成）
+ * @param {'evening' | 'morning'} [options.timing] 実行の時間帯（省略時は実行時刻から決める）
+ * @param {boolean} [options.dryRun] true の場合は送信・自動延長・状態の保存をせず、送るはずのメッセージだけを返す
+ * @param {'garbage' | 'library'} [options.only] 指定した内容だけを処理する（省略時は両方）
+ * @param {'daily' | 'weekly'} [options.mode] weekly の場合は毎日のリマインドの代わりに週間まとめを送る（省略時は daily）
+ * @returns {Promise<{date: string, timing: string, mode: string, dryRun: boolean, notifications: Array<object>}>}
+ *   実行日・時間帯・種類と、送った（dryRun の場合は送るはずの）通知先ごとのメッセージ
+ */
+async function runReminder({
+  now = new Date(),
+  config = getConfig(),
+  secrets,
+  retryQueue = createConfiguredRetryQueue(config),
+  stateStore = createStateStore(config.state),
+  timing,
+  dryRun = false,
+  only,
+  mode = 'daily',
+  retry,
+} = {}) {
+  // 関数が実行されたときのタイムスタンプ (通常はUTC)
+  const executionTime = now;
+  logger.info('Function started', { executionTime });
+
+  // --- 設定のタイムゾーンでの「今日」「明日」を計算 ---
+  // 実行環境の TZ（Cloud Functions では通常 UTC）に関係なく、日付の計算はすべて設定のタイムゾーン（省略時は Asia/Tokyo）の暦で行う
+  const timeZone = config.timeZone || DEFAULT_TIME_ZONE;
+  const nowInZone = toZonedTime(executionTime, timeZone);
+  const runTiming = timing || (nowInZone.getHours() < MORNING_RUN_BEFORE_HOUR ? 'morning' : 'evening');
+  const { daysAhead, dayLabel } = GARBAGE_TIMING_TARGETS[runTiming];
+  const garbageDate = startOfDay(addDays(nowInZone, daysAhead)); // 夕方の実行では明日、朝の実行では今日
+
+  // デバッグ用に日付を出力
+  logger.info('Run schedule resolved', {
+    timeZone,
+    localTime: format(nowInZone, 'yyyy-MM-dd HH:mm:ss'),
+    garbageDate: format(garbageDate, 'yyyy-MM-dd'),
+    timing: runTiming,
+    mode,
+    dryRun,
+  });
+
+  const result = { date: format(nowInZone, 'yyyy-MM-dd'), timing: runTiming, mode, dryRun, notifications: [] };
+
+  try {
+    // 設定とシークレットを取得
+    const { areas } = config;
+    if (!secrets) {
+      secrets = await getSecrets(config);
+      logger.info('Secrets fetched successfully');
+    }
+
+    // 同じ日に送った通知は再実行時に送らない（dryRun では送信済みかどうかに関係なくすべて返す）
+    const sentLog = dryRun ? null : await loadSentLog(stateStore, nowInZone);
+    // 送れなかった通知先があっても残りの処理（警告・再試行・予約・状態の保存）を続け、最後にまとめてエラーにする
+    const notifyErrors = [];
+    const notify = async (topic, message, areaId) => {
+      try {
+        result.notifications.push(...await notifyRecipients(secrets.recipients, topic, message, { areaId, sentLog, dryRun }));
+        return true;
+      } catch (notifyError) {
+        result.notifications.push(...(notifyError.delivered || []));
+        notifyErrors.push(notifyError);
+        return false;
       }
-      console.log('Successfully extracted books using GAS script regex patterns.');
-    } else {
-      console.log('Regular expression extraction failed or mismatch in counts. Falling back to Cheerio parsing...');
-      
-      // Cheerioパース処理
-      // ここでCheerioを使って書籍情報を抽出
-      const $bookList = cheerio.load(html);
-      
-      // 使用可能なテーブルクラスをすべて表示
-      const tableClasses = [];
-      $bookList('table').each((i, el) => {
-        const cls = $bookList(el).attr('class');
-        if (cls) tableClasses.push(cls);
+    };
+    const finish = () => {
+      if (notifyErrors.length > 0) {
+        throw new Error(notifyErrors.map(notifyError => notifyError.message).join('\n'));
+      }
+      logger.info('Function finished successfully', { notificationCount: result.notifications.length });
+      return result;
+    };
+    const preferencesOf = recipient => reminderPreferences(config, recipient);
+
+    // --- 週間まとめ（毎日のリマインドの代わりに送る） ---
+    if (mode === 'weekly') {
+      await sendWeeklyDigest({
+        areas, libraryAccounts: secrets.libraryAccounts, from: garbageDate, baseDate: nowInZone, timeZone, only, notify,
       });
-      console.log('Available table classes:', tableClasses);
-      
-      // すべてのテーブルを調査
-      console.log(`Found ${$bookList('table').length} tables on the page`);
-      
-      // より柔軟なテーブル検出
-      // クラス名に「list」を含むテーブルを優先的に調査
-      let bookTable = $bookList('table[class*="list"]');
-      
-      // クラスで見つからなかった場合は、他の方法でテーブルを特定
-      if (bookTable.length === 0) {
-        console.log('No table with class containing "list" found, trying alternative detection methods...');
-        
-        // 1. thに「貸出期限」を含むテーブルを探す
-        $bookList('th:contains("貸出期限"), th:contains("返却期限")').each((i, el) => {
-          const parentTable = $bookList(el).closest('table');
-          if (parentTable.length > 0) {
-            console.log('Found table with return date header');
-            bookTable = parentTable;
-            return false; // eachループを抜ける
+      return finish();
+    }
+
+    // --- ゴミ出し情報取得（地区ごとに、その地区を受け取る通知先へ送信） ---
+    if (only !== 'library' && !retry) {
+      for (const area of areas) {
+        try {
+          // 地区が1つだけなら従来どおり地区名なしの見出しにする
+          const garbageMessage = createGarbageReminderMessage(
+            garbageDate, area.schedule, areas.length > 1 ? area.name : undefined, dayLabel);
+          if (garbageMessage) {
+            logger.info('Garbage reminder created', { areaId: area.id, text: garbageMessage.text });
+            // 地区のゴミ出しを受け取り、この時間帯に知らせてほしい通知先へ送信（ある時だけ）
+            await notify('garbage', recipient => (preferencesOf(recipient).garbage.includes(runTiming) ? garbageMessage : null), area.id);
+          } else {
+            logger.info('No garbage collection; skipping the reminder', { areaId: area.id, day: dayLabel });
           }
-        });
-        
-        // 2. まだ見つからない場合は日付っぽい形式(YYYY/MM/DD)を含む行を持つテーブルを探す
-        if (bookTable.length === 0) {
-          $bookList('td').each((i, el) => {
-            const text = $bookList(el).text().trim();
-            if (/\d{4}\/\d{2}\/\d{2}/.test(text)) { // YYYY/MM/DD形式を検索
-              console.log('Found table with date format text');
-              bookTable = $bookList(el).closest('table');
-              return false; // eachループを抜ける
-            }
-          });
-        }
-        
-        // 3. それでも見つからない場合は、大きめのテーブルでtdを持つものを使用
-        if (bookTable.length === 0 && $bookList('table').length > 0) {
-          $bookList('table').each((i, el) => {
-            if ($bookList(el).find('td').length > 5) { // ある程度の列数があるテーブル
-              console.log(`Using table #${i+1} with ${$bookList(el).find('td').length} cells as fallback`);
-              bookTable = $bookList(el);
-              return false; // eachループを抜ける
-            }
-          });
+        } catch (areaError) {
+          // 1つの地区の失敗で他の地区への通知を止めない
+          logger.error('Failed to send garbage reminder', { areaId: area.id, error: areaError });
         }
       }
-      
-      // 見つかったテーブルから書籍情報を抽出
-      if (bookTable.length > 0) {
-        console.log('Processing book table, HTML:');
-        console.log(bookTable.html().substring(0, 500)); // テーブルのHTML一部を表示
-        
-        // テーブルの構造を解析
-        const hasHeaders = bookTable.find('th').length > 0;
-        console.log(`Table has headers: ${hasHeaders}`);
-        
-        // 行を処理
-        bookTable.find('tr').each((rowIndex, row) => {
-          // ヘッダー行はスキップ
-          if (rowIndex === 0 && hasHeaders) return;
-          
-          try {
-            // 行内のセルを取得
-            const cells = $bookList(row).find('td');
-            if (cells.length < 2) return; // 最低でも2つのセルが必要
-            
-            // テーブルヘッダーを取得して列の順序を確認
-            if (rowIndex === 1) { // 最初の行でのみ実行
-              const headers = [];
-              bookTable.find('th').each((i, th) => {
-                headers.push($bookList(th).text().trim());
-              });
-              console.log('Table headers:', headers);
-            }
-            
-            // タイトルを探す - 強調表示（<strong>）やリンク（<a>）を含むセルを優先
-            let titleElement = null;
-            let titleCell = null;
-            
-            // 強調表示されたテキストを探す
-            cells.each((i, cell) => {
-              const strong = $bookList(cell).find('strong');
-              if (strong.length > 0) {
-                titleElement = strong;
-                titleCell = cell;
-                return false; // eachループを抜ける
-              }
-            });
-            
-            // 強調表示がなければリンクを探す
-            if (!titleElement) {
-              cells.each((i, cell) => {
-                const link = $bookList(cell).find('a');
-                if (link.length > 0) {
-                  titleElement = link;
-                  titleCell = cell;
-                  return false;
-                }
-              });
-            }
-            
-            // まだ見つからなければ、最も長いテキストを持つセルを使用
-            if (!titleElement) {
-              let maxLength = 0;
-              cells.each((i, cell) => {
-                const text = $bookList(cell).text().trim();
-                if (text.length > maxLength) {
-                  maxLength = text.length;
-                  titleCell = cell;
-                }
-              });
-              titleElement = $bookList(titleCell);
-            }
-            
-            const title = titleElement ? titleElement.text().trim() : $bookList(titleCell).text().trim();
-            
-            // 日付を探す - 重要: 正しい返却期限日を取得（4番目のセルが返却期限日）
-            let dateText = null;
-            let returnDateIdx = -1;
-            
-            // テーブルヘッダーを確認して返却期限日の列インデックスを特定
-            bookTable.find('th').each((i, th) => {
-              const headerText = $bookList(th).text().trim();
-              if (headerText.includes('返却期限日')) {
-                returnDateIdx = i;
-                return false; // eachループを抜ける
-              }
-            });
-            
-            // 返却期限日のインデックスが見つかった場合、その列から日付を取得
-            if (returnDateIdx >= 0 && returnDateIdx < cells.length) {
-              const dueDateCell = cells.eq(returnDateIdx);
-              const dueDateText = dueDateCell.text().trim();
-              if (/\d{4}\/\d{2}\/\d{2}/.test(dueDateText)) {
-                dateText = dueDateText.match(/\d{4}\/\d{2}\/\d{2}/)[0];
-                console.log(`Found return date in column ${returnDateIdx}: ${dateText}`);
-              }
-            } else {
-              // インデックスが見つからない場合は、日付形式を含む全セルをチェック
-              cells.each((i, cell) => {
-                const text = $bookList(cell).text().trim();
-                if (/\d{4}\/\d{2}\/\d{2}/.test(text)) {
-                  // 最初の日付は貸出日、2番目は返却期限日と仮定
-                  if (i >= 3) { // 3番目以降のセルに返却期限日があると仮定
-                    dateText = text.match(/\d{4}\/\d{2}\/\d{2}/)[0];
-                    console.log(`Found return date in cell ${i}: ${dateText}`);
-                    return false; // eachループを抜ける
-                  }
-                }
-              });
-            }
-            
-            if (title && dateText) {
-              // 日付形式をパース
-              const returnDate = parse(dateText, 'yyyy/MM/dd', new Date());
-              returnDate.setHours(0, 0, 0, 0);
-              
-              if (!isNaN(returnDate.getTime())) {
-                books.push({ title, returnDate });
-                console.log(`Found book: "${title}" due on ${format(returnDate, 'yyyy/MM/dd')}`);
-              } else {
-                console.warn(`Failed to parse date: ${dateText} for title: ${title}`);
-              }
-            }
-          } catch (parseError) {
-            console.warn(`Error parsing row ${rowIndex}:`, parseError.message);
-          }
-        });
-      } else {
-        console.log('No suitable book table found!');
+    }
+
+    // 図書館は夕方の実行でだけ確認する（朝の実行はゴミ出しのみ）
+    if (runTiming !== 'evening' || only === 'garbage') {
+      logger.info(only === 'garbage' ? 'Skipping library reminders (only=garbage)' : 'Library reminders are sent on the evening run only');
+      return finish();
+    }
+
+    // 再試行では前回失敗したカードだけを確認する。dryRun では自動延長を申し込まない
+    const attempt = retry ? retry.attempt : 1;
+    const libraryAccounts = secrets.libraryAccounts
+      .filter(account => !retry || retry.accounts.includes(account.name))
+      .map(account => (dryRun ? { ...account, autoRenew: false } : account));
+
+    // 図書館情報取得: カードごとに取得し、失敗したカードは後で再試行する
+    const books = [];
+    const renewals = [];
+    const fetchedAccounts = [];
+    const failedAccounts = [];
+    for (const account of libraryAccounts) {
+      try {
+        const status = await getLibraryStatusForAccount(account, nowInZone, timeZone);
+        fetchedAccounts.push({ account, books: status.books, reservations: status.reservations, report: status.report });
+        books.push(...status.books);
+        renewals.push(...status.renewals);
+      } catch (libraryError) {
+        logger.error('Failed to get library info', { account: account.name, attempt, error: libraryError });
+        failedAccounts.push(account);
+      }
+    }
+
+    // 前回からの貸出の変化と延長の結果があれば返却期限のリマインドの前に載せる
+    // 返却期限のリマインドは通知先ごとの reminders.libraryDays で知らせる日が変わる
+    const createLibraryMessageFor = (loanChanges, recipient) => joinMessages(
+      createLoanChangeMessage(loanChanges),
+      createRenewalResultMessage(renewals),
+      createLibraryReminderMessage(books, nowInZone, preferencesOf(recipient).libraryDays), // 今日の日付を基準にリマインドを計算
+    );
+
+    // 本が1冊も読み取れなかったカードは、貸出の変化の比較と保存から除く（全冊を返却したと誤って知らせないため）
+    const pageAlerts = await checkLoanPages(stateStore, fetchedAccounts, { timeZone, now: executionTime, dryRun });
+    const unreadable = new Set(pageAlerts
+      .filter(alert => alert.issues.some(issue => issue.type === 'unexpected-empty'))
+      .map(alert => alert.account));
+    const trustedAccounts = fetchedAccounts.filter(({ account }) => !unreadable.has(account));
+
+    const loanChanges = await detectLoanChanges(stateStore, trustedAccounts, timeZone);
+    // 再試行で取得できた場合に限り、知らせる本がない通知先には「なし」を通知（失敗の通知の続きとして）
+    const noBooksNotice = retry && fetchedAccounts.length > 0
+      ? createNotice('library', '【図書館】返却期限の本はありません。')
+      : null;
+    const loanChangesNotified = await notify('library', recipient => createLibraryMessageFor(loanChanges, recipient) || noBooksNotice);
+
+    // 読み取りがおかしい場合は、通常のリマインドとは別の警告として送る
+    const pageAlertMessage = createPageStructureAlertMessage(pageAlerts);
+    if (pageAlertMessage) {
+      await notify('library', pageAlertMessage);
+    }
+
+    // 失敗したカードは関数の中で待たずに、キューから後で再試行する
+    if (failedAccounts.length > 0) {
+      await scheduleLibraryRetry({
+        failedAccounts, attempt, policy: config.retry, retryQueue, date: result.date, dryRun, notify,
+      });
+    }
+
+    // 予約の受け取りのお知らせ（取得できたカードの分だけ。前回までに知らせた予約は取置期限が迫るまで知らせない）
+    const reservations = await selectReservationsToAnnounce(stateStore, fetchedAccounts, nowInZone);
+    const reservationMessage = createReservationReminderMessage(reservations, nowInZone);
+    let reservationsNotified = true;
+    if (reservationMessage) {
+      logger.info('Reservation reminders generated');
+      reservationsNotified = await notify('library', reservationMessage);
+    } else {
+      logger.info('No reservations ready for pickup');
+    }
+
+    // 通知を送り終えてから今回の貸出一覧と知らせた予約を保存する
+    // その通知を送れなかった通知先がある場合は保存しない（再実行された場合も同じ内容を知らせるため。送れた通知先には sentLog で送らない）
+    if (!dryRun) {
+      for (const { account, books: accountBooks } of loanChangesNotified ? trustedAccounts : []) {
+        await saveLoans(stateStore, account.name, accountBooks, executionTime);
+      }
+      // 予約一覧を取得できなかったカードは、前回までに知らせた予約の記録をそのまま残す
+      for (const { account, reservations: accountReservations } of reservationsNotified ? fetchedAccounts : []) {
+        if (!accountReservations) continue;
+        await saveNotifiedReservations(stateStore, account.name,
+          accountReservations.filter(reservation => reservation.ready), executionTime);
       }
     }
 
-    console.log(`Found ${books.length} books.`);
-    return books;
+    return finish();
 
   } catch (error) {
-    console.error('Error fetching library books:', error.message);
-    // エラーレスポンスの詳細をログ出力（デバッグ用）
-    if (error.response) {
-      console.error('Error Response Status:', error.response.status);
-      // console.error('Error Response Headers:', error.response.headers);
-      // console.error('Error Response Data:', error.response.data.substring(0, 500));
+    logger.error('Function execution failed', { error });
+    // エラー発生時はリトライさせるためにエラーを再スローするのが一般的
+    throw error;
+  }
+}
+
+// 実行の指定 (only) で選べる内容
+const RUN_TOPICS = ['garbage', 'library'];
+
+// 実行の種類 (mode)。daily: 毎日のリマインド、weekly: 週間まとめ
+const RUN_MODES = ['daily', 'weekly'];
+
+/**
+ * 再試行の指定 (retryAttempt / accounts) を読み取る
+ * @param {{retryAttempt?: string | number, accounts?: string | string[]}} params 指定
+ * @param {string[]} errors エラーメッセージの格納先
+ * @returns {{attempt: number, accounts: string[]} | undefined} runReminder の retry
+ */
+function parseRetryParams(params, errors) {
+  const attempt = Number(params.retryAttempt);
+  if (!Number.isInteger(attempt) || attempt < 2) {
+    errors.push('retryAttempt は 2 以上の整数で指定してください');
+    return undefined;
+  }
+  let accounts = params.accounts;
+  if (typeof accounts === 'string') {
+    try {
+      accounts = JSON.parse(accounts);
+    } catch {
+      accounts = null;
     }
-    throw new Error('図書館の貸出情報の取得中にエラーが発生しました。');
   }
+  if (!Array.isArray(accounts) || !accounts.every(name => typeof name === 'string')) {
+    errors.push('accounts はカードの表示名の配列 (JSON) で指定してください');
+    return undefined;
+  }
+  return { attempt, accounts };
 }
 
 /**
- * 取得した書籍リストからリマインドメッセージを作成する
- * @param {Array<{title: string, returnDate: Date}>} books 貸出中の書籍リスト
- * @param {Date} baseDate リマインドの基準日 (JST)
- * @returns {string | null} リマインドメッセージ、対象がない場合は null
+ * HTTP のクエリや Pub/Sub メッセージの属性から runReminder のオプションを作る
+ * 日付だけを指定した場合は、その日の定時（夕方）の実行として扱う
+ * @param {{date?: string, dryRun?: string | boolean, only?: string, timing?: string, retryAttempt?: string, accounts?: string, mode?: string}} params
+ *   指定（文字列はクエリ・属性の値）
+ *   date: 実行日とみなす日付 (yyyy-MM-dd)、dryRun: 'true' で送らずにメッセージだけを返す、
+ *   only: garbage / library のどちらかだけを処理する、timing: evening / morning の実行として扱う、
+ *   retryAttempt / accounts: キューに登録した図書館の再試行（何回目の取得か、確認し直すカードの表示名の JSON 配列）、
+ *   mode: weekly で週間まとめを送る
+ * @param {object} config 設定（日付を解釈するタイムゾーンに使う）
+ * @param {{dryRun?: boolean}} [defaults] dryRun を省略した場合の値
+ * @returns {{now?: Date, timing?: string, dryRun: boolean, only?: string, mode?: string, retry?: {attempt: number, accounts: string[]}}} runReminder のオプション
  */
-function createLibraryReminderMessage(books, baseDate) {
-  const reminders = { '3days': [], '1day': [] };
+function parseRunOptions(params, config, defaults = {}) {
+  const errors = [];
+  const options = { dryRun: defaults.dryRun === true };
+  const isSet = value => value !== undefined && value !== null && value !== '';
 
-  books.forEach(book => {
-    // baseDate (JSTの今日) と returnDate (JSTの返却日) の差を計算
-    const daysUntilDue = differenceInCalendarDays(book.returnDate, baseDate);
+  if (isSet(params.date)) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(String(params.date))
+      ? parseZonedDate(String(params.date), 'yyyy-MM-dd', config.timeZone || DEFAULT_TIME_ZONE)
+      : null;
+    if (date) {
+      options.now = date;
+      options.timing = 'evening';
+    } else {
+      errors.push('date は yyyy-MM-dd 形式で指定してください');
+    }
+  }
+  if (isSet(params.timing)) {
+    if (Object.hasOwn(GARBAGE_TIMING_TARGETS, params.timing)) {
+      options.timing = params.timing;
+    } else {
+      errors.push(`timing は ${Object.keys(GARBAGE_TIMING_TARGETS).join(' / ')} のいずれかを指定してください`);
+    }
+  }
+  if (isSet(params.dryRun)) {
+    const value = String(params.dryRun).toLowerCase();
+    if (value === 'true' || value === 'false') {
+      options.dryRun = value === 'true';
+    } else {
+      errors.push('dryRun は true / false で指定してください');
+    }
+  }
+  if (isSet(params.only)) {
+    if (RUN_TOPICS.includes(params.only)) {
+      options.only = params.only;
+    } else {
+      errors.push(`only は ${RUN_TOPICS.join(' / ')} のいずれかを指定してください`);
+    }
+  }
+  if (isSet(params.mode)) {
+    if (RUN_MODES.includes(params.mode)) {
+      options.mode = params.mode;
+    } else {
+      errors.push(`mode は ${RUN_MODES.join(' / ')} のいずれかを指定してください`);
+    }
+  }
+  if (isSet(params.retryAttempt) || isSet(params.accounts)) {
+    const retry = parseRetryParams(params, errors);
+    if (retry) options.retry = retry;
+  }
 
-    if (daysUntilDue === 3) {
-      reminders['3days'].push({
-        title: book.title,
-        returnDate: book.returnDate
-      });
-    } else if (daysUntilDue <= 1 && daysUntilDue >= 0) {
-      // 当日(0日)も含める
-      reminders['1day'].push({
-        title: book.title,
-        returnDate: book.returnDate
-      });
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+  return options;
+}
+
+/**
+ * リクエストの token がシークレットの値と一致するか（長さの違いも含めて一定時間で比べる）
+ * @param {unknown} token リクエストで渡された token
+ * @param {string} secretName 正しい token を保存したシークレット名
+ * @param {object} [config] 設定（シークレットの読み込み元）
+ * @returns {Promise<boolean>} 一致する場合は true
+ */
+async function verifyToken(token, secretName, config = getConfig()) {
+  const expected = Buffer.from(await createConfiguredSecretAccessor(config)(secretName));
+  // 文字数ではなくバイト数で比べる（マルチバイト文字を含む token でも timingSafeEqual が投げないように）
+  const given = Buffer.from(String(token || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// --- ここからスラッシュコマンド (Discord Interactions) ロジック ---
+// 通知を待たずに Discord から /gomi [date]・/books・/renew <title> で確認・延長できるようにする
+
+/**
+ * 書名を比べやすい形にする（全角・半角、空白、大文字・小文字の違いをなくす）
+ * @param {string} title 書名
+ * @returns {string} 比べるための書名
+ */
+function normalizeTitle(title) {
+  return title.normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * /gomi: 指定した日（省略時は昼までは今日、昼からは明日）の地区ごとのゴミ収集を知らせる
+ * @param {{date?: string}} options コマンドのオプション
+ * @param {{config: object, nowInZone: Date, timeZone: string}} context 設定と現在（設定のタイムゾーンの日時）
+ * @returns {{text: string, embeds: Array<object>}} メッセージ
+ */
+function answerGarbageCommand({ date }, { config, nowInZone, timeZone }) {
+  let targetDate;
+  if (date === undefined) {
+    const timing = nowInZone.getHours() < MORNING_RUN_BEFORE_HOUR ? 'morning' : 'evening';
+    targetDate = startOfDay(addDays(nowInZone, GARBAGE_TIMING_TARGETS[timing].daysAhead));
+  } else {
+    targetDate = /^\d{4}-\d{2}-\d{2}$/.test(String(date)) ? parseZonedDate(String(date), 'yyyy-MM-dd', timeZone) : null;
+    if (!targetDate) {
+      return createNotice('error', '日付は yyyy-MM-dd 形式で指定してください (例: 2025-04-02)。');
     }
-  });
+  }
 
-  let message = '';
-  if (reminders['3days'].length > 0) {
-    message += `【図書館】3日後に返却期限の本が ${reminders['3days'].length}冊 あります:\n`;
-    reminders['3days'].forEach(book => {
-      const returnDateStr = format(book.returnDate, 'yyyy/MM/dd');
-      message += `・ ${book.title} (返却期限: ${returnDateStr})\n`;
-    });
-    message += '\n';
+  const title = `【ゴミ出し】${formatDigestDay(targetDate)} の収集`;
+  const areas = config.areas.map(area => ({ name: area.name, garbage: getGarbageInfo(targetDate, area.schedule) || '収集はありません' }));
+  // 地区が1つだけなら地区名は付けない
+  if (areas.length === 1) {
+    return createMessage(`${title}: ${areas[0].garbage}`, [{ color: EMBED_COLORS.garbage, title, description: areas[0].garbage }]);
   }
-  if (reminders['1day'].length > 0) {
-    message += `【図書館】今日/明日が返却期限の本が ${reminders['1day'].length}冊 あります:\n`;
-    reminders['1day'].forEach(book => {
-      const returnDateStr = format(book.returnDate, 'yyyy/MM/dd');
-      message += `・ ${book.title} (返却期限: ${returnDateStr})\n`;
-    });
+  return createMessage(`${title}:\n${areas.map(area => `・ ${area.name}: ${area.garbage}`).join('\n')}`, [{
+    color: EMBED_COLORS.garbage,
+    title,
+    fields: areas.map(area => ({ name: area.name, value: area.garbage })),
+  }]);
+}
+
+/**
+ * /books: すべてのカードの貸出中の本を返却期限の近い順に知らせる
+ * @param {object} options コマンドのオプション（使う項目はない）
+ * @param {{nowInZone: Date, timeZone: string, getLibraryAccounts: () => Promise<Array<object>>}} context 現在・設定のタイムゾーンと図書館のカードを取得する関数
+ * @returns {Promise<{text: string, embeds: Array<object>}>} メッセージ
+ */
+async function answerBooksCommand(options, { nowInZone, timeZone, getLibraryAccounts }) {
+  const books = [];
+  const failedAccounts = [];
+  for (const account of await getLibraryAccounts()) {
+    try {
+      books.push(...await getLibraryBooksForAccount(account, timeZone));
+    } catch (libraryError) {
+      logger.error('Failed to get library books for the slash command', { account: account.name, error: libraryError });
+      failedAccounts.push(account);
+    }
+  }
+
+  const sorted = [...books].sort((a, b) => a.returnDate - b.returnDate);
+  const describeDue = book => {
+    const days = differenceInCalendarDays(book.returnDate, nowInZone);
+    return `返却期限: ${format(book.returnDate, 'yyyy/MM/dd')}${days < 0 ? `、${-days}日超過` : ''}`;
+  };
+  const failureNote = failedAccounts.length > 0 ? `${describeAccounts(failedAccounts)}貸出情報の取得に失敗しました。` : null;
+
+  if (sorted.length === 0) {
+    const title = `【図書館】貸出中の本は${failureNote ? '見つかりませんでした' : 'ありません'}`;
+    return createMessage(failureNote ? `${title}\n${failureNote}` : title, [{
+      color: failureNote ? EMBED_COLORS.error : EMBED_COLORS.library, title, description: failureNote || undefined,
+    }]);
+  }
+  const title = `【図書館】貸出中の本が ${sorted.length}冊 あります`;
+  const embed = createLibraryEmbed(title, sorted, describeDue);
+  let text = `${title}:\n${formatByOwner(sorted, book => `・ ${book.title} (${describeDue(book)})`).trim()}`;
+  if (failureNote) {
+    text += `\n${failureNote}`;
+    embed.description = failureNote;
+  }
+  return createMessage(text, [embed]);
+}
+
+/**
+ * /renew: 書名（一部でも可）が一致する貸出中の本を探し、1冊に絞れたら延長を申し込む
+ * カードを順に調べ、一致する本が最初に見つかったカードで申し込む
+ * @param {{title?: string}} options コマンドのオプション
+ * @param {{timeZone: string, getLibraryAccounts: () => Promise<Array<object>>}} context 設定のタイムゾーンと図書館のカードを取得する関数
+ * @returns {Promise<{text: string, embeds: Array<object>}>} メッセージ
+ */
+async function answerRenewCommand({ title = '' }, { timeZone, getLibraryAccounts }) {
+  const query = normalizeTitle(String(title));
+  if (!query) {
+    return createNotice('error', '延長する本の書名を指定してください。');
+  }
+
+  const failedAccounts = [];
+  for (const account of await getLibraryAccounts()) {
+    const adapter = createAccountAdapter(account, timeZone);
+    let found;
+    try {
+      found = await withLibrarySession(adapter, account.libraryId, account.libraryPassword,
+        '図書館の貸出情報の取得中にエラーが発生しました。', async session => {
+          const matches = (await adapter.listLoans(session)).filter(book => normalizeTitle(book.title).includes(query));
+          if (matches.length !== 1 || !adapter.renew) return { matches };
+          try {
+            const renewal = await adapter.renew(session, matches);
+            return { matches, result: renewal.results[0] };
+          } catch (renewalError) {
+            logger.error('Failed to renew books', { account: account.name, error: renewalError });
+            return { matches, result: { title: matches[0].title, renewed: false, reason: '延長の申し込み中にエラーが発生しました' } };
+          }
+        });
+    } catch (libraryError) {
+      // 詳細は withLibrarySession がログに出している
+      failedAccounts.push(account);
+      continue;
+    }
+
+    const { matches, result } = found;
+    if (matches.length === 0) continue;
+    const owner = account.name ? `（${account.name}）` : '';
+    if (matches.length > 1) {
+      return createNotice('library', [
+        `【図書館】「${title}」に一致する本が ${matches.length}冊 あります${owner}。書名をもっと詳しく指定してください:`,
+        ...matches.map(book => `・ ${book.title}`),
+      ].join('\n'));
+    }
+    if (!result) {
+      return createNotice('error', `【図書館】${adapter.displayName}は延長の申し込みに対応していません。`);
+    }
+    return result.renewed
+      ? createNotice('library', `【図書館】「${result.title}」${owner}を延長しました (新しい返却期限: ${format(result.returnDate, 'yyyy/MM/dd')})`)
+      : createNotice('error', `【図書館】「${result.title}」${owner}は延長できませんでした (${result.reason})`);
   }
 
-  return message.trim() || null; // メッセージが空なら null を返す
+  const failureNote = failedAccounts.length > 0 ? `\n${describeAccounts(failedAccounts)}貸出情報の取得に失敗しました。` : '';
+  return createNotice(failureNote ? 'error' : 'library', `【図書館】「${title}」に一致する貸出中の本は見つかりませんでした。${failureNote}`);
 }
 
+// コマンド名 -> 応答を作る関数
+// deferred: 図書館のスクレイピングは Discord の応答期限 (3秒) に間に合わないので、先に「考え中」と応答してから元の応答を書き換える
+// ephemeral: 家族の貸出中の書名をチャンネルに出さないよう、実行した人にだけ見える応答にする
+const SLASH_COMMANDS = {
+  gomi: { deferred: false, ephemeral: false, answer: answerGarbageCommand },
+  books: { deferred: true, ephemeral: true, answer: answerBooksCommand },
+  renew: { deferred: true, ephemeral: false, answer: answerRenewCommand },
+};
+
 /**
- * Discordのウェブフックを使用してメッセージを送信する
- * @param {string} webhookUrl Discordウェブフック URL
- * @param {string} message 送信するメッセージ
+ * Discord の Interactions エンドポイントへのリクエストを処理する
+ * 署名と署名の時刻を確かめ、PING には PONG で、コマンドにはすぐに、または deferred で応答してから元の応答を書き換えて答える
+ * 書き換えが終わるまで戻らない
+ * @param {object} req HTTP リクエスト（rawBody: 解釈する前の本文。Cloud Functions が設定する）
+ * @param {object} res HTTP レスポンス
+ * @param {object} [options]
+ * @param {Date} [options.now] 現在時刻
+ * @param {object} [options.config] 設定（省略時は config/config.json）
+ * @param {string} [options.publicKey] アプリケーションの公開鍵（省略時はシークレット discord-public-key）
+ * @param {Array<object>} [options.libraryAccounts] 図書館のカード（シークレットの値を含む。省略時はシークレットから取得）
+ * @param {string} [options.apiBaseUrl] Discord の API の URL（テスト用）
  * @returns {Promise<void>}
  */
-async function sendDiscordMessage(webhookUrl, message) {
-  if (!webhookUrl) {
-    throw new Error('Discord webhook URLが設定されていません。');
+async function handleInteractionRequest(req, res, { now = new Date(), config = getConfig(), publicKey, libraryAccounts, apiBaseUrl } = {}) {
+  let interaction;
+  try {
+    const key = publicKey || await createConfiguredSecretAccessor(config)(config.secrets.names.discordPublicKey);
+    const headers = req.headers || {};
+    if (!verifyInteractionSignature(key, headers['x-signature-ed25519'], headers['x-signature-timestamp'], req.rawBody, { now })) {
+      // Discord は署名の誤ったリクエストに 401 を返すかを確かめるので、必ず 401 にする
+      res.status(401).send('invalid request signature');
+      return;
+    }
+    interaction = JSON.parse(req.rawBody.toString());
+  } catch (error) {
+    logger.error('Interaction request failed', { error });
+    res.status(500).send('リクエストの処理に失敗しました。');
+    return;
   }
 
-  if (!message || message.trim() === '') {
-    console.log('送信するメッセージがありません。');
+  if (interaction.type === INTERACTION_TYPES.ping) {
+    res.status(200).json({ type: RESPONSE_TYPES.pong });
     return;
   }
+  const command = interaction.type === INTERACTION_TYPES.applicationCommand ? SLASH_COMMANDS[interaction.data.name] : null;
+  if (!command) {
+    res.status(200).json(createMessageResponse(createNotice('error', 'このコマンドには対応していません。'), { ephemeral: true }));
+    return;
+  }
+  logger.info('Slash command received', { command: interaction.data.name });
+
+  const timeZone = config.timeZone || DEFAULT_TIME_ZONE;
+  const context = {
+    config,
+    timeZone,
+    nowInZone: toZonedTime(now, timeZone),
+    getLibraryAccounts: async () => libraryAccounts || (await getSecrets(config, { includeRecipients: false })).libraryAccounts,
+  };
+  const answer = async () => {
+    try {
+      return await command.answer(getCommandOptions(interaction), context);
+    } catch (error) {
+      logger.error('Slash command failed', { command: interaction.data.name, error });
+      return createNotice('error', 'コマンドの実行中にエラーが発生しました。');
+    }
+  };
 
+  if (!command.deferred) {
+    const message = await answer();
+    res.status(200).json(createMessageResponse(message, { ephemeral: command.ephemeral }));
+    try {
+      await sendFollowUpMessages(interaction, message, { apiBaseUrl, ephemeral: command.ephemeral });
+    } catch (error) {
+      // 応答は返し済みなので何もしない（失敗は sendFollowUpMessages がログに出している）
+    }
+    return;
+  }
+  // 実行した人にだけ見えるかは deferred の応答で決まり、書き換えた後も変わらない
+  res.status(200).json({
+    type: RESPONSE_TYPES.deferredChannelMessage,
+    ...(command.ephemeral && { data: { flags: EPHEMERAL_FLAG } }),
+  });
   try {
-    console.log('Sending message to Discord...');
-    
-    // Discordの制限に合わせてメッセージを送信
-    const payload = {
-      content: message
-    };
-    
-    const response = await axios.post(webhookUrl, payload, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000 // 10秒のタイムアウト
-    });
-    
-    console.log(`Discord message sent. Response status: ${response.status}`);
+    await editOriginalResponse(interaction, await answer(), { apiBaseUrl, ephemeral: command.ephemeral });
   } catch (error) {
-    console.error('Failed to send Discord message:', error.message);
-    if (error.response) {
-      console.error('Discord API error:', error.response.status, error.response.data);
-    }
-    throw new Error('Discordへのメッセージ送信に失敗しました。');
+    // 応答は返し済みなので何もしない（失敗は editOriginalResponse がログに出している）
   }
 }
 
+exports.runReminder = runReminder;
+exports.parseRunOptions = parseRunOptions;
+
+// ローカルの CLI (cli.js) から使う関数
+exports.getSecrets = getSecrets;
+exports.getGarbageInfo = getGarbageInfo;
+exports.getLibraryBooksForAccount = getLibraryBooksForAccount;
+exports.createLibraryReminderMessage = createLibraryReminderMessage;
+
+// テストから使う関数（ローカルで署名したリクエストを渡す・カレンダーの中身を確かめる）
+exports.handleInteractionRequest = handleInteractionRequest;
+exports.createReminderCalendar = createReminderCalendar;
+
 // --- Cloud Functions のエントリーポイント (Pub/Sub トリガーの場合) ---
 // エクスポートする関数名はデプロイ時に指定します (例: discordReminder)
+// メッセージの属性 (date / dryRun / only / timing / mode) で実行を指定できる（dryRun のメッセージはログに出す）
+// 週間まとめは別のスケジュールから属性 mode=weekly を付けて発行する
+// 属性 retryAttempt / accounts を付けると、図書館の再試行として指定したカードだけを確認する
 exports.discordReminder = async (pubSubEvent, context) => {
-  // 関数が実行されたときのタイムスタンプ (通常はUTC)
-  const executionTime = new Date();
-  console.log(`Function started at ${executionTime.toISOString()} (UTC)`);
-
-  // --- JSTでの「明日」を計算 ---
-  // 注意: Cloud Functions のデフォルトタイムゾーンはUTCの場合が多いです。
-  // Cloud Scheduler で実行時間を JST で指定しても、Date() はUTC基準で動くことがあります。
-  // ここでは簡易的にUTCから9時間進めてJST相当とし、その日付で「明日」を計算します。
-  // より正確な方法は date-fns-tz を使うか、関数のタイムゾーン設定(第2世代)を利用します。
-  const JST_OFFSET = 9 * 60 * 60 * 1000; // 9時間 (ミリ秒)
-  const nowInJST = new Date(executionTime.getTime() + JST_OFFSET);
-  const tomorrowInJST = addDays(nowInJST, 1); // JST基準での明日
+  const attributes = (pubSubEvent && pubSubEvent.attributes) || {};
+  let options;
+  try {
+    options = parseRunOptions(attributes, getConfig());
+  } catch (error) {
+    // 属性の誤りは再試行しても直らないので、ログに残して終わる
+    logger.error('Invalid Pub/Sub message attributes', { error });
+    return;
+  }
+  const result = await runReminder(options);
+  if (result.dryRun) {
+    // 通知の本文（書名を含む）は LOG_REDACT=false の場合だけ出力される
+    logger.info('Dry run result', { ...result });
+  }
+};
 
-  // デバッグ用に日付を出力
-  console.log(`Calculated current JST (approx): ${format(nowInJST, 'yyyy-MM-dd HH:mm:ss')}`);
-  const targetDateStr = format(tomorrowInJST, 'yyyy-MM-dd');
-  console.log(`Target date for reminders: ${targetDateStr} (Tomorrow in JST)`);
+// --- Cloud Functions のエントリーポイント (HTTP トリガー: 送信内容のプレビュー用) ---
+// 例: https://<region>-<project>.cloudfunctions.net/reminderHttp?token=xxx&date=2025-04-01&only=garbage
+// token はシークレット reminder-http-token（設定の secrets.names.reminderHttpToken で変更可）と一致する必要がある
+// 送るはずのメッセージを JSON で返す。dryRun=false を指定した場合だけ実際に送信する
+// 図書館の再試行（retry.backend が cloud-tasks の場合）も、Cloud Tasks がこの関数に retryAttempt / accounts を付けて POST する
+exports.reminderHttp = async (req, res) => {
+  const params = { ...(req.body && typeof req.body === 'object' ? req.body : {}), ...(req.query || {}) };
 
   try {
-    // シークレットを取得
-    const secrets = await getSecrets();
-    console.log('Secrets fetched successfully.');
-
-    // --- ゴミ出し情報取得 ---
-    const garbageInfo = getGarbageInfo(tomorrowInJST);
-    if (garbageInfo) {
-      const garbageMessage = `【ゴミ出し】明日の収集 (${targetDateStr}): ${garbageInfo}`;
-      console.log(garbageMessage);
-      // Discord へゴミ出しメッセージを送信（ある時だけ）
-      await sendDiscordMessage(secrets.discordWebhookUrl, garbageMessage);
-    } else {
-      console.log('【ゴミ出し】明日の収集はありません。メッセージ送信をスキップします。');
+    const config = getConfig();
+    if (!await verifyToken(params.token, config.secrets.names.reminderHttpToken, config)) {
+      res.status(403).send('Forbidden');
+      return;
     }
 
-    // 図書館情報取得（初回）
-    let libraryMessage = null;
-    let firstAttemptFailed = false;
+    let options;
     try {
-        const books = await getLibraryBooks(secrets.libraryId, secrets.libraryPassword);
-        libraryMessage = createLibraryReminderMessage(books, nowInJST); // 今日の日付を基準にリマインドを計算
-        if (libraryMessage) {
-            console.log('Library reminders generated.');
-            console.log("Sending library message separately...");
-            await sendDiscordMessage(secrets.discordWebhookUrl, libraryMessage);
-        } else {
-            console.log('No library books due soon.');
-            // 通常は何も送らない（初回成功時）
-        }
-    } catch (libraryError) {
-        firstAttemptFailed = true;
-        console.error('Failed to get library info (1st attempt):', libraryError);
-        // 初回エラーは通知し、5分待って再試行
-        await sendDiscordMessage(secrets.discordWebhookUrl, '【図書館】貸出情報の取得に失敗しました。5分後に再試行します。');
-        const FIVE_MINUTES_MS = 5 * 60 * 1000;
-        await new Promise(resolve => setTimeout(resolve, FIVE_MINUTES_MS));
+      options = parseRunOptions(params, config, { dryRun: true });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+
+    const result = await runReminder(options);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error('Reminder HTTP request failed', { error });
+    res.status(500).json({ error: 'リマインドの実行に失敗しました。' });
+  }
+};
+
+// --- Cloud Functions のエントリーポイント (HTTP トリガー: カレンダー購読用) ---
+// 例: https://<region>-<project>.cloudfunctions.net/calendarFeed?token=xxx&from=2025-04-01&to=2025-06-30
+// token はシークレット calendar-feed-token（設定の secrets.names.calendarFeedToken で変更可）と一致する必要がある（購読 URL 自体が合言葉になる）
+exports.calendarFeed = async (req, res) => {
+  const query = req.query || {};
+
+  try {
+    // discordReminder と同じく設定のタイムゾーンの今日を基準にする
+    const config = getConfig();
+    const nowInZone = toZonedTime(new Date(), config.timeZone || DEFAULT_TIME_ZONE);
+    if (!await verifyToken(query.token, config.secrets.names.calendarFeedToken, config)) {
+      res.status(403).send('Forbidden');
+      return;
+    }
 
+    // 期間: 省略時は今日から60日間
+    // 日付は今日と同じタイムゾーンのその日の 0 時として解釈する
+    const parseQueryDate = value => (value ? parse(String(value), 'yyyy-MM-dd', nowInZone) : null);
+    const from = parseQueryDate(query.from) || startOfDay(nowInZone);
+    const to = parseQueryDate(query.to) || addDays(from, 60);
+    const days = differenceInCalendarDays(to, from);
+    if (!isValid(from) || !isValid(to) || days < 0 || days >= MAX_CALENDAR_DAYS) {
+      res.status(400).send(`from / to は yyyy-MM-dd 形式で、${MAX_CALENDAR_DAYS}日以内の期間を指定してください。`);
+      return;
+    }
+
+    // 地区の絞り込み (?area=koshio)
+    const { areas: allAreas } = config;
+    const areas = query.area ? allAreas.filter(area => area.id === query.area) : allAreas;
+    if (areas.length === 0) {
+      res.status(404).send(`地区 "${query.area}" は設定されていません。`);
+      return;
+    }
+
+    // 図書館のスクレイピングは時間がかかるので ?library=false で省略できる
+    // 図書館のシークレットや貸出一覧が取得できなくても、ゴミ出しのカレンダーは返す（図書館のイベントだけを省く）
+    const books = [];
+    if (query.library !== 'false') {
+      let libraryAccounts = [];
+      try {
+        ({ libraryAccounts } = await getSecrets(config, { includeRecipients: false }));
+      } catch (secretError) {
+        logger.error('Failed to get library secrets for calendar feed', { error: secretError });
+      }
+      for (const account of libraryAccounts) {
         try {
-            const booksRetry = await getLibraryBooks(secrets.libraryId, secrets.libraryPassword);
-            const retryMessage = createLibraryReminderMessage(booksRetry, nowInJST);
-            if (retryMessage) {
-                console.log('Library reminders generated on retry.');
-                await sendDiscordMessage(secrets.discordWebhookUrl, retryMessage);
-            } else {
-                console.log('No library books due soon on retry.');
-                // 初回が失敗している場合に限り、「なし」を通知
-                await sendDiscordMessage(secrets.discordWebhookUrl, '【図書館】返却期限の本はありません。');
-            }
-        } catch (retryError) {
-            console.error('Failed to get library info on retry:', retryError);
-            await sendDiscordMessage(secrets.discordWebhookUrl, '【図書館】再試行も失敗しました。今回は諦めます。');
+          books.push(...await getLibraryBooksForAccount(account, config.timeZone || DEFAULT_TIME_ZONE));
+        } catch (libraryError) {
+          logger.error('Failed to get library books for calendar feed', { account: account.name, error: libraryError });
         }
+      }
     }
 
-    console.log('Function finished successfully.');
-
+    const calendar = createReminderCalendar({ from, to, areas, books, timeZone: config.timeZone || DEFAULT_TIME_ZONE });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.status(200).send(calendar);
   } catch (error) {
-    console.error('Function execution failed:', error);
-    // エラー発生時はリトライさせるためにエラーを再スローするのが一般的
-    throw error;
+    logger.error('Calendar feed failed', { error });
+    res.status(500).send('カレンダーの生成に失敗しました。');
   }
 };
 
-// --- ローカルテスト用 (オプション) ---
-// ローカルで `node index.js` を実行したときに getSecrets を試す
-// if (require.main === module) {
-//   (async () => {
-//     try {
-//       // ローカルテストには Application Default Credentials (ADC) の設定が必要です
-//       // gcloud auth application-default login
-//       console.log('Running local test...');
-//       const secrets = await getSecrets();
-//       console.log('Local test secrets fetched:');
-//       console.log('- Library ID:', secrets.libraryId ? 'Fetched' : 'Failed');
-//       console.log('- Library Password:', secrets.libraryPassword ? 'Fetched' : 'Failed');
-//       console.log('- Discord Webhook URL:', secrets.discordWebhookUrl ? 'Fetched' : 'Failed');
-      
-//       // ローカルでゴミ出し情報テストも追加
-//       const today = new Date();
-//       const tomorrow = addDays(today, 1);
-//       const testGarbage = getGarbageInfo(tomorrow);
-//       console.log(`Garbage info for ${format(tomorrow, 'yyyy-MM-dd')}: ${testGarbage || 'None'}`);
-      
-//       // 図書館情報を保持する変数（Discord送信でも使うため）
-//       let libReminder = null;
-      
-//       // 図書館情報取得テストを追加 (ID/PWが必要)
-//       if (secrets.libraryId && secrets.libraryPassword) {
-//           console.log('Testing library scrape...');
-//           const books = await getLibraryBooks(secrets.libraryId, secrets.libraryPassword);
-//           libReminder = createLibraryReminderMessage(books, today);
-//           console.log('Library Reminder Message:');
-//           console.log(libReminder || 'None');
-//       } else {
-//           console.warn('Skipping library scrape test: ID or Password secret not found.');
-//       }
-      
-//       // Discordメッセージ送信テスト
-//       if (secrets.discordWebhookUrl) {
-//           console.log('Testing Discord message sending...');
-//           const testGarbageMessage = `【ゴミ出し】明日の収集 (${format(tomorrow, 'yyyy-MM-dd')}): ${testGarbage || 'ありません'}`;
-          
-//           // 図書館リマインダーメッセージの追加
-//           let testLibraryMessage = '';
-//           if (libReminder) {
-//               testLibraryMessage = `\n\n${libReminder}`;
-//           }
-          
-//           const testMessage = `🔔 テスト通知 (${format(today, 'yyyy-MM-dd HH:mm:ss')})\n${testGarbageMessage}${testLibraryMessage}`;
-          
-//           // 送信するメッセージの内容をログに出力
-//           console.log('Message to be sent to Discord:');
-//           console.log(testMessage);
-//           console.log('---------------------');
-          
-//           try {
-//               await sendDiscordMessage(secrets.discordWebhookUrl, testMessage);
-//               console.log('Discord test message sent successfully');
-//           } catch (discordError) {
-//               console.error('Discord test failed:', discordError.message);
-//           }
-//       } else {
-//           console.warn('Skipping Discord test: webhook URL not found.');
-//       }
-//     } catch (error) {
-//       console.error('Local test failed:', error);
-//     }
-//   })();
-// }
-
-
+// --- Cloud Functions のエントリーポイント (HTTP トリガー: Discord のスラッシュコマンド用) ---
+// Discord の Developer Portal でアプリケーションの INTERACTIONS ENDPOINT URL にこの関数の URL を設定する
+// 署名はシークレット discord-public-key（設定の secrets.names.discordPublicKey で変更可）のアプリケーションの公開鍵で確かめる
+// /books・/renew は応答を返した後に図書館を調べるので、CPU が応答後も割り当てられるようにデプロイする（README 参照）
+exports.discordInteractions = async (req, res) => {
+  await handleInteractionRequest(req, res);
+};
@@ -0,0 +1,419 @@
+// 設定ファイル (config/config.json) の読み込みと検証を行うモジュール
+const fs = require('fs');
+const path = require('path');
+const { loadGarbageSchedule } = require('./garbage-schedule');
+const { DEFAULT_LIBRARY_ADAPTER, LIBRARY_ADAPTERS } = require('./library');
+const { NOTIFICATION_TOPICS, NOTIFIER_TYPES } = require('./notifiers');
+const { DEFAULT_RETRY_POLICY, RETRY_BACKENDS } = require('./retry');
+const { DEFAULT_SECRET_NAMES, SECRET_BACKENDS } = require('./secrets');
+const { STATE_BACKENDS } = require('./state');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('./time');
+
+// デフォルトの設定ファイル (環境変数 CONFIG_PATH で差し替え可能)
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'config.json');
+
+// 地区ごとの Discord ウェブフックを省略した場合に使うシークレット名
+// 図書館の通知も、通知先 (recipients) を設定しなければこのウェブフックに送る
+const DEFAULT_WEBHOOK_SECRET = 'discord-webhook-url';
+
+// リマインドのタイミング (reminders) の既定値
+// libraryDays: 返却期限の何日前に知らせるか（0 は当日）
+// garbage: ゴミ出しを知らせる実行の時間帯（evening: 前日の夕方に翌日の収集、morning: 当日の朝にその日の収集）
+const DEFAULT_REMINDERS = { libraryDays: [3, 1, 0], garbage: ['evening'] };
+
+// ゴミ出しを知らせる実行の時間帯
+const GARBAGE_TIMINGS = ['evening', 'morning'];
+
+// 図書館のカードを設定しなかった場合は従来どおり1枚分のシークレットを使う
+const DEFAULT_LIBRARY_ACCOUNTS = [
+  { name: '', adapter: DEFAULT_LIBRARY_ADAPTER, idSecret: 'library-id', passwordSecret: 'library-password' },
+];
+
+/**
+ * 地区 (areas) の定義を検証し、問題があれば errors に追加する
+ * @param {Array<object>} areas 地区定義の配列
+ * @param {string[]} errors エラーメッセージの格納先
+ */
+function validateAreas(areas, errors) {
+  if (!Array.isArray(areas) || areas.length === 0) {
+    errors.push('areas: 地区を1つ以上定義してください');
+    return;
+  }
+  const ids = new Set();
+  areas.forEach((area, i) => {
+    const where = `areas[${i}]`;
+    if (!area || typeof area !== 'object') {
+      errors.push(`${where}: 地区はオブジェクトである必要があります`);
+      return;
+    }
+    if (typeof area.id !== 'string' || !/^[a-z0-9_-]+$/i.test(area.id)) {
+      errors.push(`${where}.id: 英数字・ハイフン・アンダースコアの ID を指定してください`);
+    } else if (ids.has(area.id)) {
+      errors.push(`${where}.id: "${area.id}" が重複しています`);
+    } else {
+      ids.add(area.id);
+    }
+    if (typeof area.name !== 'string' || area.name.trim() === '') {
+      errors.push(`${where}.name: 地区名を指定してください`);
+    }
+    if (typeof area.schedule !== 'string' || area.schedule.trim() === '') {
+      errors.push(`${where}.schedule: スケジュールファイルのパスを指定してください`);
+    }
+    if (area.discordWebhookSecret !== undefined &&
+        (typeof area.discordWebhookSecret !== 'string' || area.discordWebhookSecret.trim() === '')) {
+      errors.push(`${where}.discordWebhookSecret: シークレット名を文字列で指定してください`);
+    }
+  });
+}
+
+/**
+ * 図書館のカード (libraryAccounts) の定義を検証し、問題があれば errors に追加する
+ * @param {Array<object>} accounts カード定義の配列
+ * @param {string[]} errors エラーメッセージの格納先
+ */
+function validateLibraryAccounts(accounts, errors) {
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    errors.push('libraryAccounts: カードを1枚以上定義してください');
+    return;
+  }
+  const names = new Set();
+  accounts.forEach((account, i) => {
+    const where = `libraryAccounts[${i}]`;
+    if (!account || typeof account !== 'object') {
+      errors.push(`${where}: カードはオブジェクトである必要があります`);
+      return;
+    }
+    // 複数枚ある場合は誰のカードか区別できるよう名前を必須にする
+    if (typeof account.name !== 'string' || (accounts.length > 1 && account.name.trim() === '')) {
+      errors.push(`${where}.name: カードの持ち主の表示名を指定してください`);
+    } else if (names.has(account.name)) {
+      errors.push(`${where}.name: "${account.name}" が重複しています`);
+    } else {
+      names.add(account.name);
+    }
+    ['idSecret', 'passwordSecret'].forEach(key => {
+      if (typeof account[key] !== 'string' || account[key].trim() === '') {
+        errors.push(`${where}.${key}: シークレット名を指定してください`);
+      }
+    });
+    if (account.adapter !== undefined && !Object.hasOwn(LIBRARY_ADAPTERS, account.adapter)) {
+      errors.push(`${where}.adapter: "${account.adapter}" は未対応です (${Object.keys(LIBRARY_ADAPTERS).join(' / ')} のいずれか)`);
+    }
+    if (account.autoRenew !== undefined && typeof account.autoRenew !== 'boolean') {
+      errors.push(`${where}.autoRenew: true または false を指定してください`);
+    }
+    if (account.adapterOptions !== undefined &&
+        (!account.adapterOptions || typeof account.adapterOptions !== 'object' || Array.isArray(account.adapterOptions))) {
+      errors.push(`${where}.adapterOptions: オブジェクトで指定してください`);
+    }
+  });
+}
+
+/**
+ * リマインドのタイミング (reminders) の定義を検証し、問題があれば errors に追加する
+ * @param {object} reminders タイミングの定義
+ * @param {string} where エラーメッセージに含める場所 (例: "reminders")
+ * @param {string[]} errors エラーメッセージの格納先
+ */
+function validateReminders(reminders, where, errors) {
+  if (!reminders || typeof reminders !== 'object' || Array.isArray(reminders)) {
+    errors.push(`${where}: オブジェクトで指定してください`);
+    return;
+  }
+  const { libraryDays, garbage } = reminders;
+  if (libraryDays !== undefined &&
+      (!Array.isArray(libraryDays) || !libraryDays.every(days => Number.isInteger(days) && days >= 0) ||
+       new Set(libraryDays).size !== libraryDays.length)) {
+    errors.push(`${where}.libraryDays: 返却期限の何日前かを 0 以上の整数の配列（重複なし）で指定してください`);
+  }
+  if (garbage !== undefined &&
+      (!Array.isArray(garbage) || garbage.some(timing => !GARBAGE_TIMINGS.includes(timing)))) {
+    errors.push(`${where}.garbage: ${GARBAGE_TIMINGS.join(' / ')} の配列で指定してください`);
+  }
+}
+
+/**
+ * 通知先 (recipients) の定義を検証し、問題があれば errors に追加する
+ * @param {Array<object>} recipients 通知先定義の配列
+ * @param {Array<object>} areas 地区定義の配列（areas の指定の検証に使う）
+ * @param {string[]} errors エラーメッセージの格納先
+ */
+function validateRecipients(recipients, areas, errors) {
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    errors.push('recipients: 通知先を1つ以上定義してください');
+    return;
+  }
+  const areaIds = Array.isArray(areas) ? areas.map(area => area && area.id) : [];
+  const names = new Set();
+  const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+  recipients.forEach((recipient, i) => {
+    const where = `recipients[${i}]`;
+    if (!recipient || typeof recipient !== 'object') {
+      errors.push(`${where}: 通知先はオブジェクトである必要があります`);
+      return;
+    }
+    if (!isNonEmptyString(recipient.name)) {
+      errors.push(`${where}.name: 通知先の名前を指定してください`);
+    } else if (names.has(recipient.name)) {
+      errors.push(`${where}.name: "${recipient.name}" が重複しています`);
+    } else {
+      names.add(recipient.name);
+    }
+
+    const notifierType = NOTIFIER_TYPES[recipient.type];
+    if (!Object.hasOwn(NOTIFIER_TYPES, recipient.type)) {
+      errors.push(`${where}.type: ${Object.keys(NOTIFIER_TYPES).join(' / ')} のいずれかを指定してください`);
+    } else {
+      Object.keys(notifierType.secrets).forEach(key => {
+        if (!isNonEmptyString(recipient[key])) {
+          errors.push(`${where}.${key}: シークレット名を指定してください`);
+        }
+      });
+      notifierType.settings.forEach(key => {
+        const value = recipient[key];
+        const valid = Array.isArray(value) ? value.length > 0 && value.every(isNonEmptyString) : isNonEmptyString(value);
+        if (!valid) {
+          errors.push(`${where}.${key}: 指定してください`);
+        }
+      });
+    }
+
+    if (recipient.mentions !== undefined) {
+      if (Object.hasOwn(NOTIFIER_TYPES, recipient.type) && !notifierType.mentions) {
+        errors.push(`${where}.mentions: ${recipient.type} の通知先はメンションに対応していません`);
+      } else if (!Array.isArray(recipient.mentions) || !recipient.mentions.every(isNonEmptyString)) {
+        errors.push(`${where}.mentions: メンションの文字列の配列で指定してください`);
+      }
+    }
+    if (recipient.topics !== undefined &&
+        (!Array.isArray(recipient.topics) || recipient.topics.some(topic => !NOTIFICATION_TOPICS.includes(topic)))) {
+      errors.push(`${where}.topics: ${NOTIFICATION_TOPICS.join(' / ')} の配列で指定してください`);
+    }
+    if (recipient.areas !== undefined &&
+        (!Array.isArray(recipient.areas) || recipient.areas.some(areaId => !areaIds.includes(areaId)))) {
+      errors.push(`${where}.areas: areas に定義した地区 ID の配列で指定してください`);
+    }
+    if (recipient.reminders !== undefined) {
+      validateReminders(recipient.reminders, `${where}.reminders`, errors);
+    }
+  });
+}
+
+/**
+ * 状態の保存先 (state) の定義を検証し、問題があれば errors に追加する
+ * @param {object} state 保存先の定義
+ * @param {string[]} errors エラーメッセージの格納先
+ */
+function validateState(state, errors) {
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    errors.push('state: オブジェクトで指定してください');
+    return;
+  }
+  if (!Object.hasOwn(STATE_BACKENDS, state.backend)) {
+    errors.push(`state.backend: ${Object.keys(STATE_BACKENDS).join(' / ')} のいずれかを指定してください`);
+  }
+  if (state.backend === 'file' && (typeof state.path !== 'string' || state.path.trim() === '')) {
+    errors.push('state.path: 状態を保存するファイルのパスを指定してください');
+  }
+  if (state.collection !== undefined && (typeof state.collection !== 'string' || !/^[^/]+$/.test(state.collection))) {
+    errors.push('state.collection: "/" を含まないコレクション名を指定してください');
+  }
+}
+
+/**
+ * シークレットの読み込み元 (secrets) の定義を検証し、問題があれば errors に追加する
+ * @param {object} secrets 読み込み元の定義
+ * @param {string[]} errors エラーメッセージの配列
+ */
+function validateSecrets(secrets, errors) {
+  if (!secrets || typeof secrets !== 'object' || Array.isArray(secrets)) {
+    errors.push('secrets: オブジェクトで指定してください');
+    return;
+  }
+  if (secrets.backend !== undefined && !Object.hasOwn(SECRET_BACKENDS, secrets.backend)) {
+    errors.push(`secrets.backend: ${Object.keys(SECRET_BACKENDS).join(' / ')} のいずれかを指定してください`);
+  }
+  if (secrets.backend === 'file' && (typeof secrets.path !== 'string' || secrets.path.trim() === '')) {
+    errors.push('secrets.path: シークレットのファイルのパスを指定してください');
+  }
+  ['projectId', 'version', 'prefix'].forEach(key => {
+    if (secrets[key] !== undefined && (typeof secrets[key] !== 'string' || secrets[key].trim() === '')) {
+      errors.push(`secrets.${key}: 文字列で指定してください`);
+    }
+  });
+  if (secrets.names !== undefined) {
+    if (!secrets.names || typeof secrets.names !== 'object' || Array.isArray(secrets.names)) {
+      errors.push('secrets.names: オブジェクトで指定してください');
+      return;
+    }
+    Object.entries(secrets.names).forEach(([key, name]) => {
+      if (!Object.hasOwn(DEFAULT_SECRET_NAMES, key)) {
+        errors.push(`secrets.names.${key}: ${Object.keys(DEFAULT_SECRET_NAMES).join(' / ')} のいずれかを指定してください`);
+      } else if (typeof name !== 'string' || name.trim() === '') {
+        errors.push(`secrets.names.${key}: シークレット名を指定してください`);
+      }
+    });
+  }
+}
+
+/**
+ * 図書館の再試行 (retry) の定義を検証し、問題があれば errors に追加する
+ * @param {object} retry 再試行の定義
+ * @param {string[]} errors エラーメッセージの格納先
+ */
+function validateRetry(retry, errors) {
+  if (!retry || typeof retry !== 'object' || Array.isArray(retry)) {
+    errors.push('retry: オブジェクトで指定してください');
+    return;
+  }
+  if (retry.backend !== undefined && !Object.hasOwn(RETRY_BACKENDS, retry.backend)) {
+    errors.push(`retry.backend: ${Object.keys(RETRY_BACKENDS).join(' / ')} のいずれかを指定してください`);
+  }
+  if (retry.backend === 'cloud-tasks') {
+    ['location', 'queue'].forEach(key => {
+      if (typeof retry[key] !== 'string' || retry[key].trim() === '') {
+        errors.push(`retry.${key}: Cloud Tasks のキューの${key === 'location' ? 'リージョン' : '名前'}を指定してください`);
+      }
+    });
+  }
+  ['projectId', 'url'].forEach(key => {
+    if (retry[key] !== undefined && (typeof retry[key] !== 'string' || retry[key].trim() === '')) {
+      errors.push(`retry.${key}: 文字列で指定してください`);
+    }
+  });
+  if (retry.maxAttempts !== undefined && !(Number.isInteger(retry.maxAttempts) && retry.maxAttempts >= 1)) {
+    errors.push('retry.maxAttempts: 1 以上の整数を指定してください');
+  }
+  if (retry.multiplier !== undefined && !(typeof retry.multiplier === 'number' && retry.multiplier >= 1)) {
+    errors.push('retry.multiplier: 1 以上の数を指定してください');
+  }
+  ['initialDelayMinutes', 'maxDelayMinutes'].forEach(key => {
+    if (retry[key] !== undefined && !(typeof retry[key] === 'number' && retry[key] > 0)) {
+      errors.push(`retry.${key}: 0 より大きい数（分）を指定してください`);
+    }
+  });
+}
+
+/**
+ * 通知先を設定しなかった場合の通知先（従来どおり Discord だけ）
+ * ゴミ出しは地区ごとのウェブフック、図書館は DEFAULT_WEBHOOK_SECRET のウェブフックに送る
+ * @param {Array<{id: string, name: string, discordWebhookSecret: string}>} areas 地区定義の配列（既定値を補ったもの）
+ * @returns {Array<object>} 通知先の配列
+ */
+function defaultRecipients(areas) {
+  return [
+    ...areas.map(area => ({
+      name: `Discord (${area.name})`,
+      type: 'discord',
+      webhookSecret: area.discordWebhookSecret,
+      topics: ['garbage'],
+      areas: [area.id],
+    })),
+    { name: 'Discord (図書館)', type: 'discord', webhookSecret: DEFAULT_WEBHOOK_SECRET, topics: ['library'] },
+  ];
+}
+
+/**
+ * 通知先のリマインドのタイミングを決める（通知先の reminders > 全体の reminders > 既定値 の順に項目ごとに優先）
+ * @param {{reminders?: object}} config 設定
+ * @param {{reminders?: object}} recipient 通知先
+ * @returns {{libraryDays: number[], garbage: string[]}} タイミング
+ */
+function reminderPreferences(config, recipient) {
+  return { ...DEFAULT_REMINDERS, ...config.reminders, ...recipient.reminders };
+}
+
+/**
+ * 設定ファイルを読み込み、検証した上で各地区のスケジュールも読み込む
+ * スケジュールファイルのパスは設定ファイルからの相対パスとして解決する
+ * @param {string} [filePath] 設定ファイルのパス
+ * @returns {{
+ *   areas: Array<{id: string, name: string, schedule: object, discordWebhookSecret: string}>,
+ *   libraryAccounts: Array<{name: string, adapter: string, idSecret: string, passwordSecret: string, autoRenew?: boolean, adapterOptions?: object}>,
+ *   recipients: Array<{name: string, type: string, topics?: string[], areas?: string[], reminders?: object}>,
+ *   timeZone: string,
+ *   reminders?: {libraryDays?: number[], garbage?: string[]},
+ *   state?: {backend: string, path?: string, collection?: string},
+ *   secrets: {backend: string, path?: string, projectId?: string, version?: string, prefix?: string, names: {reminderHttpToken: string, calendarFeedToken: string}},
+ *   retry: {backend: string, maxAttempts: number, initialDelayMinutes: number, multiplier: number, maxDelayMinutes: number, projectId?: string, location?: string, queue?: string, url?: string}
+ * }} 設定
+ */
+function loadConfig(filePath = process.env.CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`設定ファイルを読み込めませんでした (${filePath}): ${error.message}`);
+  }
+
+  const errors = [];
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    errors.push('設定はオブジェクトである必要があります');
+  } else {
+    validateAreas(config.areas, errors);
+    if (config.libraryAccounts !== undefined) {
+      validateLibraryAccounts(config.libraryAccounts, errors);
+    }
+    if (config.timeZone !== undefined && !isValidTimeZone(config.timeZone)) {
+      errors.push('timeZone: IANA のタイムゾーン名 (例: Asia/Tokyo) を指定してください');
+    }
+    if (config.reminders !== undefined) {
+      validateReminders(config.reminders, 'reminders', errors);
+    }
+    if (config.recipients !== undefined) {
+      validateRecipients(config.recipients, config.areas, errors);
+    }
+    if (config.state !== undefined) {
+      validateState(config.state, errors);
+    }
+    if (config.secrets !== undefined) {
+      validateSecrets(config.secrets, errors);
+    }
+    if (config.retry !== undefined) {
+      validateRetry(config.retry, errors);
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`設定ファイルが不正です (${filePath}):\n- ${errors.join('\n- ')}`);
+  }
+
+  const baseDir = path.dirname(filePath);
+  const areas = config.areas.map(area => ({
+    ...area,
+    discordWebhookSecret: area.discordWebhookSecret || DEFAULT_WEBHOOK_SECRET,
+    schedule: loadGarbageSchedule(path.resolve(baseDir, area.schedule)),
+  }));
+  return {
+    ...config,
+    // 日付の計算に使うタイムゾーン
+    timeZone: config.timeZone || DEFAULT_TIME_ZONE,
+    areas,
+    recipients: config.recipients || defaultRecipients(areas),
+    // 状態ファイルのパスもスケジュールと同じく設定ファイルからの相対パス
+    state: config.state && config.state.path
+      ? { ...config.state, path: path.resolve(baseDir, config.state.path) }
+      : config.state,
+    // シークレットの読み込み元（省略時は Secret Manager）。ファイルのパスは設定ファイルからの相対パス
+    secrets: {
+      backend: 'secret-manager',
+      ...config.secrets,
+      ...(config.secrets && config.secrets.path && { path: path.resolve(baseDir, config.secrets.path) }),
+      names: { ...DEFAULT_SECRET_NAMES, ...(config.secrets && config.secrets.names) },
+    },
+    // 図書館の再試行の登録先と間隔・回数（省略時の memory は CLI だけが実行するので、関数では再試行しない）
+    retry: { backend: 'memory', ...DEFAULT_RETRY_POLICY, ...config.retry },
+    libraryAccounts: (config.libraryAccounts || DEFAULT_LIBRARY_ACCOUNTS).map(account => ({
+      ...account,
+      adapter: account.adapter || DEFAULT_LIBRARY_ADAPTER,
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  DEFAULT_REMINDERS,
+  DEFAULT_WEBHOOK_SECRET,
+  GARBAGE_TIMINGS,
+  loadConfig,
+  reminderPreferences,
+};
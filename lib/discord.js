@@ -0,0 +1,317 @@
+// Discord ウェブフックへのメッセージ送信（埋め込み・分割・プレーンテキストへのフォールバック）
+// メッセージは { text, embeds } の形で扱う。text はプレーンテキストで送る場合とログ出力に使う
+const axios = require('axios');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('discord');
+
+// Discord の文字数などの上限
+// https://discord.com/developers/docs/resources/message#embed-object-embed-limits
+const DISCORD_LIMITS = {
+  content: 2000,
+  title: 256,
+  description: 4096,
+  fields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  embedsPerMessage: 10,
+  embedTotal: 6000, // 1回の投稿に含まれる埋め込みの文字数の合計
+};
+
+// 埋め込みの色（左端の帯）
+const EMBED_COLORS = {
+  garbage: 0x43a047, // ゴミ出し: 緑
+  library: 0x1e88e5, // 図書館: 青
+  overdue: 0xfb8c00, // 返却期限切れ: 橙
+  error: 0xe53935, // 取得の失敗・長期の延滞など: 赤
+  scraper: 0x8e24aa, // 図書館のページの構造の変化: 紫
+};
+
+/**
+ * 埋め込みとプレーンテキストを持つメッセージを作る
+ * @param {string} text プレーンテキストの本文
+ * @param {Array<{title?: string, description?: string, color?: number, fields?: Array<{name: string, value: string}>}>} [embeds] 埋め込み
+ * @param {{mention?: boolean}} [options] mention: 通知先に設定したメンバーにメンションするか（長期の延滞など）
+ * @returns {{text: string, embeds: Array<object>, mention?: boolean}} メッセージ
+ */
+function createMessage(text, embeds = [], { mention = false } = {}) {
+  return mention ? { text, embeds, mention } : { text, embeds };
+}
+
+/**
+ * 1行だけのお知らせ（取得の失敗など）のメッセージを作る
+ * @param {'garbage' | 'library' | 'error'} kind 色分けの種類
+ * @param {string} text お知らせの本文
+ * @returns {{text: string, embeds: Array<object>}} メッセージ
+ */
+function createNotice(kind, text) {
+  return createMessage(text, [{ color: EMBED_COLORS[kind], description: text }]);
+}
+
+/**
+ * 複数のメッセージを1つにまとめる（null は除く）
+ * プレーンテキストは空行区切りで連結し、埋め込みは順に並べる
+ * どれか1つでもメンションするメッセージがあれば、まとめたメッセージもメンションする
+ * @param {...({text: string, embeds: Array<object>} | null)} messages メッセージ
+ * @returns {{text: string, embeds: Array<object>} | null} まとめたメッセージ、すべて null の場合は null
+ */
+function joinMessages(...messages) {
+  const present = messages.filter(Boolean);
+  if (present.length === 0) return null;
+  return createMessage(
+    present.map(message => message.text).join('\n\n'),
+    present.flatMap(message => message.embeds),
+    { mention: present.some(message => message.mention) },
+  );
+}
+
+/**
+ * 上限を超える文字列を末尾を省略して切り詰める
+ * @param {string} text 文字列
+ * @param {number} limit 上限の文字数
+ * @returns {string} 上限以内の文字列
+ */
+function truncate(text, limit) {
+  return text.length > limit ? `${text.substring(0, limit - 1)}…` : text;
+}
+
+/**
+ * 文字列を上限以内の塊に分割する（なるべく行の区切りで分ける）
+ * @param {string} text 文字列
+ * @param {number} limit 1つの塊の上限の文字数
+ * @returns {string[]} 分割した文字列
+ */
+function splitText(text, limit) {
+  const chunks = [];
+  let current = '';
+  text.split('\n').forEach(line => {
+    // 1行だけで上限を超える場合は行の途中で分ける
+    while (line.length > limit) {
+      if (current) chunks.push(current);
+      current = '';
+      chunks.push(line.substring(0, limit));
+      line = line.substring(limit);
+    }
+    const joined = current ? `${current}\n${line}` : line;
+    if (joined.length > limit) {
+      chunks.push(current);
+      current = line;
+    } else {
+      current = joined;
+    }
+  });
+  if (current.trim()) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * 埋め込みの文字数（上限の計算に含まれる部分の合計）
+ * @param {object} embed 埋め込み
+ * @returns {number} 文字数
+ */
+function embedLength(embed) {
+  return (embed.title || '').length + (embed.description || '').length +
+    (embed.fields || []).reduce((sum, field) => sum + field.name.length + field.value.length, 0);
+}
+
+/**
+ * 1つの埋め込みを Discord の上限に収まる複数の埋め込みに分ける
+ * 説明文は 4096 文字ごと、フィールドは 25 個ごと（かつ合計 6000 文字以内）に分け、
+ * 2つ目以降の埋め込みの見出しには「（続き）」を付ける
+ * @param {object} embed 埋め込み
+ * @returns {Array<object>} 上限に収まる埋め込み
+ */
+function splitEmbed(embed) {
+  const title = embed.title ? truncate(embed.title, DISCORD_LIMITS.title) : undefined;
+  const continuedTitle = embed.title ? truncate(`${embed.title}（続き）`, DISCORD_LIMITS.title) : undefined;
+  const fields = (embed.fields || []).map(field => ({
+    ...field,
+    name: truncate(field.name || '-', DISCORD_LIMITS.fieldName),
+    value: truncate(field.value || '-', DISCORD_LIMITS.fieldValue),
+  }));
+
+  const parts = [];
+  const startPart = () => {
+    const part = { color: embed.color, title: parts.length === 0 ? title : continuedTitle };
+    parts.push(part);
+    return part;
+  };
+
+  let current = startPart();
+  const descriptions = embed.description ? splitText(embed.description, DISCORD_LIMITS.description) : [];
+  descriptions.forEach((description, i) => {
+    if (i > 0) current = startPart();
+    current.description = description;
+  });
+
+  fields.forEach(field => {
+    const count = (current.fields || []).length;
+    if (count >= DISCORD_LIMITS.fields ||
+        embedLength(current) + field.name.length + field.value.length > DISCORD_LIMITS.embedTotal) {
+      current = startPart();
+    }
+    current.fields = [...(current.fields || []), field];
+  });
+
+  return parts;
+}
+
+/**
+ * 埋め込みを上限に収まるように分割し、ウェブフックに投稿する単位にまとめる
+ * 1回の投稿は埋め込み 10 個・合計 6000 文字まで
+ * @param {Array<object>} embeds 埋め込み
+ * @returns {Array<{embeds: Array<object>}>} 投稿するペイロード
+ */
+function buildEmbedPayloads(embeds) {
+  const payloads = [];
+  let current = null;
+  let total = 0;
+  embeds.flatMap(splitEmbed).forEach(embed => {
+    const length = embedLength(embed);
+    if (!current || current.embeds.length >= DISCORD_LIMITS.embedsPerMessage ||
+        total + length > DISCORD_LIMITS.embedTotal) {
+      current = { embeds: [] };
+      payloads.push(current);
+      total = 0;
+    }
+    current.embeds.push(embed);
+    total += length;
+  });
+  return payloads;
+}
+
+/**
+ * プレーンテキストを 2000 文字ごとに分け、ウェブフックに投稿する単位にする
+ * @param {string} text 本文
+ * @returns {Array<{content: string}>} 投稿するペイロード
+ */
+function buildTextPayloads(text) {
+  return splitText(text, DISCORD_LIMITS.content).map(content => ({ content }));
+}
+
+/**
+ * 埋め込みをプレーンテキストにする（見出し・説明文・「名前: 値」のフィールドを行ごとに並べる）
+ * @param {object} embed 埋め込み
+ * @returns {string} 本文
+ */
+function embedToText(embed) {
+  return [
+    embed.title,
+    embed.description,
+    ...(embed.fields || []).map(field => `${field.name}: ${field.value}`),
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * メンションの文字列 (<@ユーザーID> / <@&ロールID>) から allowed_mentions を作る
+ * 本文中の他の文字列（書名など）で意図しないメンションが飛ばないように、指定した ID だけを許可する
+ * @param {string[]} mentions メンションの文字列
+ * @returns {{parse: string[], users: string[], roles: string[]}} allowed_mentions
+ */
+function buildAllowedMentions(mentions) {
+  const idsOf = pattern => mentions.map(mention => (mention.match(pattern) || [])[1]).filter(Boolean);
+  return { parse: [], users: idsOf(/^<@!?(\d+)>$/), roles: idsOf(/^<@&(\d+)>$/) };
+}
+
+/**
+ * ウェブフックに1回分のペイロードを投稿する
+ * レート制限 (429) の場合は指定された時間だけ待って1回だけ再送する
+ * @param {string} webhookUrl Discordウェブフック URL
+ * @param {object} payload 投稿するペイロード
+ * @returns {Promise<void>}
+ */
+async function postWebhook(webhookUrl, payload) {
+  const post = () => axios.post(webhookUrl, payload, {
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    timeout: 10000 // 10秒のタイムアウト
+  });
+
+  try {
+    const response = await post();
+    logger.info('Discord message sent', { status: response.status });
+  } catch (error) {
+    if (!error.response || error.response.status !== 429) throw error;
+    const retryAfter = Number((error.response.data || {}).retry_after) || 1;
+    logger.warn('Rate limited by Discord, retrying', { retryAfterSeconds: retryAfter });
+    await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+    const response = await post();
+    logger.info('Discord message sent', { status: response.status });
+  }
+}
+
+/**
+ * Discordのウェブフックを使用してメッセージを送信する
+ * 埋め込みがあれば埋め込みで送り、上限を超える場合は複数の埋め込み・複数の投稿に分ける
+ * 埋め込みが受け付けられなかった場合 (400) はプレーンテキストで送り直す
+ * 途中の投稿で受け付けられなかった場合は、まだ送っていない埋め込みだけをプレーンテキストにして送る（送った分を重ねて送らない）
+ * メンションするメッセージの場合は、最初の投稿の本文の先頭に mentions を付ける
+ * @param {string} webhookUrl Discordウェブフック URL
+ * @param {{text: string, embeds: Array<object>, mention?: boolean} | string} message 送信するメッセージ（文字列はプレーンテキストで送る）
+ * @param {{mentions?: string[]}} [options] mentions: メンションの文字列 (<@ユーザーID> / <@&ロールID>)
+ * @returns {Promise<void>}
+ */
+async function sendDiscordMessage(webhookUrl, message, { mentions = [] } = {}) {
+  if (!webhookUrl) {
+    throw new Error('Discord webhook URLが設定されていません。');
+  }
+
+  const { text, embeds, mention } = typeof message === 'string' ? createMessage(message) : (message || createMessage(''));
+  if (!text || text.trim() === '') {
+    logger.info('No message to send to Discord');
+    return;
+  }
+  const mentionText = mention && mentions.length > 0 ? mentions.join(' ') : '';
+  const withMentions = payloads => (mentionText
+    ? payloads.map(payload => ({ ...payload, allowed_mentions: buildAllowedMentions(mentions) }))
+    : payloads);
+
+  try {
+    logger.info('Sending message to Discord');
+
+    let fallbackText = mentionText ? `${mentionText}\n${text}` : text;
+    if (embeds.length > 0) {
+      const payloads = withMentions(buildEmbedPayloads(embeds));
+      if (mentionText) payloads[0] = { content: mentionText, ...payloads[0] };
+      let sent = 0;
+      try {
+        for (const payload of payloads) {
+          await postWebhook(webhookUrl, payload);
+          sent += 1;
+        }
+        return;
+      } catch (error) {
+        if (!error.response || error.response.status !== 400) throw error;
+        logger.warn('Discord rejected the embeds, falling back to plain text', { sentPayloads: sent, response: error.response.data });
+      }
+      // 途中の投稿で拒否された場合は、送れた分（メンションを含む）を除いた残りの埋め込みだけを本文にする
+      if (sent > 0) {
+        fallbackText = payloads.slice(sent).flatMap(payload => payload.embeds).map(embedToText).join('\n\n');
+      }
+    }
+
+    for (const payload of withMentions(buildTextPayloads(fallbackText))) {
+      await postWebhook(webhookUrl, payload);
+    }
+  } catch (error) {
+    logger.error('Failed to send Discord message', {
+      error,
+      ...(error.response && { status: error.response.status, response: error.response.data }),
+    });
+    throw new Error('Discordへのメッセージ送信に失敗しました。');
+  }
+}
+
+module.exports = {
+  DISCORD_LIMITS,
+  EMBED_COLORS,
+  buildEmbedPayloads,
+  buildTextPayloads,
+  createMessage,
+  createNotice,
+  joinMessages,
+  sendDiscordMessage,
+  splitEmbed,
+  splitText,
+};
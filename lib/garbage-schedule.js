@@ -0,0 +1,314 @@
+// ゴミ収集スケジュール（ルールファイル）の読み込み・検証・評価を行うモジュール
+const fs = require('fs');
+const path = require('path');
+const { getDay, getDate, format, parse, isValid, differenceInCalendarDays } = require('date-fns');
+
+// デフォルトのスケジュールファイル (河内長野市小塩町)
+const DEFAULT_SCHEDULE_PATH = path.join(__dirname, '..', 'config', 'schedules', 'koshio.json');
+
+// 曜日の表記ゆれを吸収するための対応表 (0 = 日曜, ..., 6 = 土曜)
+const WEEKDAYS = {
+  sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6,
+  '日': 0, '月': 1, '火': 2, '水': 3, '木': 4, '金': 5, '土': 6,
+};
+
+const RULE_TYPES = ['weekly', 'nthWeekday', 'dates', 'everyOtherWeek'];
+
+// 例外の種類: 休止 (cancel) / 振替 (move) / 臨時収集 (extra)
+const EXCEPTION_TYPES = ['cancel', 'move', 'extra'];
+
+/**
+ * 'yyyy-MM-dd' 形式の文字列を日付に変換する
+ * @param {string} value 日付文字列
+ * @param {Date} [referenceDate] 基準の日時（タイムゾーンの日時 (TZDate) を渡すと、同じタイムゾーンのその日の 0 時にする）
+ * @returns {Date | null} 変換できない場合は null
+ */
+function parseDateString(value, referenceDate = new Date()) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = parse(value, 'yyyy-MM-dd', referenceDate);
+  return isValid(date) ? date : null;
+}
+
+/**
+ * 曜日の指定 ('tue' / '火') を数値に変換する
+ * @param {string} value 曜日の指定
+ * @returns {number | undefined} 曜日 (0-6)、不正な値の場合は undefined
+ */
+function toWeekday(value) {
+  return typeof value === 'string' ? WEEKDAYS[value.toLowerCase()] : undefined;
+}
+
+/**
+ * 1つのルールを検証し、問題があれば errors に追加する
+ * @param {object} rule ルール定義
+ * @param {string} where エラーメッセージ用の位置 (例: 'rules[0]')
+ * @param {string[]} errors エラーメッセージの格納先
+ */
+function validateRule(rule, where, errors) {
+  if (!rule || typeof rule !== 'object') {
+    errors.push(`${where}: ルールはオブジェクトである必要があります`);
+    return;
+  }
+  if (!RULE_TYPES.includes(rule.type)) {
+    errors.push(`${where}.type: "${rule.type}" は未対応です (${RULE_TYPES.join(' / ')} のいずれか)`);
+    return;
+  }
+  if (typeof rule.garbage !== 'string' || rule.garbage.trim() === '') {
+    errors.push(`${where}.garbage: ゴミの種類を文字列で指定してください`);
+  }
+
+  switch (rule.type) {
+    case 'weekly':
+      if (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0) {
+        errors.push(`${where}.weekdays: 曜日の配列を指定してください (例: ["wed", "sat"])`);
+      } else {
+        rule.weekdays.forEach((day, i) => {
+          if (toWeekday(day) === undefined) {
+            errors.push(`${where}.weekdays[${i}]: "${day}" は曜日として解釈できません`);
+          }
+        });
+      }
+      break;
+    case 'nthWeekday':
+      if (toWeekday(rule.weekday) === undefined) {
+        errors.push(`${where}.weekday: "${rule.weekday}" は曜日として解釈できません`);
+      }
+      if (!Array.isArray(rule.nth) || rule.nth.length === 0) {
+        errors.push(`${where}.nth: 第何週かを配列で指定してください (例: [1, 3])`);
+      } else {
+        rule.nth.forEach((n, i) => {
+          if (!Number.isInteger(n) || n < 1 || n > 5) {
+            errors.push(`${where}.nth[${i}]: ${JSON.stringify(n)} は 1〜5 の整数である必要があります`);
+          }
+        });
+      }
+      break;
+    case 'dates':
+      if (!Array.isArray(rule.dates) || rule.dates.length === 0) {
+        errors.push(`${where}.dates: 日付の配列を指定してください (例: ["2025-05-10"])`);
+      } else {
+        rule.dates.forEach((value, i) => {
+          if (!parseDateString(value)) {
+            errors.push(`${where}.dates[${i}]: "${value}" は yyyy-MM-dd 形式の日付ではありません`);
+          }
+        });
+      }
+      break;
+    case 'everyOtherWeek': {
+      const weekday = toWeekday(rule.weekday);
+      if (weekday === undefined) {
+        errors.push(`${where}.weekday: "${rule.weekday}" は曜日として解釈できません`);
+      }
+      const startDate = parseDateString(rule.startDate);
+      if (!startDate) {
+        errors.push(`${where}.startDate: "${rule.startDate}" は yyyy-MM-dd 形式の日付ではありません`);
+      } else if (weekday !== undefined && getDay(startDate) !== weekday) {
+        errors.push(`${where}.startDate: ${rule.startDate} は weekday (${rule.weekday}) と同じ曜日である必要があります`);
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * 1つの例外 (休止・振替・臨時収集) を検証し、問題があれば errors に追加する
+ * @param {object} exception 例外定義
+ * @param {string} where エラーメッセージ用の位置 (例: 'exceptions[0]')
+ * @param {string[]} errors エラーメッセージの格納先
+ */
+function validateException(exception, where, errors) {
+  if (!exception || typeof exception !== 'object') {
+    errors.push(`${where}: 例外はオブジェクトである必要があります`);
+    return;
+  }
+  if (!EXCEPTION_TYPES.includes(exception.type)) {
+    errors.push(`${where}.type: "${exception.type}" は未対応です (${EXCEPTION_TYPES.join(' / ')} のいずれか)`);
+    return;
+  }
+  if (!parseDateString(exception.date)) {
+    errors.push(`${where}.date: "${exception.date}" は yyyy-MM-dd 形式の日付ではありません`);
+  }
+  if (exception.type === 'move') {
+    if (!parseDateString(exception.to)) {
+      errors.push(`${where}.to: "${exception.to}" は yyyy-MM-dd 形式の日付ではありません`);
+    } else if (exception.to === exception.date) {
+      errors.push(`${where}.to: 振替先が元の日付 (${exception.date}) と同じです`);
+    }
+  }
+  // garbage は cancel / move では省略可 (その日の収集すべてが対象)、extra では必須
+  if (exception.garbage !== undefined || exception.type === 'extra') {
+    if (!Array.isArray(exception.garbage) || exception.garbage.length === 0 ||
+        exception.garbage.some(g => typeof g !== 'string' || g.trim() === '')) {
+      errors.push(`${where}.garbage: ゴミの種類を文字列の配列で指定してください (例: ["燃えるゴミ"])`);
+    }
+  }
+  if (exception.note !== undefined && typeof exception.note !== 'string') {
+    errors.push(`${where}.note: 備考は文字列で指定してください`);
+  }
+}
+
+/**
+ * スケジュール定義を検証する
+ * @param {object} schedule スケジュール定義
+ * @param {string} [source] エラーメッセージに含める読み込み元
+ * @returns {object} 検証済みのスケジュール定義
+ * @throws {Error} 定義に問題がある場合 (問題点をすべて列挙したメッセージ)
+ */
+function validateGarbageSchedule(schedule, source = 'schedule') {
+  const errors = [];
+
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    errors.push('スケジュールはオブジェクトである必要があります');
+  } else if (!Array.isArray(schedule.rules)) {
+    errors.push('rules: ルールの配列を指定してください');
+  } else {
+    schedule.rules.forEach((rule, i) => validateRule(rule, `rules[${i}]`, errors));
+    if (schedule.exceptions !== undefined) {
+      if (!Array.isArray(schedule.exceptions)) {
+        errors.push('exceptions: 例外の配列を指定してください');
+      } else {
+        schedule.exceptions.forEach((exception, i) => validateException(exception, `exceptions[${i}]`, errors));
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`ゴミ収集スケジュールの定義が不正です (${source}):\n- ${errors.join('\n- ')}`);
+  }
+  return schedule;
+}
+
+/**
+ * スケジュールファイル (JSON) を読み込んで検証する
+ * @param {string} [filePath] スケジュールファイルのパス (省略時は小塩町のスケジュール)
+ * @returns {object} 検証済みのスケジュール定義
+ */
+function loadGarbageSchedule(filePath = DEFAULT_SCHEDULE_PATH) {
+  let schedule;
+  try {
+    schedule = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`ゴミ収集スケジュールを読み込めませんでした (${filePath}): ${error.message}`);
+  }
+  return validateGarbageSchedule(schedule, filePath);
+}
+
+/**
+ * ルールが指定日に該当するか判定する
+ * @param {object} rule 検証済みのルール
+ * @param {Date} targetDate 判定する日付
+ * @returns {boolean}
+ */
+function matchesRule(rule, targetDate) {
+  const dayOfWeek = getDay(targetDate);     // 曜日 (0 = 日曜, 1 = 月曜, ..., 6 = 土曜)
+  const dateOfMonth = getDate(targetDate);  // 日にち (1から31)
+
+  switch (rule.type) {
+    case 'weekly':
+      return rule.weekdays.some(day => toWeekday(day) === dayOfWeek);
+    case 'nthWeekday':
+      // その月で何回目の該当曜日かを計算
+      return toWeekday(rule.weekday) === dayOfWeek &&
+        rule.nth.includes(Math.floor((dateOfMonth - 1) / 7) + 1);
+    case 'dates':
+      return rule.dates.includes(format(targetDate, 'yyyy-MM-dd'));
+    case 'everyOtherWeek': {
+      if (toWeekday(rule.weekday) !== dayOfWeek) return false;
+      // 開始日は判定する日付と同じタイムゾーンの暦で比べる
+      const diff = differenceInCalendarDays(targetDate, parseDateString(rule.startDate, targetDate));
+      return ((diff % 14) + 14) % 14 === 0;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * 例外を考慮せず、通常のルールだけで指定日に収集されるゴミの種類を取得する
+ * @param {object} schedule 検証済みのスケジュール定義
+ * @param {Date} targetDate 判定する日付
+ * @returns {string[]} ゴミの種類 (ルールの記述順、重複なし)
+ */
+function getRegularGarbageTypes(schedule, targetDate) {
+  const garbageTypes = [];
+  schedule.rules.forEach(rule => {
+    if (matchesRule(rule, targetDate) && !garbageTypes.includes(rule.garbage)) {
+      garbageTypes.push(rule.garbage);
+    }
+  });
+  return garbageTypes;
+}
+
+/**
+ * 例外 (休止・振替・臨時収集) を反映した、指定日の収集内容を取得する
+ * 例外は通常のルールより優先される
+ * @param {object} schedule 検証済みのスケジュール定義
+ * @param {Date} targetDate 判定する日付
+ * @returns {{
+ *   types: string[],
+ *   rescheduled: Array<{garbage: string, from: string, note?: string}>,
+ *   cancelled: Array<{garbage: string, to?: string, note?: string}>,
+ *   extra: Array<{garbage: string, note?: string}>
+ * }} 収集されるゴミの種類と、振替・休止・臨時収集の内訳
+ */
+function getGarbageCollection(schedule, targetDate) {
+  const dateStr = format(targetDate, 'yyyy-MM-dd');
+  const exceptions = schedule.exceptions || [];
+  const regular = getRegularGarbageTypes(schedule, targetDate);
+  const result = { types: [], rescheduled: [], cancelled: [], extra: [] };
+
+  // その日の通常収集から、休止・他の日への振替になったものを除く
+  regular.forEach(garbage => {
+    const exception = exceptions.find(e =>
+      (e.type === 'cancel' || e.type === 'move') && e.date === dateStr &&
+      (!e.garbage || e.garbage.includes(garbage)));
+    if (exception) {
+      result.cancelled.push({ garbage, to: exception.to, note: exception.note });
+    } else {
+      result.types.push(garbage);
+    }
+  });
+
+  // 他の日からこの日へ振り替えられた収集を追加
+  exceptions
+    .filter(e => e.type === 'move' && e.to === dateStr)
+    .forEach(e => {
+      const moved = e.garbage || getRegularGarbageTypes(schedule, parseDateString(e.date, targetDate));
+      moved.forEach(garbage => {
+        if (result.types.includes(garbage)) return;
+        result.types.push(garbage);
+        result.rescheduled.push({ garbage, from: e.date, note: e.note });
+      });
+    });
+
+  // 臨時収集を追加
+  exceptions
+    .filter(e => e.type === 'extra' && e.date === dateStr)
+    .forEach(e => {
+      e.garbage.forEach(garbage => {
+        if (result.types.includes(garbage)) return;
+        result.types.push(garbage);
+        result.extra.push({ garbage, note: e.note });
+      });
+    });
+
+  return result;
+}
+
+/**
+ * 指定日に収集されるゴミの種類を取得する (例外を反映済み)
+ * @param {object} schedule 検証済みのスケジュール定義
+ * @param {Date} targetDate 判定する日付
+ * @returns {string[]} ゴミの種類 (重複なし)、収集がない場合は空配列
+ */
+function getGarbageTypes(schedule, targetDate) {
+  return getGarbageCollection(schedule, targetDate).types;
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE_PATH,
+  loadGarbageSchedule,
+  validateGarbageSchedule,
+  getGarbageCollection,
+  getGarbageTypes,
+};
@@ -0,0 +1,92 @@
+// iCalendar (RFC 5545) 形式のカレンダーを生成するモジュール
+const { addDays, format } = require('date-fns');
+const { DEFAULT_TIME_ZONE } = require('./time');
+
+// UID のドメイン部分 (カレンダーアプリがイベントを同一視するために使う)
+const UID_DOMAIN = 'discord-reminder-function';
+
+/**
+ * テキスト値をエスケープする (RFC 5545 3.3.11)
+ * @param {string} text エスケープする文字列
+ * @returns {string}
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * 1行を75オクテット以内に折り返す (RFC 5545 3.1)
+ * マルチバイト文字の途中では折り返さない
+ * @param {string} line コンテンツ行
+ * @returns {string} CRLF + 空白で折り返した行
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char, 'utf8');
+    // 2行目以降は先頭の空白1文字分を差し引く
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * 終日イベントの配列から iCalendar 文字列を生成する
+ * @param {object} options
+ * @param {string} options.name カレンダー名
+ * @param {Array<{uid: string, date: Date, summary: string, description?: string}>} options.events 終日イベント
+ * @param {Date} [options.now] DTSTAMP に使う現在時刻
+ * @param {string} [options.timeZone] カレンダーのタイムゾーン（X-WR-TIMEZONE。設定のタイムゾーン）
+ * @returns {string} text/calendar の本文
+ */
+function createCalendar({ name, events, now = new Date(), timeZone = DEFAULT_TIME_ZONE }) {
+  const dtStamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${UID_DOMAIN}//JA`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}@${UID_DOMAIN}`,
+      `DTSTAMP:${dtStamp}`,
+      `DTSTART;VALUE=DATE:${format(event.date, 'yyyyMMdd')}`,
+      `DTEND;VALUE=DATE:${format(addDays(event.date, 1), 'yyyyMMdd')}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      'TRANSP:TRANSPARENT',
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  createCalendar,
+  escapeText,
+  foldLine,
+};
@@ -0,0 +1,188 @@
+// Discord のスラッシュコマンド（Interactions エンドポイント）の受け付けと応答
+// Discord からの HTTP リクエストは Ed25519 の署名で確かめ、時間のかかる処理は「考え中」の応答 (deferred) の後に元の応答を書き換える
+// https://discord.com/developers/docs/interactions/receiving-and-responding
+const crypto = require('crypto');
+const axios = require('axios');
+const { buildEmbedPayloads, buildTextPayloads } = require('./discord');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('interactions');
+
+// Discord の API（元の応答の書き換えに使う）
+const DISCORD_API_BASE_URL = 'https://discord.com/api/v10';
+
+// Interaction の種類
+const INTERACTION_TYPES = {
+  ping: 1,
+  applicationCommand: 2,
+};
+
+// 応答の種類
+// deferredChannelMessage: 「考え中…」を表示しておき、15分以内に元の応答を書き換える
+const RESPONSE_TYPES = {
+  pong: 1,
+  channelMessage: 4,
+  deferredChannelMessage: 5,
+};
+
+// 実行した人にだけ見える応答にするフラグ
+const EPHEMERAL_FLAG = 64;
+
+// 署名の時刻 (X-Signature-Timestamp) が現在から何秒までずれていれば受け付けるか
+// 記録した署名付きのリクエストを後から送り直されても（例: /renew）、処理しないようにする
+const MAX_TIMESTAMP_SKEW_SECONDS = 5 * 60;
+
+// Ed25519 の公開鍵（32バイト）を SPKI (DER) にするための接頭辞
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// 登録するスラッシュコマンドの定義（Discord の API に PUT する形）
+// オプションの type 3 は文字列
+const COMMAND_DEFINITIONS = [
+  {
+    name: 'gomi',
+    description: 'ゴミの収集を確認します',
+    options: [{ type: 3, name: 'date', description: '日付 (yyyy-MM-dd、省略時は昼までは今日・昼からは明日)', required: false }],
+  },
+  {
+    name: 'books',
+    description: '貸出中の本と返却期限を確認します',
+  },
+  {
+    name: 'renew',
+    description: '貸出中の本の延長を申し込みます',
+    options: [{ type: 3, name: 'title', description: '書名（一部でも可）', required: true }],
+  },
+];
+
+/**
+ * リクエストの署名が Discord のアプリケーションの公開鍵で作られたもので、署名の時刻が古すぎないか確かめる
+ * @param {string} publicKey アプリケーションの公開鍵（Developer Portal に表示される16進数）
+ * @param {string | undefined} signature X-Signature-Ed25519 ヘッダー（16進数）
+ * @param {string | undefined} timestamp X-Signature-Timestamp ヘッダー（UNIX 時間の秒）
+ * @param {Buffer | string} body リクエストの本文（JSON を解釈する前のもの）
+ * @param {{now?: Date}} [options] now: 署名の時刻と比べる現在時刻
+ * @returns {boolean} 正しい署名で、時刻が現在から MAX_TIMESTAMP_SKEW_SECONDS 以内の場合は true
+ */
+function verifyInteractionSignature(publicKey, signature, timestamp, body, { now = new Date() } = {}) {
+  if (!signature || !timestamp || body === undefined || !/^[0-9a-f]{128}$/i.test(signature)) return false;
+  if (!/^\d+$/.test(timestamp) || Math.abs(now.getTime() / 1000 - Number(timestamp)) > MAX_TIMESTAMP_SKEW_SECONDS) {
+    logger.warn('Rejected an interaction with a stale timestamp', { timestamp });
+    return false;
+  }
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+      format: 'der',
+      type: 'spki',
+    });
+    return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), Buffer.from(body)]), key, Buffer.from(signature, 'hex'));
+  } catch (error) {
+    // 公開鍵の形式が正しくない場合など
+    logger.error('Failed to verify the interaction signature', { error });
+    return false;
+  }
+}
+
+/**
+ * コマンドのオプションを名前 -> 値のオブジェクトにする
+ * @param {object} interaction Interaction
+ * @returns {Object<string, unknown>} オプション
+ */
+function getCommandOptions(interaction) {
+  const options = (interaction.data && interaction.data.options) || [];
+  return Object.fromEntries(options.map(option => [option.name, option.value]));
+}
+
+/**
+ * メッセージを応答・書き換えのペイロードにする（埋め込みがあれば埋め込み、なければプレーンテキスト）
+ * 上限を超える場合は複数のペイロードに分ける。書名などでメンションが飛ばないようにする
+ * @param {{text: string, embeds: Array<object>}} message メッセージ
+ * @returns {Array<object>} ペイロード（1つ目を応答・書き換えに使い、残りはフォローアップのメッセージで送る）
+ */
+function buildResponsePayloads(message) {
+  const payloads = message.embeds.length > 0 ? buildEmbedPayloads(message.embeds) : buildTextPayloads(message.text);
+  return payloads.map(payload => ({ ...payload, allowed_mentions: { parse: [] } }));
+}
+
+/**
+ * メッセージをすぐに返す応答を作る
+ * 1つの応答に収まらない分は、応答を返した後に sendFollowUpMessages で送る
+ * @param {{text: string, embeds: Array<object>}} message メッセージ
+ * @param {{ephemeral?: boolean}} [options] ephemeral: 実行した人にだけ見える応答にするか（入力の誤りなど）
+ * @returns {{type: number, data: object}} 応答
+ */
+function createMessageResponse(message, { ephemeral = false } = {}) {
+  const [data] = buildResponsePayloads(message);
+  return { type: RESPONSE_TYPES.channelMessage, data: ephemeral ? { ...data, flags: EPHEMERAL_FLAG } : data };
+}
+
+/**
+ * 応答・書き換えに収まらなかったメッセージの残りを、フォローアップのメッセージとして順に送る
+ * @param {{application_id: string, token: string}} interaction Interaction
+ * @param {{text: string, embeds: Array<object>}} message メッセージ（1つ目のペイロードは応答・書き換えで送り済み）
+ * @param {{apiBaseUrl?: string, ephemeral?: boolean}} [options] apiBaseUrl: Discord の API の URL（テスト用）、
+ *   ephemeral: 実行した人にだけ見えるメッセージにするか（応答と同じにする）
+ * @returns {Promise<void>}
+ */
+async function sendFollowUpMessages(interaction, message, { apiBaseUrl = DISCORD_API_BASE_URL, ephemeral = false } = {}) {
+  const url = `${apiBaseUrl}/webhooks/${interaction.application_id}/${interaction.token}`;
+  for (const payload of buildResponsePayloads(message).slice(1)) {
+    try {
+      const response = await axios.post(url, ephemeral ? { ...payload, flags: EPHEMERAL_FLAG } : payload, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 10000,
+      });
+      logger.info('Interaction follow-up message sent', { status: response.status });
+    } catch (error) {
+      // URL には Interaction の token が含まれるので出さない
+      logger.error('Failed to send an interaction follow-up message', {
+        ...(error.response && { status: error.response.status, response: error.response.data }),
+        message: error.message,
+      });
+      throw new Error('Discordへの応答の続きの送信に失敗しました。');
+    }
+  }
+}
+
+/**
+ * 「考え中」の応答 (deferred) の後に、元の応答をメッセージで書き換える
+ * 書き換えには Interaction の token を使うので、ボットの token は要らない
+ * 1つのメッセージに収まらない分は、続けてフォローアップのメッセージで送る
+ * @param {{application_id: string, token: string}} interaction Interaction
+ * @param {{text: string, embeds: Array<object>}} message メッセージ
+ * @param {{apiBaseUrl?: string, ephemeral?: boolean}} [options] apiBaseUrl: Discord の API の URL（テスト用）、
+ *   ephemeral: deferred の応答が実行した人にだけ見えるものか（フォローアップも同じにする）
+ * @returns {Promise<void>}
+ */
+async function editOriginalResponse(interaction, message, { apiBaseUrl = DISCORD_API_BASE_URL, ephemeral = false } = {}) {
+  const url = `${apiBaseUrl}/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`;
+  try {
+    const response = await axios.patch(url, buildResponsePayloads(message)[0], {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 10000,
+    });
+    logger.info('Interaction response edited', { status: response.status });
+  } catch (error) {
+    // URL には Interaction の token が含まれるので出さない
+    logger.error('Failed to edit the interaction response', {
+      ...(error.response && { status: error.response.status, response: error.response.data }),
+      message: error.message,
+    });
+    throw new Error('Discordの応答の書き換えに失敗しました。');
+  }
+  await sendFollowUpMessages(interaction, message, { apiBaseUrl, ephemeral });
+}
+
+module.exports = {
+  COMMAND_DEFINITIONS,
+  DISCORD_API_BASE_URL,
+  EPHEMERAL_FLAG,
+  INTERACTION_TYPES,
+  MAX_TIMESTAMP_SKEW_SECONDS,
+  RESPONSE_TYPES,
+  createMessageResponse,
+  editOriginalResponse,
+  getCommandOptions,
+  sendFollowUpMessages,
+  verifyInteractionSignature,
+};
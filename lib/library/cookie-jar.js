@@ -0,0 +1,148 @@
+// 図書館サイトのセッションで使う Cookie の保存 (RFC 6265 の簡易版)
+// レスポンスの Set-Cookie を名前・ドメイン・パスごとに上書き・追加し、リクエストの URL に合う Cookie だけを送る
+// Domain / Path / Expires / Max-Age / Secure を扱う（SameSite などブラウザ向けの属性は使わない）
+
+/**
+ * 保存している Cookie
+ * @typedef {object} StoredCookie
+ * @property {string} name 名前
+ * @property {string} value 値
+ * @property {string} domain ドメイン（小文字）
+ * @property {boolean} hostOnly Domain 属性がなく、設定したホストにだけ送るか
+ * @property {string} path パス
+ * @property {boolean} secure https のリクエストにだけ送るか
+ * @property {number | null} expires 有効期限 (ミリ秒)。null はセッション Cookie
+ */
+
+/**
+ * URL のパスから Cookie の既定のパスを決める（最後の "/" より前。RFC 6265 5.1.4）
+ * @param {string} pathname URL のパス
+ * @returns {string} 既定のパス
+ */
+function defaultPath(pathname) {
+  if (!pathname.startsWith('/')) return '/';
+  const index = pathname.lastIndexOf('/');
+  return index === 0 ? '/' : pathname.slice(0, index);
+}
+
+/**
+ * ホストが Cookie のドメインに一致するか
+ * @param {string} host リクエストのホスト（小文字）
+ * @param {string} domain Cookie のドメイン
+ * @returns {boolean} 一致する場合は true
+ */
+function domainMatches(host, domain) {
+  return host === domain || (host.endsWith(`.${domain}`) && !/^[\d.]+$/.test(host));
+}
+
+/**
+ * リクエストのパスが Cookie のパスに一致するか
+ * @param {string} requestPath リクエストのパス
+ * @param {string} cookiePath Cookie のパス
+ * @returns {boolean} 一致する場合は true
+ */
+function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+/**
+ * Set-Cookie ヘッダーの1つを解析する
+ * @param {string} header Set-Cookie ヘッダーの値
+ * @param {URL} url レスポンスを返した URL
+ * @param {number} now 現在時刻 (ミリ秒)
+ * @returns {StoredCookie | null} Cookie（不正・他のドメイン向けの場合は null）
+ */
+function parseSetCookie(header, url, now) {
+  const [pair, ...attributes] = header.split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) return null;
+
+  const host = url.hostname.toLowerCase();
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    domain: host,
+    hostOnly: true,
+    path: defaultPath(url.pathname),
+    secure: false,
+    expires: null,
+  };
+  let maxAge = null;
+
+  attributes.forEach(attribute => {
+    const index = attribute.indexOf('=');
+    const key = (index < 0 ? attribute : attribute.slice(0, index)).trim().toLowerCase();
+    const value = index < 0 ? '' : attribute.slice(index + 1).trim();
+    if (key === 'domain' && value) {
+      cookie.domain = value.replace(/^\./, '').toLowerCase();
+      cookie.hostOnly = false;
+    } else if (key === 'path' && value.startsWith('/')) {
+      cookie.path = value;
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+      maxAge = Number(value);
+    } else if (key === 'expires') {
+      const time = Date.parse(value);
+      if (!Number.isNaN(time)) cookie.expires = time;
+    }
+  });
+  // Max-Age は Expires より優先する
+  if (maxAge !== null) {
+    cookie.expires = now + maxAge * 1000;
+  }
+
+  if (!cookie.name || !domainMatches(host, cookie.domain)) return null;
+  return cookie;
+}
+
+/**
+ * Cookie を保存する入れ物を作成する
+ * @param {{now?: () => number}} [options] now: 現在時刻を返す関数（テスト用）
+ * @returns {{
+ *   store: (setCookie: string | string[] | undefined, url: string) => void,
+ *   header: (url: string) => string,
+ *   clear: () => void
+ * }} store: レスポンスの Set-Cookie を保存する、header: リクエストに付ける Cookie ヘッダー（なければ空文字列）、clear: すべて削除する
+ */
+function createCookieJar({ now = () => Date.now() } = {}) {
+  let cookies = [];
+  const isAlive = cookie => cookie.expires === null || cookie.expires > now();
+
+  return {
+    store(setCookie, url) {
+      if (!setCookie) return;
+      const responseUrl = new URL(url);
+      (Array.isArray(setCookie) ? setCookie : [setCookie]).forEach(header => {
+        const cookie = parseSetCookie(header, responseUrl, now());
+        if (!cookie) return;
+        // 名前・ドメイン・パスが同じ Cookie は置き換える（期限切れの Cookie は削除だけ）
+        cookies = cookies.filter(stored =>
+          !(stored.name === cookie.name && stored.domain === cookie.domain && stored.path === cookie.path));
+        if (isAlive(cookie)) cookies.push(cookie);
+      });
+    },
+    header(url) {
+      const requestUrl = new URL(url);
+      const host = requestUrl.hostname.toLowerCase();
+      cookies = cookies.filter(isAlive);
+      return cookies
+        .filter(cookie => (cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain)))
+        .filter(cookie => pathMatches(requestUrl.pathname, cookie.path))
+        .filter(cookie => !cookie.secure || requestUrl.protocol === 'https:')
+        // パスが長い Cookie を先に送る
+        .sort((a, b) => b.path.length - a.path.length)
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+    },
+    clear() {
+      cookies = [];
+    },
+  };
+}
+
+module.exports = {
+  createCookieJar,
+};
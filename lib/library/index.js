@@ -0,0 +1,56 @@
+// 図書館アダプターの定義と登録
+// 図書館ごとの URL・ログインフォーム・ページの解析はアダプターに閉じ込め、
+// どのアダプターを使うかは図書館のカード (config の libraryAccounts[].adapter) ごとに指定する
+const { createKawachinaganoAdapter } = require('./kawachinagano');
+
+/**
+ * 図書館アダプター
+ * session は login が返すログイン済みのセッションで、中身はアダプターごとに異なる
+ * @typedef {object} LibraryAdapter
+ * @property {string} name 設定で指定する名前 (例: 'kawachinagano')
+ * @property {string} displayName 図書館の表示名
+ * @property {(libraryId: string, libraryPassword: string) => void} [validateCredentials]
+ *   ログイン前に利用者番号・パスワードの形式をチェックする（不正な場合は利用者向けのメッセージで Error を投げる）
+ * @property {(libraryId: string, libraryPassword: string) => Promise<object>} login ログインしてセッションを返す
+ * @property {(session: object) => Promise<Array<{title: string, returnDate: Date}>>} listLoans 貸出中の資料
+ * @property {(session: object) => import('./page-structure').LoanPageReport | null} [loanPageReport]
+ *   直前の listLoans で貸出一覧の抽出に使った方法とページの構造（ページの構造の変化を見つけるのに使う。対応していない図書館では省略）
+ * @property {(session: object) => Promise<Array<{title: string, status: string, ready: boolean, pickupDeadline: Date | null}>>} listReservations 予約中の資料
+ * @property {(session: object, targets: Array<{title: string, returnDate: Date}>) => Promise<{results: Array<object>, books: Array<object>}>} [renew]
+ *   貸出延長を申し込み、資料ごとの結果と申し込み後の貸出一覧を返す（対応していない図書館では省略）
+ */
+
+// 設定でアダプターを省略した場合に使う図書館
+const DEFAULT_LIBRARY_ADAPTER = 'kawachinagano';
+
+// 名前 -> アダプターを作成する関数
+// 近隣の図書館（大阪府立図書館など）に対応する場合はここに追加する
+const LIBRARY_ADAPTERS = {
+  kawachinagano: createKawachinaganoAdapter,
+};
+
+/**
+ * 名前を指定して図書館アダプターを作成する
+ * @param {string} [name] アダプター名（省略時は河内長野市立図書館）
+ * @param {object} [options] アダプターに渡すオプション（config の libraryAccounts[].adapterOptions、例: baseUrl）
+ * @returns {LibraryAdapter} 図書館アダプター
+ */
+function createLibraryAdapter(name = DEFAULT_LIBRARY_ADAPTER, options = {}) {
+  const factory = LIBRARY_ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`図書館アダプター "${name}" は存在しません (${Object.keys(LIBRARY_ADAPTERS).join(' / ')} のいずれか)`);
+  }
+  const adapter = factory(options);
+  ['login', 'listLoans', 'listReservations'].forEach(method => {
+    if (typeof adapter[method] !== 'function') {
+      throw new Error(`図書館アダプター "${name}" に ${method} が実装されていません`);
+    }
+  });
+  return adapter;
+}
+
+module.exports = {
+  DEFAULT_LIBRARY_ADAPTER,
+  LIBRARY_ADAPTERS,
+  createLibraryAdapter,
+};
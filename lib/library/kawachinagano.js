@@ -0,0 +1,1123 @@
+// 河内長野市立図書館 (WebOpac) 用の図書館アダプター
+// ログイン・貸出一覧・予約一覧・貸出延長をスクレイピングで行う
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { format } = require('date-fns');
+const { collectListPages, parseTotalCount } = require('../pager');
+const { createLogger } = require('../logger');
+const { createCookieJar } = require('./cookie-jar');
+const { fingerprintPage } = require('./page-structure');
+const { DEFAULT_TIME_ZONE, parseZonedDate } = require('../time');
+
+const logger = createLogger('library');
+
+// HTTPSを使用するように修正
+const LIBRARY_ORIGIN = 'https://www1.city.kawachinagano.lg.jp';
+const LIBRARY_BASE_URL = `${LIBRARY_ORIGIN}/WebOpac/webopac`;
+
+// ログインや一覧の取得の間に入れる待ち時間の倍率（実際のブラウザの操作を模倣するため）
+const DEFAULT_WAIT_SCALE = 1;
+
+// axios で使う共通ヘッダー (より実際のブラウザに近いものに変更)
+const LIBRARY_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36",
+  "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7",
+  "Accept-Language": "ja,en-US;q=0.9,en;q=0.8",
+  "Accept-Encoding": "gzip, deflate, br",
+  "Connection": "keep-alive",
+  "Cache-Control": "max-age=0",
+  "Sec-Ch-Ua": "\"Google Chrome\";v=\"122\", \"Not(A:Brand\";v=\"24\", \"Chromium\";v=\"122\"",
+  "Sec-Ch-Ua-Mobile": "?0",
+  "Sec-Ch-Ua-Platform": "\"Windows\"",
+  "Sec-Fetch-Dest": "document",
+  "Sec-Fetch-Mode": "navigate",
+  "Sec-Fetch-Site": "same-origin",
+  "Sec-Fetch-User": "?1",
+  "Upgrade-Insecure-Requests": "1"
+};
+
+/**
+ * アダプターのオプションから接続先と待ち時間を決める
+ * @param {{baseUrl?: string, waitScale?: number, timeZone?: string}} [options]
+ *   baseUrl: WebOpac の URL（省略時は河内長野市立図書館）、waitScale: 待ち時間の倍率（0 で待たない）、
+ *   timeZone: 返却期限などの日付を解釈するタイムゾーン（省略時は Asia/Tokyo）
+ * @returns {{baseUrl: string, origin: string, waitScale: number, timeZone: string}} 接続先の情報
+ */
+function resolveSite(options = {}) {
+  const baseUrl = (options.baseUrl || LIBRARY_BASE_URL).replace(/\/+$/, '');
+  return {
+    baseUrl,
+    origin: new URL(baseUrl).origin,
+    waitScale: options.waitScale ?? DEFAULT_WAIT_SCALE,
+    timeZone: options.timeZone || DEFAULT_TIME_ZONE,
+  };
+}
+
+/**
+ * ブラウザの操作を模倣して待機する
+ * @param {{waitScale: number}} site resolveSite で決めた接続先
+ * @param {number} ms 待ち時間（ミリ秒、倍率を掛ける前）
+ * @returns {Promise<void>}
+ */
+function wait(site, ms) {
+  return new Promise(resolve => setTimeout(resolve, ms * site.waitScale));
+}
+
+/**
+ * 図書館サイト内の相対URLを絶対URLに変換する
+ * @param {{baseUrl: string, origin: string}} site resolveSite で決めた接続先
+ * @param {string} url 相対URLまたは絶対URL
+ * @returns {string} 絶対URL
+ */
+function toLibraryUrl(site, url) {
+  if (url.startsWith('http')) return url;
+  if (url.startsWith('/')) return `${site.origin}${url}`;
+  return `${site.baseUrl}/${url}`;
+}
+
+/**
+ * Cookie を保存する入れ物を使って図書館サイトにリクエストを送る
+ * リダイレクトは自分でたどり、途中のレスポンスの Set-Cookie もすべて保存する
+ * （301 / 302 / 303 のリダイレクトは GET に変える）
+ * @param {ReturnType<typeof createCookieJar>} jar Cookie の入れ物
+ * @param {object} request
+ * @param {string} [request.method] HTTP メソッド（省略時は 'get'）
+ * @param {string} request.url URL
+ * @param {string} [request.data] 送信するフォームデータ
+ * @param {object} [request.headers] 追加のヘッダー（Cookie は jar から付ける）
+ * @param {number} [request.maxRedirects] たどるリダイレクトの最大数
+ * @param {number} request.timeout タイムアウト (ミリ秒)
+ * @param {((status: number) => boolean) | null} [request.validateStatus] 成功とみなすステータス（null はすべて成功。省略時は 2xx）
+ * @returns {Promise<import('axios').AxiosResponse & {url: string, setCookies: string[]}>}
+ *   最後のレスポンス（url はリダイレクト後の URL、setCookies はリダイレクトの途中を含めて受け取った Set-Cookie）
+ */
+async function requestWithCookies(jar, { method = 'get', url, data, headers = {}, maxRedirects = 5, timeout, validateStatus }) {
+  let current = { method, url, data, headers };
+  const setCookies = [];
+  for (let redirects = 0; ; redirects++) {
+    const response = await axios.request({
+      method: current.method,
+      url: current.url,
+      data: current.data,
+      headers: { ...LIBRARY_HEADERS, ...current.headers, 'Cookie': jar.header(current.url) },
+      maxRedirects: 0,
+      timeout,
+      validateStatus: null,
+    });
+    jar.store(response.headers['set-cookie'], current.url);
+    setCookies.push(...(response.headers['set-cookie'] || []));
+
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location && redirects < maxRedirects) {
+      const toGet = response.status === 303 || ([301, 302].includes(response.status) && current.method !== 'get');
+      const nextUrl = new URL(location, current.url).href;
+      if (toGet) {
+        const redirectHeaders = { ...current.headers };
+        delete redirectHeaders['Content-Type'];
+        current = { method: 'get', url: nextUrl, data: undefined, headers: redirectHeaders };
+      } else {
+        current = { ...current, url: nextUrl };
+      }
+      continue;
+    }
+
+    const isValid = validateStatus === null || (validateStatus || (status => status >= 200 && status < 300))(response.status);
+    if (!isValid) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = response;
+      throw error;
+    }
+    return Object.assign(response, { url: current.url, setCookies });
+  }
+}
+
+/**
+ * ページがセッション切れ（タイムアウトの画面、またはログインフォームに戻された状態）か
+ * @param {string} html ページの HTML
+ * @returns {boolean} セッションが切れている場合は true
+ */
+function isSessionExpired(html) {
+  const $ = cheerio.load(html);
+  return $('title').text().includes('タイムアウト') || $('input[name="passwd"]').length > 0;
+}
+
+/**
+ * 利用者番号とパスワードの形式をチェックする
+ * @param {string} libraryId 利用者番号
+ * @param {string} libraryPassword パスワード
+ * @throws {Error} 形式が不正な場合
+ */
+function validateLibraryCredentials(libraryId, libraryPassword) {
+  // 利用者番号が8桁の半角数字かチェック
+  if (!/^\d{8}$/.test(libraryId)) {
+    logger.error('Library ID must be 8 digits number');
+    throw new Error('図書館IDは8桁の半角数字である必要があります。');
+  }
+
+  // GASスクリプトと同じようにパスワードチェックを緩和
+  // ハイフン（-）などの記号を含むパスワードも許可する
+  logger.debug('Checking the library password', { passwordLength: libraryPassword.length });
+  
+  // 長さのみのチェックに変更（GASスクリプトでは特に形式チェックをしていなかった）
+  if (libraryPassword.length < 4 || libraryPassword.length > 20) {
+    logger.error('Library password length should be between 4 and 20 characters');
+    throw new Error('図書館パスワードの長さが不適切です。');
+  }
+}
+
+/**
+ * 河内長野市立図書館サイトにログインし、ログイン済みのセッションを返す
+ * 貸出一覧・予約一覧はこのセッションを使って取得する
+ * Cookie はセッションの jar に保存し、トップページ・ログイン・利用者メニュー・一覧のすべてのリクエストで共有する
+ * @param {string} libraryId 利用者番号
+ * @param {string} libraryPassword パスワード
+ * @param {{baseUrl: string, origin: string, waitScale: number}} [site] 接続先（省略時は河内長野市立図書館）
+ * @param {ReturnType<typeof createCookieJar>} [jar] Cookie の入れ物（再ログインでは同じものを空にして使う）
+ * @returns {Promise<{site: object, jar: object, userMenuUrl: string, userMenuHtml: string, relogin: () => Promise<void>}>}
+ *   セッション情報（relogin はセッションが切れたときに同じ利用者番号でログインし直す）
+ */
+async function loginLibrary(libraryId, libraryPassword, site = resolveSite(), jar = createCookieJar()) {
+  const { baseUrl } = site;
+  const loginUrl = `${baseUrl}/login.do`;
+  const userMenuUrl = `${baseUrl}/usermenu.do`; // 正しいログインフォームページ
+
+  // より詳細なデバッグ情報
+  logger.info('Logging in to the library', { libraryId, baseUrl });
+
+  // ログイン試行回数を制限
+  const MAX_LOGIN_ATTEMPTS = 2;
+  let loginAttempts = 0;
+
+  // 最初のアクセスで一回クッキーを得ておく（前のセッションの Cookie は捨てる）
+  jar.clear();
+  logger.debug('Accessing index page to initialize session');
+  await requestWithCookies(jar, { url: `${baseUrl}/index.do`, timeout: 10000 });
+  
+  // ユーザーがログイン前に操作する典型的なページ遷移を模倣
+  await wait(site, 1000); // 1秒待機
+
+  // 重要な変更: 正しいログインフォームページ(usermenu.do)にアクセス
+  logger.debug('Fetching user menu page with login form');
+  const userMenuResponse = await requestWithCookies(jar, { url: userMenuUrl, timeout: 10000 });
+  logger.debug('User menu page fetched', { status: userMenuResponse.status });
+    
+  // ログインページのHTML内容の一部を出力（フォーム部分を確認するため）
+  const userMenuHtml = userMenuResponse.data;
+  
+  // 隠しフィールドの値を抽出
+  const $loginPage = cheerio.load(userMenuHtml);
+  // フォームのaction属性を取得（実際のフォーム送信先を確認）
+  const loginFormAction = $loginPage('form').attr('action');
+  logger.debug('Login form found', { action: loginFormAction });
+  
+  // FormのHiddenフィールドを取得
+  const formInputs = {};
+  $loginPage('form input[type="hidden"]').each((i, el) => {
+    const name = $loginPage(el).attr('name');
+    const value = $loginPage(el).attr('value');
+    if (name) {
+      formInputs[name] = value || '';
+    }
+  });
+  logger.debug('Login form hidden fields', { formFields: formInputs });
+  
+  // histnumとforwardのデフォルト値を設定
+  const histnum = formInputs['histnum'] || '1';
+  const forward = formInputs['forward'] || '';
+  
+  // 通常ユーザーの動作を模倣: フォーム入力と送信の間に少し待機
+  await wait(site, 1500); // 1.5秒待機
+  
+  // ユーザーがログインフォームを送信
+  let loginSuccess = false;
+  let actualLoginUrl = loginUrl; // 変数スコープを修正：ここで宣言して初期値を設定
+  
+  while (loginAttempts < MAX_LOGIN_ATTEMPTS) {
+    loginAttempts++;
+    logger.info('Login attempt', { attempt: loginAttempts, maxAttempts: MAX_LOGIN_ATTEMPTS });
+    
+    try {
+      // フォームのaction属性に基づいてログインURLを決定
+      // 相対パスの場合は絶対パスに変換
+      if (loginFormAction) {
+        if (loginFormAction.startsWith('http')) {
+          actualLoginUrl = loginFormAction;
+        } else if (loginFormAction.startsWith('/')) {
+          actualLoginUrl = `${site.origin}${loginFormAction}`;
+        } else {
+          actualLoginUrl = `${baseUrl}/${loginFormAction}`;
+        }
+      }
+      logger.debug('Using login URL', { url: actualLoginUrl });
+      
+      // URLエンコードされたフォームデータを準備
+      const loginPayload = new URLSearchParams({
+        userno: libraryId,
+        passwd: libraryPassword,
+        ...formInputs // 隠しフィールドも含める
+      }).toString();
+      
+      logger.debug('Submitting login form', { fields: Object.keys(Object.fromEntries(new URLSearchParams(loginPayload))) });
+      
+      const loginResponse = await requestWithCookies(jar, {
+        method: 'post',
+        url: actualLoginUrl,
+        data: loginPayload,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Origin': site.origin,
+          'Referer': userMenuUrl, // 正しいリファラー
+        },
+        maxRedirects: 5,
+        validateStatus: null,
+        timeout: 15000,
+      });
+      
+      logger.info('Login response received', { status: loginResponse.status });
+      
+      // レスポンスの一部をログ出力
+      if (loginResponse.data) {
+        const snippet = loginResponse.data.substring(0, 200);
+        logger.debug('Login response preview', { html: snippet });
+        
+        // ログイン成功かどうかを判定
+        if (loginResponse.data.includes('ログアウト') || 
+            !loginResponse.data.includes('ログイン') || 
+            loginResponse.data.includes('利用照会')) {
+          logger.info('Login successful based on page content');
+          loginSuccess = true;
+        } else {
+          logger.warn('Login page still shows login form', { attempt: loginAttempts });
+        }
+      }
+      
+      // ログインのレスポンス（リダイレクトを含む）で Cookie が設定されたか
+      if (loginResponse.setCookies.length === 0) {
+        logger.error('Login failed: no Set-Cookie header found in response', { attempt: loginAttempts });
+        
+        if (loginAttempts < MAX_LOGIN_ATTEMPTS) {
+          logger.info('Retrying login due to missing cookies', { attempt: loginAttempts, maxAttempts: MAX_LOGIN_ATTEMPTS });
+          await wait(site, 3000); // 3秒待機
+          continue;
+        }
+        
+        throw new Error('図書館へのログインに失敗しました (Cookieが取得できませんでした)');
+      }
+      
+      // Cookie の値はセッションそのものなので、ログには取得できたことだけを出す
+      logger.debug('Session cookie obtained');
+
+      // 成功したらループを抜ける
+      if (loginSuccess) break;
+      
+      // Cookieはあるがログイン成功の判定ができない場合
+      if (loginAttempts < MAX_LOGIN_ATTEMPTS) {
+        logger.info('Login status unclear, retrying', { attempt: loginAttempts, maxAttempts: MAX_LOGIN_ATTEMPTS });
+        await wait(site, 3000); // 3秒待機
+        continue;
+      }
+
+    } catch (error) {
+      logger.error('Login attempt failed', { attempt: loginAttempts, maxAttempts: MAX_LOGIN_ATTEMPTS, error });
+      
+      if (loginAttempts < MAX_LOGIN_ATTEMPTS) {
+        logger.info('Retrying login after exception', { attempt: loginAttempts, maxAttempts: MAX_LOGIN_ATTEMPTS });
+        await wait(site, 3000); // 3秒待機
+        continue;
+      }
+      
+      throw new Error(`図書館へのログインが ${MAX_LOGIN_ATTEMPTS} 回失敗しました: ${error.message}`);
+    }
+  }
+  
+  if (!loginSuccess) {
+    throw new Error(`図書館へのログインに失敗しました (${MAX_LOGIN_ATTEMPTS}回試行後)`);
+  }
+  
+  // ログイン成功後、ユーザーの操作を模倣して少し待機
+  logger.debug('Login successful, waiting a moment before next step');
+  await wait(site, 2000); // 2秒待機
+
+  // 重要: usermenu.doにアクセスして利用者メニューを取得
+  logger.debug('Accessing user menu page after login');
+  const userMenuAfterLoginResponse = await requestWithCookies(jar, {
+    url: userMenuUrl,
+    headers: {
+      'Referer': actualLoginUrl || loginUrl,
+    },
+    maxRedirects: 5,
+    timeout: 15000,
+    validateStatus: null,
+  });
+  
+  logger.debug('User menu after login fetched', { status: userMenuAfterLoginResponse.status });
+  
+  // ユーザーメニューのHTMLを解析
+  const userMenuAfterLoginHtml = userMenuAfterLoginResponse.data;
+  logger.debug('User menu after login', { html: userMenuAfterLoginHtml.substring(0, 500) });
+  
+  // ログイン成功の確認（ログイン後のページにはユーザー名や特定のメニューが表示されるはず）
+  if (userMenuAfterLoginHtml.includes('ログアウト') || 
+      userMenuAfterLoginHtml.includes('利用照会') || 
+      userMenuAfterLoginHtml.includes('貸出中') ||
+      userMenuAfterLoginHtml.includes('予約中')) {
+    logger.info('Confirmed login success based on user menu content');
+  } else {
+    logger.warn('User menu does not show expected content after login');
+  }
+
+  const session = {
+    site,
+    jar,
+    userMenuUrl,
+    userMenuHtml: userMenuAfterLoginHtml,
+    async relogin() {
+      logger.info('Session expired, logging in to the library again');
+      const { userMenuHtml } = await loginLibrary(libraryId, libraryPassword, site, jar);
+      session.userMenuHtml = userMenuHtml;
+    },
+  };
+  return session;
+}
+
+/**
+ * ログイン後の利用者メニューから一覧ページへのリンクを探す
+ * @param {object} session loginLibrary で取得したセッション
+ * @param {(linkText: string, href: string) => boolean} isTargetLink 探しているリンクかどうかの判定
+ * @param {string} defaultPath リンクが見つからなかった場合に使う相対URL
+ * @param {string} description ログ出力用の説明 (例: 'borrowing list')
+ * @returns {string} 一覧ページの絶対URL
+ */
+function findUserMenuLink(session, isTargetLink, defaultPath, description) {
+  const $userMenu = cheerio.load(session.userMenuHtml);
+  
+  // ページ内のすべてのリンクを表示してデバッグ
+  logger.debug('Links in user menu page', {
+    links: $userMenu('a').toArray()
+      .map(el => ({ text: $userMenu(el).text().trim(), href: $userMenu(el).attr('href') || '' }))
+      .filter(link => link.text && link.href),
+  });
+  
+  let listUrl = '';
+  
+  // 「貸出一覧」などのリンクテキストを持つaタグを探す
+  $userMenu('a').each((i, el) => {
+    const linkText = $userMenu(el).text().trim();
+    const href = $userMenu(el).attr('href') || '';
+    if (isTargetLink(linkText, href)) {
+      listUrl = href;
+      logger.debug('Found user menu link', { description, href });
+      return false; // eachループを抜ける
+    }
+  });
+  
+  // リンクが見つからなかった場合はデフォルトURLを使用
+  if (!listUrl) {
+    logger.info('No user menu link found, using default URL', { description, defaultPath });
+    listUrl = defaultPath;
+  }
+  
+  return toLibraryUrl(session.site, listUrl);
+}
+
+/**
+ * ログイン済みのセッションで一覧ページを取得する
+ * セッションが切れていた場合（タイムアウトの画面・ログインフォーム）は、1回だけログインし直して取得し直す
+ * @param {object} session loginLibrary で取得したセッション
+ * @param {string} url 取得するページの URL
+ * @param {string} pageName エラーメッセージ用のページ名 (例: '貸出一覧')
+ * @param {string} description ログ出力用の説明 (例: 'borrowing list')
+ * @param {boolean} [relogged] ログインし直した後の取得か（内部用）
+ * @returns {Promise<string>} ページの HTML
+ */
+async function fetchLibraryPage(session, url, pageName, description, relogged = false) {
+  // ブラウザの操作を模倣して少し待機
+  await wait(session.site, 1500); // 1.5秒待機
+  
+  // 一覧ページを取得
+  logger.info('Fetching library page', { description, url });
+  const pageResponse = await requestWithCookies(session.jar, {
+    url,
+    headers: {
+      'Referer': session.userMenuUrl,
+    },
+    maxRedirects: 10,
+    timeout: 25000,
+    validateStatus: null,
+  });
+  
+  logger.debug('Library page fetched', { description, status: pageResponse.status });
+  // タイトルを取得してページ種類を確認
+  const pageHtml = pageResponse.data;
+  const $page = cheerio.load(pageHtml);
+  const pageTitle = $page('title').text().trim();
+  logger.debug('Library page title', { description, pageTitle });
+  
+  // セッションが切れていたらログインし直して1回だけ取得し直す
+  if (isSessionExpired(pageHtml) && !relogged && session.relogin) {
+    logger.warn('Session expired while fetching a library page; retrying after a new login', { description });
+    await session.relogin();
+    return fetchLibraryPage(session, url, pageName, description, true);
+  }
+
+  // タイムアウトエラーが発生していないか確認
+  if (pageTitle.includes('タイムアウト')) {
+    // 情報を収集してエラーの原因を調査
+    const errorMsg = $page('.error-msg, .msg, .message').text().trim() || 
+                     "タイムアウトエラーが発生しました。";
+    logger.error('Timeout error detected in library page', { description, errorMessage: errorMsg });
+    
+    // より詳細に分析
+    const bodyContent = $page('body').text().trim().substring(0, 500);
+    logger.debug('Timeout page content', { description, html: bodyContent });
+    
+    throw new Error(`図書館の${pageName}ページでタイムアウトが発生しました: ${errorMsg}`);
+  }
+  
+  return pageHtml;
+}
+
+/**
+ * HTML の断片を表示どおりの文字列にする（&amp; などの文字参照を戻し、タグを除く）
+ * @param {string} fragment HTML の断片
+ * @returns {string} 文字列
+ */
+function decodeHtmlText(fragment) {
+  return cheerio.load(fragment, null, false).text();
+}
+
+/**
+ * 書名が同じ資料か（空白の違いと全角・半角の違いは無視する）
+ * 貸出一覧の抽出と延長の申し込み欄の読み取りで書名の取り出し方が違っても比べられるようにする
+ * @param {string} a 書名
+ * @param {string} b 書名
+ * @returns {boolean} 同じ場合は true
+ */
+function isSameTitle(a, b) {
+  const normalize = title => title.normalize('NFKC').replace(/\s+/g, ' ').trim();
+  return normalize(a) === normalize(b);
+}
+
+// 貸出一覧の抽出方法 -> 説明（上から順に試す。regex 以外はページの構造が変わったときの予備）
+const BORROWING_LIST_STRATEGIES = {
+  regex: 'GASスクリプトの正規表現',
+  'table-class': 'クラス名に list を含むテーブル',
+  'table-header': '返却期限の見出しを持つテーブル',
+  'table-date': '日付を含むセルのテーブル',
+  'table-cells': 'セルの多いテーブル',
+  none: '抽出できず',
+};
+
+// 貸出がない場合に貸出一覧ページに表示される文言
+const NO_LOANS_PATTERN = /(貸出|借りている)[^。\n]{0,8}(は|が)ありません/;
+
+/**
+ * 貸出一覧ページの HTML から書籍情報を抽出し、どの方法で抽出できたかも返す
+ * GASスクリプトの正規表現で抽出できない場合は Cheerio でテーブルを解析する
+ * @param {string} html 貸出一覧ページの HTML
+ * @param {string} [timeZone] 返却期限を解釈するタイムゾーン
+ * @returns {{books: Array<{title: string, returnDate: Date}>, strategy: string}}
+ *   書籍情報の配列（返却期限はそのタイムゾーンの 0 時）と、抽出に使った方法 (BORROWING_LIST_STRATEGIES のキー)
+ */
+function extractBorrowingList(html, timeZone = DEFAULT_TIME_ZONE) {
+  // HTMLの一部をログ出力して構造を確認
+  logger.debug('Book list page', { html: html.substring(0, 2000) });
+      
+  // GASスクリプトで使用されていた正規表現パターンを採用
+  logger.debug('Using regex pattern extraction (like GAS script)');
+  const books = [];
+  let strategy = 'none';
+  
+  // 元のGASスクリプトと完全に同じ正規表現パターンに変更
+  const bookTitleRegex = /<strong>(.+?)<\/strong><\/a><br>/g;
+  const dateRegex = /<td class="nwrap">(\d{4}\/\d{2}\/\d{2})<\/td>/g;
+  
+  const titles = [];
+  const dates = [];
+  
+  let titleMatch;
+  while ((titleMatch = bookTitleRegex.exec(html)) !== null) {
+    // 正規表現で取り出した書名は HTML のままなので、文字参照 (&amp; など) を戻す
+    titles.push(decodeHtmlText(titleMatch[1]).trim());
+  }
+  
+  let dateMatch;
+  while ((dateMatch = dateRegex.exec(html)) !== null) {
+    dates.push(dateMatch[1]);
+  }
+  
+  logger.debug('Regex extraction results', { titleCount: titles.length, dateCount: dates.length });
+  
+  // タイトルと日付の数が一致している場合は、それらをペアにして処理
+  if (titles.length > 0 && titles.length === dates.length) {
+    for (let i = 0; i < titles.length; i++) {
+      const title = titles[i];
+      const dateText = dates[i];
+      const returnDate = parseZonedDate(dateText, 'yyyy/MM/dd', timeZone);
+      if (!returnDate) {
+        logger.warn('Failed to parse return date', { dateText, title });
+        continue;
+      }
+      books.push({ title, returnDate });
+      logger.debug('Found book via regex', { title, returnDate });
+    }
+    strategy = 'regex';
+    logger.info('Extracted books using GAS script regex patterns');
+  } else {
+    logger.info('Regular expression extraction failed or counts mismatch; falling back to Cheerio parsing');
+    
+    // Cheerioパース処理
+    // ここでCheerioを使って書籍情報を抽出
+    const $bookList = cheerio.load(html);
+    
+    // 使用可能なテーブルクラスをすべて表示
+    const tableClasses = [];
+    $bookList('table').each((i, el) => {
+      const cls = $bookList(el).attr('class');
+      if (cls) tableClasses.push(cls);
+    });
+    logger.debug('Available table classes', { tableClasses });
+    
+    // すべてのテーブルを調査
+    logger.debug('Tables on the page', { count: $bookList('table').length });
+    
+    // より柔軟なテーブル検出
+    // クラス名に「list」を含むテーブルを優先的に調査
+    let bookTable = $bookList('table[class*="list"]');
+    let tableStrategy = 'table-class';
+    
+    // クラスで見つからなかった場合は、他の方法でテーブルを特定
+    if (bookTable.length === 0) {
+      logger.debug('No table with class containing "list" found, trying alternative detection methods');
+      
+      // 1. thに「貸出期限」を含むテーブルを探す
+      $bookList('th:contains("貸出期限"), th:contains("返却期限")').each((i, el) => {
+        const parentTable = $bookList(el).closest('table');
+        if (parentTable.length > 0) {
+          logger.debug('Found table with return date header');
+          bookTable = parentTable;
+          tableStrategy = 'table-header';
+          return false; // eachループを抜ける
+        }
+      });
+      
+      // 2. まだ見つからない場合は日付っぽい形式(YYYY/MM/DD)を含む行を持つテーブルを探す
+      if (bookTable.length === 0) {
+        $bookList('td').each((i, el) => {
+          const text = $bookList(el).text().trim();
+          if (/\d{4}\/\d{2}\/\d{2}/.test(text)) { // YYYY/MM/DD形式を検索
+            logger.debug('Found table with date format text');
+            bookTable = $bookList(el).closest('table');
+            tableStrategy = 'table-date';
+            return false; // eachループを抜ける
+          }
+        });
+      }
+      
+      // 3. それでも見つからない場合は、大きめのテーブルでtdを持つものを使用
+      if (bookTable.length === 0 && $bookList('table').length > 0) {
+        $bookList('table').each((i, el) => {
+          if ($bookList(el).find('td').length > 5) { // ある程度の列数があるテーブル
+            logger.debug('Using fallback table', { index: i + 1, cells: $bookList(el).find('td').length });
+            bookTable = $bookList(el);
+            tableStrategy = 'table-cells';
+            return false; // eachループを抜ける
+          }
+        });
+      }
+    }
+    
+    // 見つかったテーブルから書籍情報を抽出
+    if (bookTable.length > 0) {
+      strategy = tableStrategy;
+      logger.debug('Processing book table', { strategy, html: bookTable.html().substring(0, 500) });
+      
+      // テーブルの構造を解析
+      const hasHeaders = bookTable.find('th').length > 0;
+      logger.debug('Book table headers detected', { hasHeaders });
+      
+      // 行を処理
+      bookTable.find('tr').each((rowIndex, row) => {
+        // ヘッダー行はスキップ
+        if (rowIndex === 0 && hasHeaders) return;
+        
+        try {
+          // 行内のセルを取得
+          const cells = $bookList(row).find('td');
+          if (cells.length < 2) return; // 最低でも2つのセルが必要
+          
+          // テーブルヘッダーを取得して列の順序を確認
+          if (rowIndex === 1) { // 最初の行でのみ実行
+            const headers = [];
+            bookTable.find('th').each((i, th) => {
+              headers.push($bookList(th).text().trim());
+            });
+            logger.debug('Table headers', { headers });
+          }
+          
+          // タイトルを探す - 強調表示（<strong>）やリンク（<a>）を含むセルを優先
+          let titleElement = null;
+          let titleCell = null;
+          
+          // 強調表示されたテキストを探す
+          cells.each((i, cell) => {
+            const strong = $bookList(cell).find('strong');
+            if (strong.length > 0) {
+              titleElement = strong;
+              titleCell = cell;
+              return false; // eachループを抜ける
+            }
+          });
+          
+          // 強調表示がなければリンクを探す
+          if (!titleElement) {
+            cells.each((i, cell) => {
+              const link = $bookList(cell).find('a');
+              if (link.length > 0) {
+                titleElement = link;
+                titleCell = cell;
+                return false;
+              }
+            });
+          }
+          
+          // まだ見つからなければ、最も長いテキストを持つセルを使用
+          if (!titleElement) {
+            let maxLength = 0;
+            cells.each((i, cell) => {
+              const text = $bookList(cell).text().trim();
+              if (text.length > maxLength) {
+                maxLength = text.length;
+                titleCell = cell;
+              }
+            });
+            titleElement = $bookList(titleCell);
+          }
+          
+          const title = titleElement ? titleElement.text().trim() : $bookList(titleCell).text().trim();
+          
+          // 日付を探す - 重要: 正しい返却期限日を取得（4番目のセルが返却期限日）
+          let dateText = null;
+          let returnDateIdx = -1;
+          
+          // テーブルヘッダーを確認して返却期限日の列インデックスを特定
+          bookTable.find('th').each((i, th) => {
+            const headerText = $bookList(th).text().trim();
+            if (headerText.includes('返却期限日')) {
+              returnDateIdx = i;
+              return false; // eachループを抜ける
+            }
+          });
+          
+          // 返却期限日のインデックスが見つかった場合、その列から日付を取得
+          if (returnDateIdx >= 0 && returnDateIdx < cells.length) {
+            const dueDateCell = cells.eq(returnDateIdx);
+            const dueDateText = dueDateCell.text().trim();
+            if (/\d{4}\/\d{2}\/\d{2}/.test(dueDateText)) {
+              dateText = dueDateText.match(/\d{4}\/\d{2}\/\d{2}/)[0];
+              logger.debug('Found return date in column', { column: returnDateIdx, dateText });
+            }
+          } else {
+            // インデックスが見つからない場合は、日付形式を含む全セルをチェック
+            cells.each((i, cell) => {
+              const text = $bookList(cell).text().trim();
+              if (/\d{4}\/\d{2}\/\d{2}/.test(text)) {
+                // 最初の日付は貸出日、2番目は返却期限日と仮定
+                if (i >= 3) { // 3番目以降のセルに返却期限日があると仮定
+                  dateText = text.match(/\d{4}\/\d{2}\/\d{2}/)[0];
+                  logger.debug('Found return date in cell', { cell: i, dateText });
+                  return false; // eachループを抜ける
+                }
+              }
+            });
+          }
+          
+          if (title && dateText) {
+            // 日付形式をパース
+            const returnDate = parseZonedDate(dateText, 'yyyy/MM/dd', timeZone);
+            
+            if (returnDate) {
+              books.push({ title, returnDate });
+              logger.debug('Found book', { title, returnDate });
+            } else {
+              logger.warn('Failed to parse return date', { dateText, title });
+            }
+          }
+        } catch (parseError) {
+          logger.warn('Failed to parse table row', { row: rowIndex, error: parseError });
+        }
+      });
+    } else {
+      logger.warn('No suitable book table found');
+    }
+  }
+
+  return { books, strategy };
+}
+
+/**
+ * 貸出一覧ページの HTML から書籍情報を抽出する
+ * @param {string} html 貸出一覧ページの HTML
+ * @param {string} [timeZone] 返却期限を解釈するタイムゾーン
+ * @returns {Array<{title: string, returnDate: Date}>} 書籍情報の配列（返却期限はそのタイムゾーンの 0 時）
+ */
+function parseBorrowingList(html, timeZone = DEFAULT_TIME_ZONE) {
+  return extractBorrowingList(html, timeZone).books;
+}
+
+/**
+ * ログイン済みのセッションで貸出一覧ページの HTML を取得する
+ * @param {object} session loginLibrary で取得したセッション
+ * @returns {Promise<{url: string, html: string}>} ページの URL と HTML
+ */
+async function fetchBorrowingPage(session) {
+  // 利用者メニューから「貸出一覧」へのリンクを探す
+  const borrowingListUrl = findUserMenuLink(
+    session,
+    (linkText, href) => linkText.includes('貸出一覧') || linkText.includes('利用照会') || href.includes('userlist.do'),
+    'userlist.do?type=2&page=1',
+    'borrowing list',
+  );
+  const html = await fetchLibraryPage(session, borrowingListUrl, '貸出一覧', 'borrowing list');
+  return { url: borrowingListUrl, html };
+}
+
+/**
+ * ログイン済みのセッションで貸出一覧を取得する
+ * 抽出に使った方法とページの構造の報告はセッションに残し、loanPageReport で読む
+ * @param {object} session loginLibrary で取得したセッション
+ * @returns {Promise<Array<{title: string, returnDate: Date}>>} 書籍情報の配列
+ */
+async function fetchBorrowingList(session) {
+  const { url, html } = await fetchBorrowingPage(session);
+  const pages = await collectListPages(url, html,
+    pageUrl => fetchLibraryPage(session, pageUrl, '貸出一覧', 'borrowing list'));
+  const { books, report } = inspectBorrowingPages(pages, session.site.timeZone);
+  session.loanPageReport = report;
+  logger.info('Borrowing list parsed', { count: books.length, strategy: report.strategy, fingerprint: report.fingerprint });
+  return books;
+}
+
+/**
+ * 前のページの末尾の行が、次のページの先頭で何行繰り返されているかを数える
+ * @param {string[]} previousKeys 前のページの行のキー
+ * @param {string[]} keys 次のページの行のキー
+ * @returns {number} 次のページの先頭で繰り返されている行数（最も長く一致するもの）
+ */
+function countRepeatedRows(previousKeys, keys) {
+  for (let count = Math.min(previousKeys.length, keys.length); count > 0; count--) {
+    const tail = previousKeys.slice(-count);
+    if (tail.every((key, i) => key === keys[i])) return count;
+  }
+  return 0;
+}
+
+/**
+ * 貸出一覧の全ページから書籍情報を抽出し、ページの境界で繰り返された行を除いて1つにまとめる
+ * @param {string[]} pages 貸出一覧の各ページの HTML
+ * @param {string} [timeZone] 返却期限を解釈するタイムゾーン
+ * @returns {Array<{title: string, returnDate: Date}>} 書籍情報の配列
+ */
+function mergeBorrowingPages(pages, timeZone = DEFAULT_TIME_ZONE) {
+  return inspectBorrowingPages(pages, timeZone).books;
+}
+
+/**
+ * 貸出一覧の全ページから書籍情報を抽出し、1ページ目の抽出方法と構造を報告する
+ * @param {string[]} pages 貸出一覧の各ページの HTML
+ * @param {string} [timeZone] 返却期限を解釈するタイムゾーン
+ * @returns {{books: Array<{title: string, returnDate: Date}>, report: import('./page-structure').LoanPageReport}}
+ *   書籍情報の配列と、抽出方法・構造の報告
+ */
+function inspectBorrowingPages(pages, timeZone = DEFAULT_TIME_ZONE) {
+  const books = [];
+  const strategies = [];
+  let previousKeys = [];
+  pages.forEach(html => {
+    const extracted = extractBorrowingList(html, timeZone);
+    strategies.push(extracted.strategy);
+    // 取得中に貸出が増減してページの境界がずれると、前のページの末尾の行が次のページの先頭に再び現れる
+    // 同じ書名・返却期限の本を複数借りていることもあるので、境界で繰り返された行だけを除く
+    const keys = extracted.books.map(book => `${book.title}|${format(book.returnDate, 'yyyy/MM/dd')}`);
+    books.push(...extracted.books.slice(countRepeatedRows(previousKeys, keys)));
+    previousKeys = keys;
+  });
+
+  // ページに表示された総件数と一致しなければ取りこぼしの可能性がある
+  const totalCount = parseTotalCount(pages[0]);
+  if (totalCount !== null && totalCount !== books.length) {
+    logger.warn('Borrowing list count does not match the extracted books', { totalCount, extracted: books.length, pages: pages.length });
+  }
+  const firstPage = pages[0] || '';
+  const report = {
+    strategy: strategies[0] || 'none',
+    description: BORROWING_LIST_STRATEGIES[strategies[0] || 'none'],
+    fingerprint: fingerprintPage(firstPage),
+    totalCount,
+    noLoansShown: totalCount === 0 || NO_LOANS_PATTERN.test(cheerio.load(firstPage)('body').text()),
+  };
+  // 正規表現で抽出できないのは、貸出がない場合かページの構造が変わった場合
+  if (report.strategy !== 'regex' && !report.noLoansShown) {
+    logger.warn('Borrowing list was not extracted by the primary strategy', { strategies });
+  }
+  return { books, report };
+}
+
+// 受け取り可能（取置中）とみなす予約の状態
+const READY_RESERVATION_PATTERN = /取置|用意|到着|受取可/;
+// 予約の状態として表示される文言（状態の列が特定できない場合に使う）
+const RESERVATION_STATUS_PATTERN = /予約中|取置中|取置済|回送中|準備中|用意|到着|受取可|順番待ち/;
+
+/**
+ * 予約一覧ページの HTML から予約情報を抽出する
+ * 列の見出し（書名・状態・取置期限）から列を特定し、見つからない場合はセルの内容から推測する
+ * @param {string} html 予約一覧ページの HTML
+ * @param {string} [timeZone] 取置期限を解釈するタイムゾーン
+ * @returns {Array<{title: string, status: string, ready: boolean, pickupDeadline: Date | null}>} 予約情報の配列
+ */
+function parseReservationList(html, timeZone = DEFAULT_TIME_ZONE) {
+  const $ = cheerio.load(html);
+  const reservations = [];
+
+  // 「状態」や「取置期限」の見出しを持つテーブルを予約一覧とみなす
+  let table = $('th').filter((i, th) => /状態|状況|取置期限|受取期限/.test($(th).text())).first().closest('table');
+  if (table.length === 0) {
+    table = $('table[class*="list"]').first();
+  }
+  if (table.length === 0) {
+    logger.info('No reservation table found');
+    return reservations;
+  }
+
+  // 見出しから各列の位置を特定
+  const columnOf = pattern => {
+    let index = -1;
+    table.find('th').each((i, th) => {
+      if (pattern.test($(th).text().trim())) {
+        index = i;
+        return false; // eachループを抜ける
+      }
+    });
+    return index;
+  };
+  const titleIdx = columnOf(/書名|タイトル|資料名/);
+  const statusIdx = columnOf(/状態|状況/);
+  const deadlineIdx = columnOf(/取置期限|受取期限|取置日/);
+
+  table.find('tr').each((rowIndex, row) => {
+    const cells = $(row).find('td');
+    if (cells.length < 2) return; // 見出し行など
+
+    // タイトル: 見出しで特定できなければ強調表示やリンクのテキスト
+    let title = titleIdx >= 0 ? cells.eq(titleIdx).text().trim() : '';
+    if (!title) {
+      title = $(row).find('strong').first().text().trim() || $(row).find('a').first().text().trim();
+    }
+
+    // 状態: 見出しで特定できなければ状態らしい文言を含むセル
+    let status = statusIdx >= 0 ? cells.eq(statusIdx).text().trim() : '';
+    if (!status) {
+      cells.each((i, cell) => {
+        const match = $(cell).text().match(RESERVATION_STATUS_PATTERN);
+        if (match) {
+          status = match[0];
+          return false; // eachループを抜ける
+        }
+      });
+    }
+    if (!title || !status) return;
+
+    const ready = READY_RESERVATION_PATTERN.test(status);
+
+    // 取置期限: 見出しで特定できなければ、受け取り可能な予約に限り行内の最後の日付
+    let dateText = null;
+    if (deadlineIdx >= 0) {
+      const match = cells.eq(deadlineIdx).text().match(/\d{4}\/\d{2}\/\d{2}/);
+      dateText = match ? match[0] : null;
+    } else if (ready) {
+      const matches = $(row).text().match(/\d{4}\/\d{2}\/\d{2}/g);
+      dateText = matches ? matches[matches.length - 1] : null;
+    }
+    const pickupDeadline = dateText ? parseZonedDate(dateText, 'yyyy/MM/dd', timeZone) : null;
+
+    reservations.push({ title, status, ready, pickupDeadline });
+    logger.debug('Found reservation', { title, status, pickupDeadline });
+  });
+
+  return reservations;
+}
+
+/**
+ * ログイン済みのセッションで予約一覧を取得する
+ * @param {object} session loginLibrary で取得したセッション
+ * @returns {Promise<Array<{title: string, status: string, ready: boolean, pickupDeadline: Date | null}>>} 予約情報の配列
+ */
+async function fetchReservationList(session) {
+  // 利用者メニューから「予約一覧」へのリンクを探す
+  const reservationListUrl = findUserMenuLink(
+    session,
+    (linkText, href) => linkText.includes('予約一覧') || linkText.includes('予約状況') || href.includes('userlist.do?type=1'),
+    'userlist.do?type=1&page=1',
+    'reservation list',
+  );
+  const html = await fetchLibraryPage(session, reservationListUrl, '予約一覧', 'reservation list');
+  const reservations = parseReservationList(html, session.site.timeZone);
+  logger.info('Reservation list parsed', { count: reservations.length });
+  return reservations;
+}
+
+/**
+ * 貸出一覧ページの HTML から、各資料の延長可否に関する情報を抽出する
+ * 延長の申し込みは行ごとのチェックボックスで行う想定
+ * @param {string} html 貸出一覧ページの HTML
+ * @returns {Array<{title: string, checkbox: {name: string, value: string} | null, reserved: boolean, renewed: boolean}>}
+ */
+function parseRenewalInfo(html) {
+  const $ = cheerio.load(html);
+  const items = [];
+
+  $('tr').each((rowIndex, row) => {
+    const cells = $(row).find('td');
+    if (cells.length < 2) return; // 見出し行など
+
+    const title = $(row).find('strong').first().text().trim() || $(row).find('a').first().text().trim();
+    if (!title) return;
+
+    const checkboxEl = $(row).find('input[type="checkbox"]').first();
+    const checkbox = checkboxEl.length > 0 && checkboxEl.attr('name')
+      ? { name: checkboxEl.attr('name'), value: checkboxEl.attr('value') || 'on' }
+      : null;
+
+    // 延長回数の列があればその値も見る（1回以上なら延長済み）
+    let extendIdx = -1;
+    $(row).closest('table').find('th').each((i, th) => {
+      if ($(th).text().includes('延長')) {
+        extendIdx = i;
+        return false; // eachループを抜ける
+      }
+    });
+    const extendText = extendIdx >= 0 ? cells.eq(extendIdx).text().trim() : '';
+    const rowText = $(row).text();
+
+    items.push({
+      title,
+      checkbox,
+      reserved: /予約あり|予約有|予約者あり|予約\s*[1-9]/.test(rowText),
+      renewed: /延長済/.test(rowText) || /^[1-9]|済|不可/.test(extendText),
+    });
+  });
+
+  return items;
+}
+
+/**
+ * ログイン済みのセッションで貸出延長を申し込む
+ * 他の人の予約がある資料・延長済みの資料・貸出一覧の2ページ目以降の資料は申し込まずに理由を返す
+ * 延長できたかどうかは、申し込み後の貸出一覧で返却期限が延びたかで判定する
+ * @param {object} session loginLibrary で取得したセッション
+ * @param {Array<{title: string, returnDate: Date}>} targets 延長したい資料
+ * @returns {Promise<{results: Array<{title: string, renewed: boolean, reason?: string, returnDate?: Date}>, books: Array<{title: string, returnDate: Date}>}>}
+ *   資料ごとの結果と、申し込み後の貸出一覧
+ */
+async function renewLibraryBooks(session, targets) {
+  // 延長の申し込み欄は貸出一覧の1ページ目の資料だけが対象。2ページ目以降の資料はその理由を返す
+  const { url: borrowingListUrl, html } = await fetchBorrowingPage(session);
+  const renewalInfo = parseRenewalInfo(html);
+  const results = [];
+  const selected = [];
+
+  targets.forEach(book => {
+    const info = renewalInfo.find(item => isSameTitle(item.title, book.title));
+    if (!info) {
+      results.push({ title: book.title, renewed: false, reason: '2ページ目以降の資料は延長できません（図書館のサイトで申し込んでください）' });
+    } else if (!info.checkbox) {
+      results.push({ title: book.title, renewed: false, reason: '延長の申し込み欄がありません' });
+    } else if (info.reserved) {
+      results.push({ title: book.title, renewed: false, reason: '他の方の予約があります' });
+    } else if (info.renewed) {
+      results.push({ title: book.title, renewed: false, reason: '延長済みです' });
+    } else {
+      selected.push({ book, checkbox: info.checkbox });
+    }
+  });
+
+  if (selected.length === 0) {
+    return { results, books: parseBorrowingList(html, session.site.timeZone) };
+  }
+
+  // チェックボックスを含むフォームの hidden フィールドと延長ボタンを送信する
+  const $ = cheerio.load(html);
+  const form = $(`input[type="checkbox"][name="${selected[0].checkbox.name}"]`).first().closest('form');
+  const payload = new URLSearchParams();
+  form.find('input[type="hidden"]').each((i, el) => {
+    const name = $(el).attr('name');
+    if (name) payload.append(name, $(el).attr('value') || '');
+  });
+  selected.forEach(({ checkbox }) => payload.append(checkbox.name, checkbox.value));
+  const submit = form.find('input[type="submit"], button[type="submit"]')
+    .filter((i, el) => ($(el).attr('value') || $(el).text()).includes('延長')).first();
+  if (submit.attr('name')) {
+    payload.append(submit.attr('name'), submit.attr('value') || '');
+  }
+  const actionUrl = form.attr('action') ? toLibraryUrl(session.site, form.attr('action')) : borrowingListUrl;
+
+  logger.info('Submitting renewal', { count: selected.length, url: actionUrl });
+  await wait(session.site, 1500); // 1.5秒待機
+  // 申し込みは二重に送らないよう、セッションが切れていてもログインし直して送り直すことはしない
+  const renewResponse = await requestWithCookies(session.jar, {
+    method: 'post',
+    url: actionUrl,
+    data: payload.toString(),
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Origin': session.site.origin,
+      'Referer': borrowingListUrl,
+    },
+    maxRedirects: 5,
+    timeout: 15000,
+    validateStatus: null,
+  });
+  logger.info('Renewal response received', { status: renewResponse.status });
+
+  // 申し込み後の貸出一覧で返却期限が延びたかを確認
+  const books = await fetchBorrowingList(session);
+  selected.forEach(({ book }) => {
+    const after = books.find(b => isSameTitle(b.title, book.title));
+    if (after && after.returnDate > book.returnDate) {
+      results.push({ title: book.title, renewed: true, returnDate: after.returnDate });
+    } else {
+      results.push({ title: book.title, renewed: false, reason: '図書館システムで延長できませんでした' });
+    }
+  });
+
+  return { results, books };
+}
+
+/**
+ * 河内長野市立図書館 (WebOpac) のアダプターを作成する
+ * @param {{baseUrl?: string, waitScale?: number}} [options] 接続先と待ち時間の倍率（テストではローカルのサーバーを指定する）
+ * @returns {import('./index').LibraryAdapter} 図書館アダプター
+ */
+function createKawachinaganoAdapter(options = {}) {
+  const site = resolveSite(options);
+  return {
+    name: 'kawachinagano',
+    displayName: '河内長野市立図書館',
+    validateCredentials: validateLibraryCredentials,
+    login: (libraryId, libraryPassword) => loginLibrary(libraryId, libraryPassword, site),
+    listLoans: fetchBorrowingList,
+    loanPageReport: session => session.loanPageReport || null,
+    listReservations: fetchReservationList,
+    renew: renewLibraryBooks,
+  };
+}
+
+module.exports = {
+  BORROWING_LIST_STRATEGIES,
+  createKawachinaganoAdapter,
+  inspectBorrowingPages,
+  mergeBorrowingPages,
+  parseBorrowingList,
+  parseRenewalInfo,
+  parseReservationList,
+};
@@ -0,0 +1,86 @@
+// 図書館のページの構造の変化（スクレイピングが壊れた可能性）を見つけるモジュール
+// 貸出一覧の抽出に使った方法とページの構造の指紋を前回と比べ、本が1冊も読み取れなくなった場合も含めて警告する
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+
+/**
+ * 貸出一覧のページについてアダプターが返す報告
+ * @typedef {object} LoanPageReport
+ * @property {string} strategy 貸出一覧の抽出に使った方法（アダプターごとの名前。抽出できなかった場合は 'none'）
+ * @property {string} description 抽出に使った方法の説明（警告の文面に使う）
+ * @property {string} fingerprint ページの構造の指紋（書名や件数が変わっても変わらない）
+ * @property {number | null} totalCount ページに表示された総件数（表示がない場合は null）
+ * @property {boolean} noLoansShown ページに「貸出はありません」などの表示があるか
+ */
+
+/**
+ * ページの構造の指紋を作る
+ * テーブル・見出し・セルのクラス・フォームの項目名だけから作り、書名や行数・セッション ID には左右されない
+ * @param {string} html ページの HTML
+ * @returns {string} 指紋（16進数12文字）
+ */
+function fingerprintPage(html) {
+  const $ = cheerio.load(html);
+  const parts = new Set();
+  $('table, th, td[class], form, input[name], select[name]').each((i, el) => {
+    const $el = $(el);
+    switch (el.tagName) {
+      case 'table':
+        parts.add(`table.${$el.attr('class') || ''}`);
+        break;
+      case 'th':
+        parts.add(`th:${$el.text().replace(/\s+/g, ' ').trim()}`);
+        break;
+      case 'td':
+        parts.add(`td.${$el.attr('class')}`);
+        break;
+      case 'form':
+        // action のクエリや ;jsessionid= はセッションごとに変わるので除く
+        parts.add(`form:${($el.attr('action') || '').replace(/[;?].*$/, '')}`);
+        break;
+      default:
+        parts.add(`${el.tagName}:${$el.attr('name')}`);
+    }
+  });
+  return crypto.createHash('sha1').update([...parts].join('\n')).digest('hex').substring(0, 12);
+}
+
+/**
+ * 貸出一覧の報告を前回の実行と比べ、スクレイピングが壊れた可能性を返す
+ * - ページの構造が変わった: 本を読み取れたページの指紋が、前回保存した指紋と異なる
+ *   （貸出がないときのページはテーブルがなく構造が違うので、本を読み取れた場合だけ比べる）
+ * - 本が1冊も読み取れない: 「貸出はありません」の表示がないのに、前回は貸出があった（またはページの総件数が 1 以上）
+ * @param {object} params
+ * @param {LoanPageReport} params.report 今回の報告
+ * @param {Array<object>} params.books 今回読み取れた本
+ * @param {Array<object> | null} params.previousLoans 前回保存した貸出一覧（保存されていない場合は null）
+ * @param {{fingerprint: string, strategy: string} | null} params.previousStructure 前回保存した構造（保存されていない場合は null）
+ * @returns {Array<{type: 'structure-changed' | 'unexpected-empty', message: string}>} 見つかった問題
+ */
+function detectPageIssues({ report, books, previousLoans, previousStructure }) {
+  const issues = [];
+  if (books.length > 0 && previousStructure && previousStructure.fingerprint !== report.fingerprint) {
+    issues.push({
+      type: 'structure-changed',
+      message: `貸出一覧のページの構造が変わりました（${previousStructure.fingerprint} → ${report.fingerprint}）。`,
+    });
+  }
+
+  const previousCount = previousLoans ? previousLoans.length : 0;
+  if (books.length === 0 && !report.noLoansShown && (previousCount > 0 || report.totalCount > 0)) {
+    const counts = [
+      previousCount > 0 ? `前回は ${previousCount}冊` : null,
+      report.totalCount > 0 ? `ページの表示は ${report.totalCount}件` : null,
+    ].filter(Boolean).join('、');
+    issues.push({
+      type: 'unexpected-empty',
+      message: `貸出一覧から本を1冊も読み取れませんでした（${counts}）。`,
+    });
+  }
+  return issues;
+}
+
+module.exports = {
+  detectPageIssues,
+  fingerprintPage,
+};
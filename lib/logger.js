@@ -0,0 +1,125 @@
+// 構造化ログ（1行1つの JSON。Cloud Logging が severity と message を読み取る）
+// 値はメッセージに埋め込まずフィールドで渡し、Cookie・パスワード・利用者番号・書名などのフィールドは伏せて出力する
+//
+// 環境変数
+//   LOG_LEVEL:  出力する最低のレベル (debug / info / warn / error、省略時は info)。HTML などの調査用の出力は debug
+//   LOG_REDACT: false の場合は Cookie・利用者番号・書名・HTML を伏せずに出力する（パスワード・token などのシークレットは常に伏せる）
+
+// レベル -> Cloud Logging の severity と、出力に使う console のメソッド
+const LOG_LEVELS = {
+  debug: { rank: 0, severity: 'DEBUG', method: 'log' },
+  info: { rank: 1, severity: 'INFO', method: 'log' },
+  warn: { rank: 2, severity: 'WARNING', method: 'warn' },
+  error: { rank: 3, severity: 'ERROR', method: 'error' },
+};
+
+// 設定しなかった場合のレベル
+const DEFAULT_LOG_LEVEL = 'info';
+
+// 伏せた値の代わりに出力する文字列
+const REDACTED = '[REDACTED]';
+
+// 常に伏せるフィールド（小文字で比較する）
+const SECRET_FIELDS = new Set([
+  'password', 'passwd', 'librarypassword', 'token', 'secret', 'authorization',
+  'webhookurl', 'smtpurl', 'channelaccesstoken',
+]);
+
+// LOG_REDACT=false でなければ伏せるフィールド（小文字で比較する）。notifications は書名を含む通知の本文、
+// url は WebOpac のページの URL（クエリ文字列にセッション ID を含むことがある）
+const PERSONAL_FIELDS = new Set([
+  'cookie', 'cookies', 'set-cookie', 'userno', 'libraryid', 'cardnumber',
+  'title', 'titles', 'owner', 'html', 'formfields', 'notifications', 'url',
+]);
+
+// configureLogging で変えた設定（省略した項目は環境変数から決める）
+const settings = {};
+
+/**
+ * ログの設定を変える（CLI で出力先を標準エラーにする場合など）
+ * @param {{level?: string, redact?: boolean, write?: (line: string, level: string) => void}} options
+ *   level: 出力する最低のレベル、redact: 個人情報を伏せるか、write: 1行を出力する関数
+ */
+function configureLogging(options) {
+  Object.assign(settings, options);
+}
+
+/**
+ * 出力する最低のレベル
+ * @returns {string} レベル
+ */
+function currentLevel() {
+  const level = settings.level || (process.env.LOG_LEVEL || '').toLowerCase();
+  return Object.hasOwn(LOG_LEVELS, level) ? level : DEFAULT_LOG_LEVEL;
+}
+
+/**
+ * 個人情報のフィールドを伏せるか
+ * @returns {boolean} 伏せる場合は true
+ */
+function shouldRedact() {
+  return settings.redact !== undefined ? settings.redact : process.env.LOG_REDACT !== 'false';
+}
+
+/**
+ * フィールドの値を JSON にできる形にし、伏せるべきフィールドを伏せる
+ * @param {unknown} value 値
+ * @param {boolean} redact 個人情報を伏せるか
+ * @param {number} [depth] 入れ子の深さ（循環を避けるため一定の深さで打ち切る）
+ * @returns {unknown} 出力する値
+ */
+function sanitize(value, redact, depth = 0) {
+  if (value instanceof Error) {
+    return sanitize({ name: value.name, message: value.message, stack: value.stack }, redact, depth);
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? String(value) : value.toISOString();
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= 5) return '[Object]';
+  if (Array.isArray(value)) return value.map(item => sanitize(item, redact, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    const name = key.toLowerCase();
+    if (SECRET_FIELDS.has(name) || (redact && PERSONAL_FIELDS.has(name))) {
+      return [key, item === undefined || item === null || item === '' ? item : REDACTED];
+    }
+    return [key, sanitize(item, redact, depth + 1)];
+  }));
+}
+
+/**
+ * ロガーを作成する
+ * @param {string} component 出力元 (例: 'library')。ログの component フィールドになる
+ * @returns {{
+ *   debug: (message: string, fields?: object) => void,
+ *   info: (message: string, fields?: object) => void,
+ *   warn: (message: string, fields?: object) => void,
+ *   error: (message: string, fields?: object) => void
+ * }} レベルごとにログを出力する関数
+ */
+function createLogger(component) {
+  const log = level => (message, fields = {}) => {
+    const { rank, severity, method } = LOG_LEVELS[level];
+    if (rank < LOG_LEVELS[currentLevel()].rank) return;
+    const line = JSON.stringify({ severity, message, component, ...sanitize(fields, shouldRedact()) });
+    if (settings.write) {
+      settings.write(line, level);
+    } else {
+      console[method](line);
+    }
+  };
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  REDACTED,
+  configureLogging,
+  createLogger,
+};
@@ -0,0 +1,21 @@
+// Discord ウェブフックへ通知する notifier
+const { sendDiscordMessage } = require('../discord');
+
+/**
+ * Discord ウェブフックへ送る notifier を作成する
+ * @param {{name: string, webhookUrl: string, mentions?: string[]}} recipient 通知先
+ *   webhookUrl: シークレットから取得したウェブフック URL
+ *   mentions: 長期の延滞などで呼びかけるメンバー (<@ユーザーID> / <@&ロールID>)
+ * @returns {import('./index').Notifier} notifier
+ */
+function createDiscordNotifier(recipient) {
+  return {
+    type: 'discord',
+    name: recipient.name,
+    send: message => sendDiscordMessage(recipient.webhookUrl, message, { mentions: recipient.mentions }),
+  };
+}
+
+module.exports = {
+  createDiscordNotifier,
+};
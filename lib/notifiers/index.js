@@ -0,0 +1,138 @@
+// 通知先 (notifier) の定義と登録
+// 同じリマインドを Discord・Slack・LINE・メールなど複数の通知先へ送る
+// どの通知先に何を送るかは config の recipients で通知先ごとに指定する
+const { createDiscordNotifier } = require('./discord');
+const { createEmailNotifier } = require('./email');
+const { createLineNotifier } = require('./line');
+const { createSlackNotifier } = require('./slack');
+const { notificationKey } = require('../state');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('notifier');
+
+/**
+ * 通知先
+ * @typedef {object} Notifier
+ * @property {string} type 通知先の種類 (例: 'discord')
+ * @property {string} name 設定での通知先の名前
+ * @property {(message: {text: string, embeds: Array<object>, mention?: boolean}) => Promise<void>} send
+ *   メッセージを送る（埋め込みに対応していない通知先は text を使う）。失敗した場合は利用者向けのメッセージで Error を投げる
+ *   mention が true のメッセージは、メンションに対応している通知先なら設定の mentions のメンバーに呼びかける
+ */
+
+// 通知の内容の種類（garbage: ゴミ出し、library: 図書館の返却期限・予約・延長）
+const NOTIFICATION_TOPICS = ['garbage', 'library'];
+
+// 週間まとめ（ゴミ出しと図書館を1つにまとめたメッセージ）の種類
+// 設定の topics には指定せず、garbage / library のどちらかを受け取る通知先に、受け取る内容だけをまとめて送る
+const DIGEST_TOPIC = 'weekly';
+
+// 種類 -> notifier を作成する関数と設定項目
+// secrets: シークレット名を指定する設定項目 -> シークレットの値を入れる項目
+// settings: シークレット以外の必須の設定項目
+// mentions: 設定の mentions（長期の延滞などでのメンション）に対応しているか
+const NOTIFIER_TYPES = {
+  discord: { create: createDiscordNotifier, secrets: { webhookSecret: 'webhookUrl' }, settings: [], mentions: true },
+  slack: { create: createSlackNotifier, secrets: { webhookSecret: 'webhookUrl' }, settings: [], mentions: true },
+  line: { create: createLineNotifier, secrets: { channelAccessTokenSecret: 'channelAccessToken' }, settings: ['to'], mentions: false },
+  email: { create: createEmailNotifier, secrets: { smtpUrlSecret: 'smtpUrl' }, settings: ['from', 'to'], mentions: false },
+};
+
+/**
+ * 通知先の設定から notifier を作成する
+ * @param {{type: string, name: string}} recipient 通知先（シークレットの値を含む）
+ * @param {object} [options] notifier に渡すオプション（メールのトランスポートなど、テスト用）
+ * @returns {Notifier} notifier
+ */
+function createNotifier(recipient, options = {}) {
+  const notifierType = NOTIFIER_TYPES[recipient.type];
+  if (!notifierType) {
+    throw new Error(`通知先の種類 "${recipient.type}" は存在しません (${Object.keys(NOTIFIER_TYPES).join(' / ')} のいずれか)`);
+  }
+  return notifierType.create(recipient, options);
+}
+
+/**
+ * 通知先がその内容を受け取るか
+ * topics を省略した通知先はすべての内容を、areas を省略した通知先はすべての地区のゴミ出しを受け取る
+ * 週間まとめ (DIGEST_TOPIC) は、いずれかの内容を受け取る通知先が受け取る
+ * @param {{topics?: string[], areas?: string[]}} recipient 通知先
+ * @param {string} topic 内容の種類
+ * @param {string} [areaId] ゴミ出しの地区 ID
+ * @returns {boolean} 受け取る場合は true
+ */
+function isSubscribed(recipient, topic, areaId) {
+  if (topic === DIGEST_TOPIC) return NOTIFICATION_TOPICS.some(candidate => isSubscribed(recipient, candidate));
+  if (recipient.topics && !recipient.topics.includes(topic)) return false;
+  if (topic === 'garbage' && areaId && recipient.areas && !recipient.areas.includes(areaId)) return false;
+  return true;
+}
+
+/**
+ * 内容を受け取るすべての通知先にメッセージを送る
+ * 1つの通知先の失敗で他の通知先への送信は止めず、失敗があれば最後にまとめてエラーにする（error.delivered に送れた分を入れる）
+ * 送信済みの記録 (sentLog) を渡した場合は、同じ日に同じ内容を送った通知先には送らない
+ * @param {Array<object>} recipients 通知先（シークレットの値を含む）
+ * @param {string} topic 内容の種類
+ * @param {{text: string, embeds: Array<object>} | ((recipient: object) => ({text: string, embeds: Array<object>} | null))} message
+ *   メッセージ。通知先のリマインドのタイミングなどで内容が変わる場合は通知先からメッセージを作る関数（null を返した通知先には送らない）
+ * @param {object} [options]
+ * @param {string} [options.areaId] ゴミ出しの地区 ID
+ * @param {{has: (key: string) => boolean, add: (key: string) => Promise<void>}} [options.sentLog] 送信済みの記録（lib/state の loadSentLog）
+ * @param {boolean} [options.dryRun] true の場合は送らずに、送るはずのメッセージだけを返す
+ * @returns {Promise<Array<{recipient: string, type: string, topic: string, areaId?: string, text: string, embeds: Array<object>}>>}
+ *   送った（dryRun の場合は送るはずの）通知先ごとのメッセージ
+ */
+async function notifyRecipients(recipients, topic, message, { areaId, sentLog, dryRun = false } = {}) {
+  const targets = recipients.filter(recipient => isSubscribed(recipient, topic, areaId));
+  if (targets.length === 0) {
+    logger.info('No recipients for the topic', { topic, areaId });
+    return [];
+  }
+
+  const delivered = [];
+  const failed = [];
+  for (const recipient of targets) {
+    const recipientMessage = typeof message === 'function' ? message(recipient) : message;
+    if (!recipientMessage) {
+      logger.info('Nothing to send to the recipient', { recipient: recipient.name, topic });
+      continue;
+    }
+    const key = notificationKey(recipient.name, topic, areaId || '', recipientMessage.text);
+    if (sentLog && sentLog.has(key)) {
+      logger.info('Skipping a notification already sent today', { recipient: recipient.name, topic, areaId });
+      continue;
+    }
+    const delivery = { recipient: recipient.name, type: recipient.type, topic, ...(areaId && { areaId }), ...recipientMessage };
+    if (dryRun) {
+      logger.info('Dry run: would notify the recipient', { recipient: recipient.name, type: recipient.type, topic, areaId });
+      delivered.push(delivery);
+      continue;
+    }
+    try {
+      logger.info('Notifying the recipient', { recipient: recipient.name, type: recipient.type, topic, areaId });
+      await createNotifier(recipient).send(recipientMessage);
+      if (sentLog) await sentLog.add(key);
+      delivered.push(delivery);
+    } catch (error) {
+      logger.error('Failed to notify the recipient', { recipient: recipient.name, type: recipient.type, error });
+      failed.push(recipient.name);
+    }
+  }
+  if (failed.length > 0) {
+    const error = new Error(`通知の送信に失敗しました: ${failed.join('、')}`);
+    // 送れた通知先の分は呼び出し元で結果に含められるようにする
+    error.delivered = delivered;
+    throw error;
+  }
+  return delivered;
+}
+
+module.exports = {
+  DIGEST_TOPIC,
+  NOTIFICATION_TOPICS,
+  NOTIFIER_TYPES,
+  createNotifier,
+  isSubscribed,
+  notifyRecipients,
+};
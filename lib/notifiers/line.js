@@ -0,0 +1,57 @@
+// LINE Messaging API のプッシュメッセージで通知する notifier
+// LINE には埋め込みがないのでプレーンテキストで送る
+const axios = require('axios');
+const { createLogger } = require('../logger');
+const { splitText } = require('../discord');
+
+const logger = createLogger('notifier');
+
+const LINE_API_BASE_URL = 'https://api.line.me';
+
+// テキストメッセージ1件の上限文字数と、1回のリクエストで送れるメッセージ数
+const LINE_LIMITS = {
+  text: 5000,
+  messagesPerRequest: 5,
+};
+
+/**
+ * LINE Messaging API へ送る notifier を作成する
+ * @param {{name: string, to: string, channelAccessToken: string, apiBaseUrl?: string}} recipient 通知先
+ *   to: 送信先のユーザー ID またはグループ ID、channelAccessToken: シークレットから取得したチャネルアクセストークン、
+ *   apiBaseUrl: API の URL（テストではローカルのサーバーを指定する）
+ * @returns {import('./index').Notifier} notifier
+ */
+function createLineNotifier(recipient) {
+  const apiBaseUrl = (recipient.apiBaseUrl || LINE_API_BASE_URL).replace(/\/+$/, '');
+  return {
+    type: 'line',
+    name: recipient.name,
+    async send(message) {
+      const texts = splitText(message.text, LINE_LIMITS.text);
+      for (let i = 0; i < texts.length; i += LINE_LIMITS.messagesPerRequest) {
+        const messages = texts.slice(i, i + LINE_LIMITS.messagesPerRequest).map(text => ({ type: 'text', text }));
+        try {
+          const response = await axios.post(`${apiBaseUrl}/v2/bot/message/push`, { to: recipient.to, messages }, {
+            headers: {
+              'Content-Type': 'application/json',
+              'Authorization': `Bearer ${recipient.channelAccessToken}`,
+            },
+            timeout: 10000,
+          });
+          logger.info('LINE message sent', { status: response.status });
+        } catch (error) {
+          logger.error('Failed to send LINE message', {
+            error,
+            ...(error.response && { status: error.response.status, response: error.response.data }),
+          });
+          throw new Error('LINEへのメッセージ送信に失敗しました。');
+        }
+      }
+    },
+  };
+}
+
+module.exports = {
+  LINE_LIMITS,
+  createLineNotifier,
+};
@@ -0,0 +1,82 @@
+// Slack の Incoming Webhook へ通知する notifier
+// Discord の埋め込みは Slack の attachments（色付きの帯・見出し・フィールド）に変換する
+const axios = require('axios');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('notifier');
+
+// 1回の投稿に含める attachments の上限（Slack の上限 100 より小さくしておく）
+const MAX_ATTACHMENTS = 20;
+
+/**
+ * 埋め込みの色 (数値) を Slack の色 ("#rrggbb") に変換する
+ * @param {number} [color] 埋め込みの色
+ * @returns {string | undefined} Slack の色
+ */
+function toSlackColor(color) {
+  return color === undefined ? undefined : `#${color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * メッセージを Slack の Incoming Webhook のペイロードに変換する
+ * 埋め込みがない場合はプレーンテキストで送る
+ * メンションするメッセージの場合は、最初の投稿の本文の先頭に mentions を付ける
+ * @param {{text: string, embeds: Array<object>, mention?: boolean}} message メッセージ
+ * @param {string[]} [mentions] メンションの文字列 (<@ユーザーID> / <!here> など)
+ * @returns {Array<object>} 投稿するペイロード（attachments が多い場合は複数）
+ */
+function buildSlackPayloads(message, mentions = []) {
+  const mentionText = message.mention && mentions.length > 0 ? mentions.join(' ') : '';
+  if (message.embeds.length === 0) {
+    return [{ text: mentionText ? `${mentionText}\n${message.text}` : message.text }];
+  }
+  const attachments = message.embeds.map(embed => ({
+    color: toSlackColor(embed.color),
+    title: embed.title,
+    text: embed.description,
+    fields: (embed.fields || []).map(field => ({ title: field.name, value: field.value, short: false })),
+    fallback: [embed.title, embed.description].filter(Boolean).join('\n') || message.text,
+  }));
+  const payloads = [];
+  for (let i = 0; i < attachments.length; i += MAX_ATTACHMENTS) {
+    payloads.push({ attachments: attachments.slice(i, i + MAX_ATTACHMENTS) });
+  }
+  if (mentionText) payloads[0] = { text: mentionText, ...payloads[0] };
+  return payloads;
+}
+
+/**
+ * Slack の Incoming Webhook へ送る notifier を作成する
+ * @param {{name: string, webhookUrl: string, mentions?: string[]}} recipient 通知先
+ *   webhookUrl: シークレットから取得したウェブフック URL
+ *   mentions: 長期の延滞などで呼びかけるメンバー (<@ユーザーID> / <!here> など)
+ * @returns {import('./index').Notifier} notifier
+ */
+function createSlackNotifier(recipient) {
+  return {
+    type: 'slack',
+    name: recipient.name,
+    async send(message) {
+      for (const payload of buildSlackPayloads(message, recipient.mentions)) {
+        try {
+          const response = await axios.post(recipient.webhookUrl, payload, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 10000,
+          });
+          logger.info('Slack message sent', { status: response.status });
+        } catch (error) {
+          logger.error('Failed to send Slack message', {
+            error,
+            ...(error.response && { status: error.response.status, response: error.response.data }),
+          });
+          throw new Error('Slackへのメッセージ送信に失敗しました。');
+        }
+      }
+    },
+  };
+}
+
+module.exports = {
+  buildSlackPayloads,
+  createSlackNotifier,
+};
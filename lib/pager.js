@@ -0,0 +1,87 @@
+// 図書館の一覧ページ（貸出一覧・予約一覧）のページ送りを扱うモジュール
+const cheerio = require('cheerio');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('library');
+
+// 1回の取得で辿るページ数の上限（ページ送りの解析を誤った場合の無限ループ防止）
+const MAX_PAGES = 20;
+
+/**
+ * URL から page パラメータの値を取り出す
+ * @param {string} url URL
+ * @returns {number} ページ番号（指定がなければ 1）
+ */
+function pageNumberOf(url) {
+  const match = url.match(/[?&]page=(\d+)/);
+  return match ? Number(match[1]) : 1;
+}
+
+/**
+ * ページ送りのリンクから、同じ一覧の他のページの URL を取得する
+ * 現在のページと同じ一覧（page 以外のパラメータが同じ）のリンクだけを対象にする
+ * @param {string} html 一覧ページの HTML
+ * @param {string} currentUrl 現在のページの絶対URL
+ * @returns {string[]} 他のページの絶対URL（ページ番号順、重複なし）
+ */
+function findPagerUrls(html, currentUrl) {
+  const $ = cheerio.load(html);
+  const withoutPage = url => url.replace(/([?&])page=\d+&?/, '$1').replace(/[?&]$/, '');
+  const currentList = withoutPage(currentUrl);
+  const currentPage = pageNumberOf(currentUrl);
+  const urls = new Map();
+
+  $('a[href*="page="]').each((i, el) => {
+    const absolute = new URL($(el).attr('href'), currentUrl).toString();
+    const page = pageNumberOf(absolute);
+    if (withoutPage(absolute) === currentList && page !== currentPage && !urls.has(page)) {
+      urls.set(page, absolute);
+    }
+  });
+
+  return [...urls.entries()].sort((a, b) => a[0] - b[0]).map(([, url]) => url);
+}
+
+/**
+ * 一覧ページに表示されている総件数を取得する (例: "全 12 件", "12件中 1-10件")
+ * @param {string} html 一覧ページの HTML
+ * @returns {number | null} 総件数、表示がない場合は null
+ */
+function parseTotalCount(html) {
+  const text = cheerio.load(html)('body').text();
+  const match = text.match(/全\s*(\d+)\s*件/) || text.match(/(\d+)\s*件中/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * 1ページ目からページ送りのリンクを辿り、一覧のすべてのページの HTML を取得する
+ * @param {string} firstUrl 1ページ目の絶対URL
+ * @param {string} firstHtml 1ページ目の HTML
+ * @param {(url: string) => Promise<string>} fetchPage ページの HTML を取得する関数
+ * @returns {Promise<string[]>} すべてのページの HTML（取得順）
+ */
+async function collectListPages(firstUrl, firstHtml, fetchPage) {
+  const pages = [firstHtml];
+  const visited = new Set([pageNumberOf(firstUrl)]);
+  const queue = findPagerUrls(firstHtml, firstUrl);
+
+  while (queue.length > 0 && pages.length < MAX_PAGES) {
+    const url = queue.shift();
+    if (visited.has(pageNumberOf(url))) continue;
+    visited.add(pageNumberOf(url));
+
+    logger.info('Fetching list page', { page: pageNumberOf(url), url });
+    const html = await fetchPage(url);
+    pages.push(html);
+    // 「1 2 3 … 次へ」のように一部のページしかリンクされていない場合に備えて、取得したページのリンクも辿る
+    queue.push(...findPagerUrls(html, url));
+  }
+
+  return pages;
+}
+
+module.exports = {
+  collectListPages,
+  findPagerUrls,
+  parseTotalCount,
+};
@@ -0,0 +1,66 @@
+// Cloud Tasks に再試行を登録するキュー（Cloud Functions で使う）
+// 待ち時間の後に Cloud Tasks が reminderHttp へ POST し、関数は待たずに終われる
+const { createLogger } = require('../logger');
+
+const logger = createLogger('retry');
+
+// Cloud Tasks のクライアント（最初に使うときに作成し、以降は使い回す）
+let client;
+
+/**
+ * Cloud Tasks のクライアントを取得する
+ * @returns {object} CloudTasksClient
+ */
+function getClient() {
+  if (!client) {
+    // Cloud Tasks を使わない環境では読み込まないよう、ここで require する
+    const { CloudTasksClient } = require('@google-cloud/tasks');
+    client = new CloudTasksClient();
+  }
+  return client;
+}
+
+/**
+ * Cloud Tasks に再試行を登録するキューを作成する
+ * @param {{projectId?: string, location: string, queue: string, url?: string}} options config の retry
+ *   projectId: 省略時は環境変数 GOOGLE_CLOUD_PROJECT、なければ実行環境（認証情報）のプロジェクト
+ *   location: キューのリージョン、queue: キューの名前、
+ *   url: 再試行で呼び出す reminderHttp の URL（省略時は https://<location>-<projectId>.cloudfunctions.net/reminderHttp）
+ * @param {{getToken?: () => Promise<string>}} [context] getToken: reminderHttp の token を取得する関数
+ * @returns {import('./index').RetryQueue} キュー
+ */
+function createCloudTasksRetryQueue(options, context = {}) {
+  let projectId = options.projectId || process.env.GOOGLE_CLOUD_PROJECT;
+
+  return {
+    backend: 'cloud-tasks',
+    async enqueue(params, delayMs) {
+      if (!projectId) {
+        projectId = await getClient().getProjectId();
+      }
+      const url = options.url || `https://${options.location}-${projectId}.cloudfunctions.net/reminderHttp`;
+      // reminderHttp は token を確かめるので、タスクの本文に含める
+      const token = context.getToken ? await context.getToken() : undefined;
+      const body = JSON.stringify({ ...params, token });
+      const scheduleSeconds = Math.ceil((Date.now() + delayMs) / 1000);
+
+      const [task] = await getClient().createTask({
+        parent: getClient().queuePath(projectId, options.location, options.queue),
+        task: {
+          scheduleTime: { seconds: scheduleSeconds },
+          httpRequest: {
+            httpMethod: 'POST',
+            url,
+            headers: { 'Content-Type': 'application/json' },
+            body: Buffer.from(body).toString('base64'),
+          },
+        },
+      });
+      logger.info('Retry task created', { task: task.name, scheduleTime: new Date(scheduleSeconds * 1000) });
+    },
+  };
+}
+
+module.exports = {
+  createCloudTasksRetryQueue,
+};
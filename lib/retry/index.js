@@ -0,0 +1,73 @@
+// 図書館の取得に失敗したカードの再試行を、関数の中で待たずにキューへ登録する
+// 登録先は config の retry.backend で選ぶ（cloud-tasks / memory、省略時は memory）
+// 再試行は reminderHttp と同じ指定 (date / only / dryRun / retryAttempt / accounts) で、遅らせてもう一度実行する
+const { createCloudTasksRetryQueue } = require('./cloud-tasks');
+const { createMemoryRetryQueue } = require('./memory');
+
+/**
+ * 再試行のキュー
+ * @typedef {object} RetryQueue
+ * @property {string} backend 登録先の種類
+ * @property {(params: Object<string, string>, delayMs: number) => Promise<void>} enqueue
+ *   実行の指定（reminderHttp のパラメータと同じ形の文字列）を、delayMs 後に実行するよう登録する
+ */
+
+// 登録先の種類 -> キューを作成する関数
+const RETRY_BACKENDS = {
+  'cloud-tasks': createCloudTasksRetryQueue,
+  // 同じプロセスの中に溜めておき、drain で実行する（CLI・テスト用）
+  memory: createMemoryRetryQueue,
+};
+
+// 再試行の間隔と回数の既定値
+// maxAttempts: 初回を含めた取得の回数、initialDelayMinutes: 1回目の再試行までの待ち時間、
+// multiplier: 再試行のたびに待ち時間を何倍にするか、maxDelayMinutes: 待ち時間の上限
+const DEFAULT_RETRY_POLICY = { maxAttempts: 2, initialDelayMinutes: 5, multiplier: 2, maxDelayMinutes: 60 };
+
+/**
+ * 設定からキューを作成する
+ * @param {{backend?: string}} [options] config の retry（省略時は memory）
+ * @param {{getToken?: () => Promise<string>}} [context] getToken: reminderHttp の token を取得する関数（cloud-tasks で使う）
+ * @returns {RetryQueue} キュー
+ */
+function createRetryQueue(options = {}, context = {}) {
+  const backend = options.backend || 'memory';
+  const factory = RETRY_BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`再試行の登録先 "${backend}" は存在しません (${Object.keys(RETRY_BACKENDS).join(' / ')} のいずれか)`);
+  }
+  return factory(options, context);
+}
+
+/**
+ * attempt 回目の取得に失敗した後、次の取得までの待ち時間（指数バックオフ）
+ * @param {{initialDelayMinutes?: number, multiplier?: number, maxDelayMinutes?: number}} policy 再試行の設定
+ * @param {number} attempt 失敗した取得が何回目か（初回は 1）
+ * @returns {number} 待ち時間（ミリ秒）
+ */
+function retryDelayMs(policy, attempt) {
+  const { initialDelayMinutes, multiplier, maxDelayMinutes } = { ...DEFAULT_RETRY_POLICY, ...policy };
+  const minutes = Math.min(initialDelayMinutes * multiplier ** (attempt - 1), maxDelayMinutes);
+  return Math.round(minutes * 60 * 1000);
+}
+
+/**
+ * 待ち時間を通知の文面用に表す（例: 5分、1時間30分）
+ * @param {number} delayMs 待ち時間（ミリ秒）
+ * @returns {string} 文面
+ */
+function formatDelay(delayMs) {
+  const totalMinutes = Math.max(1, Math.round(delayMs / 60000));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) return `${minutes}分`;
+  return minutes === 0 ? `${hours}時間` : `${hours}時間${minutes}分`;
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  RETRY_BACKENDS,
+  createRetryQueue,
+  formatDelay,
+  retryDelayMs,
+};
@@ -0,0 +1,38 @@
+// 再試行をプロセスの中に溜めておくキュー（Cloud Tasks の代わり。CLI・テストで使う）
+// 登録しただけでは実行しないので、呼び出し側が drain で実行する
+
+/**
+ * プロセスの中に再試行を溜めるキューを作成する
+ * @param {object} [options] config の retry（使う項目はない）
+ * @returns {import('./index').RetryQueue & {
+ *   jobs: Array<{params: Object<string, string>, delayMs: number}>,
+ *   drain: (run: (params: Object<string, string>) => Promise<unknown>, options?: {wait?: boolean}) => Promise<number>
+ * }} キュー（jobs: 登録された再試行、drain: 再試行を登録順に実行し、実行した数を返す。
+ *   実行中に登録された再試行も続けて実行する。wait が false の場合は待ち時間を待たない）
+ */
+function createMemoryRetryQueue() {
+  const jobs = [];
+  return {
+    backend: 'memory',
+    jobs,
+    async enqueue(params, delayMs) {
+      jobs.push({ params: { ...params }, delayMs });
+    },
+    async drain(run, { wait = true } = {}) {
+      let count = 0;
+      while (jobs.length > 0) {
+        const job = jobs.shift();
+        if (wait && job.delayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, job.delayMs));
+        }
+        await run(job.params);
+        count++;
+      }
+      return count;
+    },
+  };
+}
+
+module.exports = {
+  createMemoryRetryQueue,
+};
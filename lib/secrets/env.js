@@ -0,0 +1,32 @@
+// 環境変数からシークレットを読むソース（ローカル実行や、Secret Manager を使わない環境で使う）
+
+/**
+ * シークレット名を環境変数名にする (例: 'discord-webhook-url' -> 'DISCORD_WEBHOOK_URL')
+ * @param {string} secretName シークレット名
+ * @returns {string} 環境変数名
+ */
+function toEnvName(secretName) {
+  return secretName.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+/**
+ * 環境変数からシークレットを読むソースを作成する
+ * @param {{prefix?: string}} [options] prefix: 環境変数名の前に付ける文字列 (例: 'REMINDER_')
+ * @param {object} [env] 環境変数（テスト用）
+ * @returns {import('./index').SecretSource} ソース
+ */
+function createEnvSecretSource(options = {}, env = process.env) {
+  const prefix = options.prefix || '';
+  return {
+    backend: 'env',
+    async get(secretName) {
+      const value = env[`${prefix}${toEnvName(secretName)}`];
+      return value ? value : null;
+    },
+  };
+}
+
+module.exports = {
+  createEnvSecretSource,
+  toEnvName,
+};
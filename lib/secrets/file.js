@@ -0,0 +1,60 @@
+// ローカルのファイルからシークレットを読むソース（オフラインでの実行・テスト用）
+// .json のファイルは「シークレット名 -> 値」のオブジェクト、それ以外は .env 形式 (KEY=VALUE) として読む
+// どちらもシークレット名と、それを環境変数名にした名前 (例: DISCORD_WEBHOOK_URL) のどちらのキーでも書ける
+const fs = require('fs');
+const path = require('path');
+const { toEnvName } = require('./env');
+
+/**
+ * .env 形式の文字列を読む（空行と # で始まる行は無視し、値を囲む引用符は外す）
+ * @param {string} text ファイルの内容
+ * @returns {Object<string, string>} キー -> 値
+ */
+function parseDotEnv(text) {
+  const values = {};
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/);
+    if (!match) return;
+    const quoted = match[2].match(/^(["'])(.*)\1$/);
+    values[match[1]] = quoted ? quoted[2] : match[2];
+  });
+  return values;
+}
+
+/**
+ * ファイルを読み込む
+ * @param {string} filePath ファイルのパス
+ * @returns {Object<string, string>} キー -> 値
+ */
+function readSecretsFile(filePath) {
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    return path.extname(filePath) === '.json' ? JSON.parse(text) : parseDotEnv(text);
+  } catch (error) {
+    throw new Error(`シークレットのファイルを読み込めませんでした (${filePath}): ${error.message}`);
+  }
+}
+
+/**
+ * ファイルからシークレットを読むソースを作成する（ファイルは最初に使うときに1回だけ読む）
+ * @param {{path: string}} options path: シークレットのファイルのパス
+ * @returns {import('./index').SecretSource} ソース
+ */
+function createFileSecretSource(options) {
+  let values;
+  return {
+    backend: 'file',
+    async get(secretName) {
+      if (!values) values = readSecretsFile(options.path);
+      const value = [secretName, toEnvName(secretName)]
+        .map(key => (Object.hasOwn(values, key) ? values[key] : undefined))
+        .find(candidate => typeof candidate === 'string' && candidate !== '');
+      return value === undefined ? null : value;
+    },
+  };
+}
+
+module.exports = {
+  createFileSecretSource,
+  parseDotEnv,
+};
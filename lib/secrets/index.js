@@ -0,0 +1,66 @@
+// シークレット（図書館のカード・ウェブフックの URL・HTTP の token など）の読み込み
+// 読み込み元は config の secrets.backend で選ぶ（secret-manager / env / file、省略時は Secret Manager）
+const { createEnvSecretSource, toEnvName } = require('./env');
+const { createFileSecretSource } = require('./file');
+const { createSecretManagerSource } = require('./secret-manager');
+
+/**
+ * シークレットの読み込み元
+ * @typedef {object} SecretSource
+ * @property {string} backend 読み込み元の種類
+ * @property {(secretName: string) => Promise<string | null>} get シークレットの値を取得する（なければ null）
+ */
+
+// 読み込み元の種類 -> ソースを作成する関数
+const SECRET_BACKENDS = {
+  'secret-manager': createSecretManagerSource,
+  env: createEnvSecretSource,
+  file: createFileSecretSource,
+};
+
+// 設定の secrets.names で変えられる、関数が直接使うシークレットの名前
+// reminderHttpToken: reminderHttp の token、calendarFeedToken: calendarFeed の token、
+// discordPublicKey: discordInteractions で署名を確かめる Discord のアプリケーションの公開鍵
+const DEFAULT_SECRET_NAMES = {
+  reminderHttpToken: 'reminder-http-token',
+  calendarFeedToken: 'calendar-feed-token',
+  discordPublicKey: 'discord-public-key',
+};
+
+/**
+ * 設定からソースを作成する
+ * @param {{backend?: string}} [options] config の secrets（省略時は Secret Manager）
+ * @returns {SecretSource} ソース
+ */
+function createSecretSource(options = {}) {
+  const backend = options.backend || 'secret-manager';
+  const factory = SECRET_BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`シークレットの読み込み元 "${backend}" は存在しません (${Object.keys(SECRET_BACKENDS).join(' / ')} のいずれか)`);
+  }
+  return factory(options);
+}
+
+/**
+ * シークレットを取得する関数を作る
+ * ソースを順に試し、最初に見つかった値を返す（どのソースにもなければエラー）
+ * @param {SecretSource[]} sources ソース
+ * @returns {(secretName: string) => Promise<string>} シークレットを取得する関数
+ */
+function createSecretAccessor(sources) {
+  return async secretName => {
+    for (const source of sources) {
+      const value = await source.get(secretName);
+      if (value !== null) return value;
+    }
+    throw new Error(`シークレット "${secretName}" が見つかりません (${sources.map(source => source.backend).join(' / ')})`);
+  };
+}
+
+module.exports = {
+  DEFAULT_SECRET_NAMES,
+  SECRET_BACKENDS,
+  createSecretAccessor,
+  createSecretSource,
+  toEnvName,
+};
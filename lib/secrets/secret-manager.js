@@ -0,0 +1,58 @@
+// Google Cloud Secret Manager からシークレットを読むソース（Cloud Functions で使う）
+const { createLogger } = require('../logger');
+
+const logger = createLogger('secrets');
+
+// gRPC の NOT_FOUND（シークレットやバージョンが存在しない）
+const NOT_FOUND = 5;
+
+// Secret Manager のクライアント（最初に使うときに作成し、以降は使い回す）
+let client;
+
+/**
+ * Secret Manager のクライアントを取得する
+ * @returns {object} SecretManagerServiceClient
+ */
+function getClient() {
+  if (!client) {
+    // Secret Manager を使わない環境では読み込まないよう、ここで require する
+    const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
+    client = new SecretManagerServiceClient();
+  }
+  return client;
+}
+
+/**
+ * Secret Manager からシークレットを読むソースを作成する
+ * @param {{projectId?: string, version?: string}} [options]
+ *   projectId: 省略時は環境変数 GOOGLE_CLOUD_PROJECT、なければ実行環境（認証情報）のプロジェクト
+ *   version: 読むバージョン（省略時は 'latest'）
+ * @returns {import('./index').SecretSource} ソース
+ */
+function createSecretManagerSource(options = {}) {
+  const version = options.version || 'latest';
+  let projectId = options.projectId || process.env.GOOGLE_CLOUD_PROJECT;
+
+  return {
+    backend: 'secret-manager',
+    async get(secretName) {
+      if (!projectId) {
+        projectId = await getClient().getProjectId();
+      }
+      const name = `projects/${projectId}/secrets/${secretName}/versions/${version}`;
+      try {
+        const [secretVersion] = await getClient().accessSecretVersion({ name });
+        logger.info('Successfully accessed secret', { secretName });
+        return secretVersion.payload.data.toString('utf8');
+      } catch (error) {
+        if (error.code === NOT_FOUND) return null;
+        logger.error('Error accessing secret', { secretName, error });
+        throw new Error(`Secret Manager からシークレット ${secretName} を取得できませんでした: ${error.message}`);
+      }
+    },
+  };
+}
+
+module.exports = {
+  createSecretManagerSource,
+};
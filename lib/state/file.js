@@ -0,0 +1,47 @@
+// ローカルの JSON ファイルに状態を保存するストア（ローカル実行・テスト用）
+// ファイル全体を「キー -> 値」の1つのオブジェクトとして読み書きする
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * ファイルを読み込む（まだなければ空のオブジェクト）
+ * @param {string} filePath ファイルのパス
+ * @returns {object} 保存されている状態
+ */
+function readState(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`状態ファイルを読み込めませんでした (${filePath}): ${error.message}`);
+  }
+}
+
+/**
+ * JSON ファイルに状態を保存するストアを作成する
+ * @param {{path: string}} options path: 状態ファイルのパス
+ * @returns {import('./index').StateStore} ストア
+ */
+function createFileStateStore(options) {
+  const filePath = options.path;
+  return {
+    backend: 'file',
+    async get(key) {
+      const state = readState(filePath);
+      return Object.hasOwn(state, key) ? state[key] : null;
+    },
+    async set(key, value) {
+      const state = readState(filePath);
+      state[key] = value;
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // 書き込み途中で止まってもファイルが壊れないよう、一時ファイルに書いてから置き換える
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, `${JSON.stringify(state, null, 2)}\n`);
+      fs.renameSync(tempPath, filePath);
+    },
+  };
+}
+
+module.exports = {
+  createFileStateStore,
+};
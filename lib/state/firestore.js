@@ -0,0 +1,29 @@
+// Firestore に状態を保存するストア（Cloud Functions で使う）
+// キーごとに1つのドキュメントとして、指定したコレクションに保存する
+
+/**
+ * Firestore に状態を保存するストアを作成する
+ * @param {{collection?: string, projectId?: string}} [options]
+ *   collection: コレクション名（省略時は 'discord-reminder'）、projectId: 省略時は実行環境のプロジェクト
+ * @returns {import('./index').StateStore} ストア
+ */
+function createFirestoreStateStore(options = {}) {
+  // Firestore を使わない環境では読み込まないよう、ここで require する
+  const { Firestore } = require('@google-cloud/firestore');
+  const db = new Firestore(options.projectId ? { projectId: options.projectId } : {});
+  const collection = db.collection(options.collection || 'discord-reminder');
+  return {
+    backend: 'firestore',
+    async get(key) {
+      const snapshot = await collection.doc(key).get();
+      return snapshot.exists ? snapshot.data() : null;
+    },
+    async set(key, value) {
+      await collection.doc(key).set(value);
+    },
+  };
+}
+
+module.exports = {
+  createFirestoreStateStore,
+};
@@ -0,0 +1,281 @@
+// 実行をまたいで残す状態（前回の貸出一覧・送信済みの通知）の保存
+// 保存先は config の state.backend で選ぶ（firestore / file、省略時は保存しない）
+const crypto = require('crypto');
+const { format } = require('date-fns');
+const { createFileStateStore } = require('./file');
+const { createFirestoreStateStore } = require('./firestore');
+const { DEFAULT_TIME_ZONE, parseZonedDate } = require('../time');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('state');
+
+/**
+ * 状態のストア
+ * キーは英数字・ハイフン・パーセント記号からなる文字列で、値は JSON にできるオブジェクト
+ * @typedef {object} StateStore
+ * @property {string} backend 保存先の種類
+ * @property {(key: string) => Promise<object | null>} get 値を取得する（なければ null）
+ * @property {(key: string, value: object) => Promise<void>} set 値を保存する（上書き）
+ */
+
+// 保存先の種類 -> ストアを作成する関数
+const STATE_BACKENDS = {
+  firestore: createFirestoreStateStore,
+  file: createFileStateStore,
+  // 状態を保存しない（実行ごとに前回の状態がない扱いになる）
+  none: () => ({ backend: 'none', get: async () => null, set: async () => {} }),
+};
+
+/**
+ * 設定からストアを作成する
+ * @param {{backend?: string}} [options] config の state（省略時は保存しない）
+ * @returns {StateStore} ストア
+ */
+function createStateStore(options = {}) {
+  const backend = options.backend || 'none';
+  const factory = STATE_BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`状態の保存先 "${backend}" は存在しません (${Object.keys(STATE_BACKENDS).join(' / ')} のいずれか)`);
+  }
+  return factory(options);
+}
+
+// 送信した通知の記録を保存するキー
+// 記録は1つのドキュメントに日付ごとに持ち、新しい方から SENT_LOG_DAYS 日分だけを残す（日ごとのドキュメントが溜まらないように）
+const SENT_LOG_KEY = 'notifications';
+
+// 送信した通知の記録を残す日数（日付を指定した実行や、日付をまたいだ再試行でも別の日の記録を消さないよう、数日分を残す）
+const SENT_LOG_DAYS = 7;
+
+/**
+ * その日に送信した通知の記録を読み込む
+ * 関数が再実行されたときに同じ通知を二重に送らないために使う
+ * 記録の読み書きに失敗しても通知は止めない（二重に送る可能性がある方を選ぶ）
+ * @param {StateStore} store ストア
+ * @param {Date} date 基準日（通知の記録は日ごとに分ける。設定のタイムゾーンの日時）
+ * @returns {Promise<{has: (key: string) => boolean, add: (key: string) => Promise<void>}>} 送信済みの記録
+ */
+async function loadSentLog(store, date) {
+  const dateStr = format(date, 'yyyy-MM-dd');
+  let keys = new Set();
+  try {
+    const doc = await store.get(SENT_LOG_KEY);
+    keys = new Set(doc && doc.dates && doc.dates[dateStr] ? doc.dates[dateStr] : []);
+  } catch (error) {
+    logger.warn('Failed to load sent notifications', { date: dateStr, error });
+  }
+
+  return {
+    has: key => keys.has(key),
+    async add(key) {
+      keys.add(key);
+      try {
+        // 他の日の記録は、読み込んだ後に別の実行が書き換えているかもしれないので読み直す
+        const doc = await store.get(SENT_LOG_KEY);
+        const dates = { ...(doc && doc.dates), [dateStr]: [...keys] };
+        const kept = Object.keys(dates).sort().slice(-SENT_LOG_DAYS);
+        await store.set(SENT_LOG_KEY, { dates: Object.fromEntries(kept.map(day => [day, dates[day]])) });
+      } catch (error) {
+        logger.warn('Failed to record sent notification', { date: dateStr, error });
+      }
+    },
+  };
+}
+
+/**
+ * 通知の送信済みを判定するためのキーを作る（通知先・内容の種類・地区・本文が同じなら同じキー）
+ * @param {string} recipientName 通知先の名前
+ * @param {string} topic 内容の種類
+ * @param {string} areaId 地区 ID（ゴミ出し以外は空文字）
+ * @param {string} text 本文
+ * @returns {string} キー
+ */
+function notificationKey(recipientName, topic, areaId, text) {
+  return crypto.createHash('sha1').update([recipientName, topic, areaId, text].join('\n')).digest('hex');
+}
+
+/**
+ * カードの貸出一覧を保存するキー
+ * @param {string} accountName カードの持ち主の表示名
+ * @returns {string} キー
+ */
+function loansKey(accountName) {
+  return `loans-${encodeURIComponent(accountName || 'default')}`;
+}
+
+/**
+ * 前回保存したカードの貸出一覧を読み込む
+ * @param {StateStore} store ストア
+ * @param {string} accountName カードの持ち主の表示名
+ * @param {string} [timeZone] 返却期限を解釈するタイムゾーン
+ * @returns {Promise<Array<{title: string, returnDate: Date}> | null>} 前回の貸出一覧、まだ保存されていない（または読めない）場合は null
+ */
+async function loadPreviousLoans(store, accountName, timeZone = DEFAULT_TIME_ZONE) {
+  try {
+    const doc = await store.get(loansKey(accountName));
+    if (!doc) return null;
+    return doc.books.map(book => ({ title: book.title, returnDate: parseZonedDate(book.returnDate, 'yyyy-MM-dd', timeZone) }));
+  } catch (error) {
+    logger.warn('Failed to load previous loans', { account: accountName, error });
+    return null;
+  }
+}
+
+/**
+ * カードの今回の貸出一覧を保存する
+ * @param {StateStore} store ストア
+ * @param {string} accountName カードの持ち主の表示名
+ * @param {Array<{title: string, returnDate: Date}>} books 貸出一覧
+ * @param {Date} now 実行時刻
+ * @returns {Promise<void>}
+ */
+async function saveLoans(store, accountName, books, now) {
+  try {
+    await store.set(loansKey(accountName), {
+      updatedAt: now.toISOString(),
+      books: books.map(book => ({ title: book.title, returnDate: format(book.returnDate, 'yyyy-MM-dd') })),
+    });
+  } catch (error) {
+    logger.warn('Failed to save loans', { account: accountName, error });
+  }
+}
+
+/**
+ * 受け取り可能のお知らせを送った予約を保存するキー
+ * @param {string} accountName カードの持ち主の表示名
+ * @returns {string} キー
+ */
+function notifiedReservationsKey(accountName) {
+  return `reservations-${encodeURIComponent(accountName || 'default')}`;
+}
+
+/**
+ * 予約を見分けるキーを作る（同じ本を取り置き直した場合は取置期限が変わるので別の予約として扱う）
+ * @param {{title: string, pickupDeadline: Date | null}} reservation 予約
+ * @returns {string} キー
+ */
+function reservationKey(reservation) {
+  return [reservation.title, reservation.pickupDeadline ? format(reservation.pickupDeadline, 'yyyy-MM-dd') : ''].join('\n');
+}
+
+/**
+ * 前回までに受け取り可能のお知らせを送った予約を読み込む
+ * @param {StateStore} store ストア
+ * @param {string} accountName カードの持ち主の表示名
+ * @returns {Promise<Set<string>>} 予約のキー（reservationKey）、まだ保存されていない（または読めない）場合は空
+ */
+async function loadNotifiedReservations(store, accountName) {
+  try {
+    const doc = await store.get(notifiedReservationsKey(accountName));
+    return new Set(doc ? doc.keys : []);
+  } catch (error) {
+    logger.warn('Failed to load notified reservations', { account: accountName, error });
+    return new Set();
+  }
+}
+
+/**
+ * 受け取り可能のお知らせを送った予約を保存する（受け取り済みになった予約は含めない）
+ * @param {StateStore} store ストア
+ * @param {string} accountName カードの持ち主の表示名
+ * @param {Array<{title: string, pickupDeadline: Date | null}>} reservations 受け取り可能な予約
+ * @param {Date} now 実行時刻
+ * @returns {Promise<void>}
+ */
+async function saveNotifiedReservations(store, accountName, reservations, now) {
+  try {
+    await store.set(notifiedReservationsKey(accountName), {
+      updatedAt: now.toISOString(),
+      keys: reservations.map(reservationKey),
+    });
+  } catch (error) {
+    logger.warn('Failed to save notified reservations', { account: accountName, error });
+  }
+}
+
+/**
+ * 図書館の貸出一覧のページの構造を保存するキー（構造は図書館ごとに同じなので、カードではなくアダプターごとに保存する）
+ * @param {string} adapterName 図書館アダプター名
+ * @returns {string} キー
+ */
+function pageStructureKey(adapterName) {
+  return `page-structure-${encodeURIComponent(adapterName)}`;
+}
+
+/**
+ * 前回保存した貸出一覧のページの構造を読み込む
+ * @param {StateStore} store ストア
+ * @param {string} adapterName 図書館アダプター名
+ * @returns {Promise<{fingerprint: string, strategy: string} | null>} 前回の構造、まだ保存されていない（または読めない）場合は null
+ */
+async function loadPageStructure(store, adapterName) {
+  try {
+    const doc = await store.get(pageStructureKey(adapterName));
+    return doc ? { fingerprint: doc.fingerprint, strategy: doc.strategy } : null;
+  } catch (error) {
+    logger.warn('Failed to load page structure', { adapter: adapterName, error });
+    return null;
+  }
+}
+
+/**
+ * 今回の貸出一覧のページの構造を保存する
+ * @param {StateStore} store ストア
+ * @param {string} adapterName 図書館アダプター名
+ * @param {{fingerprint: string, strategy: string}} report 抽出に使った方法とページの構造
+ * @param {Date} now 実行時刻
+ * @returns {Promise<void>}
+ */
+async function savePageStructure(store, adapterName, report, now) {
+  try {
+    await store.set(pageStructureKey(adapterName), {
+      updatedAt: now.toISOString(),
+      fingerprint: report.fingerprint,
+      strategy: report.strategy,
+    });
+  } catch (error) {
+    logger.warn('Failed to save page structure', { adapter: adapterName, error });
+  }
+}
+
+/**
+ * 前回と今回の貸出一覧を比べ、新しく借りた本と返却した本を返す
+ * 本は持ち主・書名・返却期限で対応付け、同じ書名の本が複数あっても1冊ずつ数える
+ * 返却期限で対応付けられなかった本は持ち主・書名だけで対応付け、返却期限だけが変わった本（延長）はどちらにも含めない
+ * @param {Array<{title: string, returnDate: Date | null, owner?: string}>} previous 前回の貸出一覧
+ * @param {Array<{title: string, returnDate: Date | null, owner?: string}>} current 今回の貸出一覧
+ * @returns {{borrowed: Array<object>, returned: Array<object>}} 新しく借りた本（今回の一覧の要素）と返却した本（前回の一覧の要素）
+ */
+function diffLoans(previous, current) {
+  const bookKey = book => [book.owner || '', book.title].join('\n');
+  const loanKey = book => [bookKey(book), book.returnDate ? format(book.returnDate, 'yyyy-MM-dd') : ''].join('\n');
+  const remaining = [...previous];
+  // 前回の一覧で対応する本があれば取り除く
+  const matchPrevious = (book, keyOf) => {
+    const index = remaining.findIndex(previousBook => keyOf(previousBook) === keyOf(book));
+    if (index === -1) return false;
+    remaining.splice(index, 1);
+    return true;
+  };
+  const unmatched = current.filter(book => !matchPrevious(book, loanKey));
+  return {
+    borrowed: unmatched.filter(book => !matchPrevious(book, bookKey)),
+    returned: remaining,
+  };
+}
+
+module.exports = {
+  SENT_LOG_DAYS,
+  STATE_BACKENDS,
+  createStateStore,
+  diffLoans,
+  loadNotifiedReservations,
+  loadPageStructure,
+  loadPreviousLoans,
+  loadSentLog,
+  notificationKey,
+  reservationKey,
+  saveLoans,
+  saveNotifiedReservations,
+  savePageStructure,
+};
@@ -0,0 +1,52 @@
+// 日付の計算に使うタイムゾーンの扱い
+// 返却期限やゴミの収集日は「その地域の暦の日付」なので、実行環境の TZ ではなく設定のタイムゾーン (IANA 名) で扱う
+// 日付は @date-fns/tz の TZDate（そのタイムゾーンの日時として振る舞う Date）で表し、date-fns の関数にそのまま渡す
+const { TZDate } = require('@date-fns/tz');
+const { isValid, parse } = require('date-fns');
+
+// タイムゾーンを設定しなかった場合に使うタイムゾーン
+const DEFAULT_TIME_ZONE = 'Asia/Tokyo';
+
+/**
+ * IANA のタイムゾーン名として使えるか
+ * @param {string} timeZone タイムゾーン名 (例: 'Asia/Tokyo')
+ * @returns {boolean} 使える場合は true
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 時刻をタイムゾーンの日時にする（format・getHours・addDays などがそのタイムゾーンの暦で計算される）
+ * @param {Date} date 時刻
+ * @param {string} [timeZone] タイムゾーン名
+ * @returns {TZDate} タイムゾーンの日時
+ */
+function toZonedTime(date, timeZone = DEFAULT_TIME_ZONE) {
+  return new TZDate(date.getTime(), timeZone);
+}
+
+/**
+ * タイムゾーンの日付の文字列を、その日の 0 時の日時にする
+ * @param {string} text 日付の文字列 (例: '2025/04/02')
+ * @param {string} pattern date-fns の書式 (例: 'yyyy/MM/dd')
+ * @param {string} [timeZone] タイムゾーン名
+ * @returns {TZDate | null} タイムゾーンの日時、変換できない場合は null
+ */
+function parseZonedDate(text, pattern, timeZone = DEFAULT_TIME_ZONE) {
+  const date = parse(text, pattern, new TZDate(Date.now(), timeZone));
+  return isValid(date) ? date : null;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  parseZonedDate,
+  toZonedTime,
+};
@@ -0,0 +1,162 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createCalendar, foldLine } = require('../lib/ics');
+const { loadConfig } = require('../lib/config');
+const { parseZonedDate } = require('../lib/time');
+
+// calendarFeed は設定を CONFIG_PATH から読むので、index.js を読み込む前に一時ディレクトリの設定を指す
+// タイムゾーンは既定の Asia/Tokyo 以外にして、カレンダーが設定のタイムゾーンを使うことを確かめる
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-feed-'));
+const CONFIG_PATH = path.join(dir, 'config.json');
+fs.writeFileSync(CONFIG_PATH, JSON.stringify({
+  timeZone: 'America/Los_Angeles',
+  areas: [{ id: 'koshio', name: '河内長野市小塩町', schedule: path.join(__dirname, '..', 'config', 'schedules', 'koshio.json') }],
+  secrets: { backend: 'file', path: 'secrets.json' },
+}));
+fs.writeFileSync(path.join(dir, 'secrets.json'), JSON.stringify({ 'calendar-feed-token': 'feed-token' }));
+process.env.CONFIG_PATH = CONFIG_PATH;
+
+const { calendarFeed, createReminderCalendar } = require('../index');
+
+const config = loadConfig(CONFIG_PATH);
+const day = text => parseZonedDate(text, 'yyyy-MM-dd', config.timeZone);
+
+before(() => {
+  ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * calendarFeed を呼び出し、応答を返す
+ * @param {Object<string, string>} query クエリ
+ * @returns {Promise<{statusCode: number, headers: object, body: string}>} 応答
+ */
+async function requestFeed(query) {
+  const res = {
+    statusCode: null,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await calendarFeed({ query }, res);
+  return res;
+}
+
+/**
+ * iCalendar の本文を VEVENT ごとの「プロパティ名 -> 値」にする（折り返しは戻す）
+ * @param {string} ics text/calendar の本文
+ * @returns {Array<Object<string, string>>} イベント
+ */
+function parseEvents(ics) {
+  const lines = ics.replace(/\r\n /g, '').split('\r\n');
+  const events = [];
+  let current = null;
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+    } else if (line === 'END:VEVENT') {
+      events.push(current);
+      current = null;
+    } else if (current) {
+      const index = line.indexOf(':');
+      current[line.substring(0, index)] = line.substring(index + 1);
+    }
+  });
+  return events;
+}
+
+test('writes all-day events with escaped text and folded lines', () => {
+  const ics = createCalendar({
+    name: 'テスト',
+    now: new Date('2025-04-01T10:30:00Z'),
+    events: [{ uid: 'event-1', date: day('2025-12-31'), summary: 'A, B; C\\D', description: '1行目\n2行目' }],
+  });
+
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(ics.endsWith('END:VEVENT\r\nEND:VCALENDAR\r\n'));
+  assert.deepEqual(parseEvents(ics), [{
+    'UID': 'event-1@discord-reminder-function',
+    'DTSTAMP': '20250401T103000Z',
+    // 終日イベントは翌日を DTEND にする（年をまたいでも）
+    'DTSTART;VALUE=DATE': '20251231',
+    'DTEND;VALUE=DATE': '20260101',
+    'SUMMARY': 'A\\, B\\; C\\\\D',
+    'TRANSP': 'TRANSPARENT',
+    'DESCRIPTION': '1行目\\n2行目',
+  }]);
+
+  // 75オクテットを超える行はマルチバイト文字の途中で切らずに折り返す
+  const folded = foldLine(`SUMMARY:${'あ'.repeat(40)}`);
+  assert.ok(folded.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+  assert.equal(folded.replace(/\r\n /g, ''), `SUMMARY:${'あ'.repeat(40)}`);
+});
+
+test('creates garbage and library events with stable UIDs', () => {
+  const calendar = books => parseEvents(createReminderCalendar({ from: day('2025-04-01'), to: day('2025-04-02'), areas: config.areas, books }));
+  const events = calendar([{ title: 'はらぺこあおむし', returnDate: day('2025-04-04'), owner: '父' }]);
+
+  // 4/2 (水) は燃えるゴミの日
+  const garbage = events.find(event => event.UID === 'garbage-koshio-20250402@discord-reminder-function');
+  assert.equal(garbage.SUMMARY, '【ゴミ出し】燃えるゴミ');
+  assert.equal(garbage['DTSTART;VALUE=DATE'], '20250402');
+  assert.equal(garbage['DTEND;VALUE=DATE'], '20250403');
+
+  const [book] = events.filter(event => event.UID.startsWith('library-'));
+  assert.equal(book.SUMMARY, '【図書館】返却期限: はらぺこあおむし (父)');
+  assert.equal(book['DTSTART;VALUE=DATE'], '20250404');
+
+  // 延長で期限が変わっても同じイベント（同じ UID）として更新される。持ち主が違えば別のイベント
+  const [renewed] = calendar([{ title: 'はらぺこあおむし', returnDate: day('2025-04-18'), owner: '父' }]).filter(event => event.UID.startsWith('library-'));
+  assert.equal(renewed.UID, book.UID);
+  assert.equal(renewed['DTSTART;VALUE=DATE'], '20250418');
+  const [other] = calendar([{ title: 'はらぺこあおむし', returnDate: day('2025-04-04'), owner: '母' }]).filter(event => event.UID.startsWith('library-'));
+  assert.notEqual(other.UID, book.UID);
+});
+
+test('rejects a wrong token, including one with multibyte characters, with 403', async () => {
+  assert.equal((await requestFeed({ token: 'wrong' })).statusCode, 403);
+  // 文字数は同じでもバイト数が違う token
+  assert.equal((await requestFeed({ token: 'ｆｅｅｄ-ｔｏｋｅｎ' })).statusCode, 403);
+  assert.equal((await requestFeed({})).statusCode, 403);
+});
+
+test('serves the garbage calendar for the requested period', async () => {
+  const res = await requestFeed({ token: 'feed-token', from: '2025-04-01', to: '2025-04-07', library: 'false' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['Content-Type'], 'text/calendar; charset=utf-8');
+  assert.ok(res.body.includes('\r\nX-WR-TIMEZONE:America/Los_Angeles\r\n'));
+  const events = parseEvents(res.body);
+  assert.ok(events.length > 0);
+  assert.ok(events.every(event => event.UID.startsWith('garbage-koshio-2025040')));
+
+  assert.equal((await requestFeed({ token: 'feed-token', from: '2025-04-07', to: '2025-04-01' })).statusCode, 400);
+});
+
+test('still serves the garbage calendar when the library secrets cannot be read', async () => {
+  // 一時ディレクトリの secrets.json には図書館のカードも通知先のウェブフックもない
+  const res = await requestFeed({ token: 'feed-token', from: '2025-04-01', to: '2025-04-07' });
+
+  assert.equal(res.statusCode, 200);
+  const events = parseEvents(res.body);
+  assert.ok(events.length > 0);
+  assert.ok(events.every(event => event.UID.startsWith('garbage-')));
+});
@@ -0,0 +1,121 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLocalSecretAccessor, main } = require('../cli');
+const { loadConfig } = require('../lib/config');
+const { startFakeDiscord, startFakeWebOpac } = require('./helpers/fake-servers');
+
+const SCHEDULE = path.join(__dirname, '..', 'config', 'schedules', 'koshio.json');
+
+before(() => {
+  ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+  mock.method(process.stderr, 'write', () => true);
+});
+
+/**
+ * 一時ディレクトリに設定ファイルとシークレットのファイルを書き出す（テストの終わりに削除する）
+ * @param {import('node:test').TestContext} t テストのコンテキスト
+ * @param {string} baseUrl WebOpac の URL
+ * @returns {{configPath: string, secretsPath: string}} ファイルのパス
+ */
+function writeLocalFiles(t, baseUrl) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reminder-cli-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configPath = path.join(dir, 'config.json');
+  const secretsPath = path.join(dir, 'secrets.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    areas: [{ id: 'koshio', name: '小塩町', schedule: SCHEDULE }],
+    libraryAccounts: [{
+      name: '',
+      adapter: 'kawachinagano',
+      idSecret: 'library-id',
+      passwordSecret: 'library-password',
+      adapterOptions: { baseUrl, waitScale: 0 },
+    }],
+    recipients: [{ name: 'Discord', type: 'discord', webhookSecret: 'discord-webhook-url' }],
+  }));
+  fs.writeFileSync(secretsPath, JSON.stringify({ 'library-id': '12345678', 'library-password': 'pass-1234' }));
+  return { configPath, secretsPath };
+}
+
+/**
+ * CLI を実行し、終了コードと出力した行を返す
+ * @param {string[]} argv コマンドライン引数
+ * @param {object} [env] 環境変数
+ * @returns {Promise<{code: number, lines: string[]}>} 終了コードと出力
+ */
+async function runCli(argv, env = {}) {
+  const lines = [];
+  const code = await main(argv, { print: line => lines.push(line), env });
+  return { code, lines };
+}
+
+test('local secrets come from the --secrets file first and then from environment variables', async t => {
+  const { configPath, secretsPath } = writeLocalFiles(t, 'http://127.0.0.1:1/WebOpac/webopac');
+  const accessSecret = createLocalSecretAccessor(loadConfig(configPath), secretsPath, { LIBRARY_ID: 'from-env', DISCORD_WEBHOOK_URL: 'https://example.com/hook' });
+
+  assert.equal(await accessSecret('library-id'), '12345678');
+  assert.equal(await accessSecret('discord-webhook-url'), 'https://example.com/hook');
+  await assert.rejects(accessSecret('reminder-http-token'), /シークレット "reminder-http-token" が見つかりません \(file \/ env\)/);
+});
+
+test('garbage prints the collection of every day in the range', async t => {
+  const { configPath } = writeLocalFiles(t, 'http://127.0.0.1:1/WebOpac/webopac');
+
+  const { code, lines } = await runCli(['garbage', '--config', configPath, '--from', '2025-04-01', '--to', '2025-04-03']);
+  assert.equal(code, 0);
+  assert.deepEqual(lines, [
+    '2025-04-01 (火) ペットボトル、プラスチック製容器包装',
+    '2025-04-02 (水) 燃えるゴミ',
+    '2025-04-03 (木) -',
+  ]);
+
+  assert.equal((await runCli(['garbage', '--config', configPath, '--from', '2025/04/01'])).code, 1);
+  assert.equal((await runCli(['garbage', '--config', configPath, '--area', 'unknown'])).code, 1);
+  assert.equal((await runCli(['unknown'])).code, 2);
+});
+
+test('library list prints the borrowed books without any Discord secret', async t => {
+  const webOpac = await startFakeWebOpac();
+  t.after(() => webOpac.close());
+  const { configPath, secretsPath } = writeLocalFiles(t, webOpac.baseUrl);
+
+  const { code, lines } = await runCli(['library', 'list', '--config', configPath, '--secrets', secretsPath]);
+  assert.equal(code, 0);
+  assert.match(lines[0], /^▼ カード \(\d+冊\)$/);
+  assert.ok(lines.some(line => /^\d{4}\/\d{2}\/\d{2} \S/.test(line)));
+});
+
+test('send --dry-run prints the messages without posting them', async t => {
+  const webOpac = await startFakeWebOpac();
+  const discord = await startFakeDiscord();
+  t.after(() => Promise.all([webOpac.close(), discord.close()]));
+  const { configPath, secretsPath } = writeLocalFiles(t, webOpac.baseUrl);
+
+  const { code, lines } = await runCli(
+    ['send', '--dry-run', '--date', '2025-04-01', '--only', 'garbage', '--config', configPath, '--secrets', secretsPath],
+    { DISCORD_WEBHOOK_URL: discord.webhookUrl('env') },
+  );
+  assert.equal(code, 0);
+  assert.equal(lines[0], '2025-04-01 (evening) [dry run]: 1件');
+  assert.equal(lines[2], '--- Discord (discord) garbage / koshio');
+  assert.match(lines[3], /燃えるゴミ/);
+  assert.equal(discord.messages.length, 0);
+
+  const weekly = await runCli(
+    ['send', '--dry-run', '--mode', 'weekly', '--date', '2025-04-01', '--only', 'garbage', '--config', configPath, '--secrets', secretsPath],
+    { DISCORD_WEBHOOK_URL: discord.webhookUrl('env') },
+  );
+  assert.equal(weekly.lines[0], '2025-04-01 (evening) [weekly] [dry run]: 1件');
+  assert.match(weekly.lines[3], /^【週間まとめ・ゴミ出し】4\/2 \(水\)〜4\/8 \(火\):\n・ 4\/2 \(水\): 燃えるゴミ/);
+
+  // --webhook ではウェブフックのシークレットがなくても、指定したウェブフックに送る
+  const sent = await runCli(
+    ['send', '--date', '2025-04-01', '--only', 'garbage', '--webhook', discord.webhookUrl('test'), '--config', configPath, '--secrets', secretsPath],
+  );
+  assert.equal(sent.code, 0);
+  assert.deepEqual(discord.messages.map(message => message.webhook), ['test']);
+});
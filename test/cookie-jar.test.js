@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCookieJar } = require('../lib/library/cookie-jar');
+
+const BASE_URL = 'https://www1.city.kawachinagano.lg.jp/WebOpac/webopac';
+
+test('cookies from later responses are merged instead of replacing the earlier ones', () => {
+  const jar = createCookieJar();
+  jar.store(['JSESSIONID=first; Path=/WebOpac/webopac', 'lang=ja; Path=/'], `${BASE_URL}/index.do`);
+  jar.store('WOPAC_MENU=usermenu; Path=/WebOpac', `${BASE_URL}/usermenu.do`);
+  jar.store('JSESSIONID=second; Path=/WebOpac/webopac; HttpOnly', `${BASE_URL}/login.do`);
+
+  // パスが長い Cookie から順に送る
+  assert.equal(jar.header(`${BASE_URL}/userlist.do?type=2`), 'JSESSIONID=second; WOPAC_MENU=usermenu; lang=ja');
+  assert.equal(jar.header('https://www1.city.kawachinagano.lg.jp/WebOpacOther/'), 'lang=ja');
+});
+
+test('the default path, domain and Secure attributes decide where a cookie is sent', () => {
+  const jar = createCookieJar();
+  jar.store('menu=1', `${BASE_URL}/usermenu.do`);
+  jar.store('site=1; Domain=.kawachinagano.lg.jp; Path=/', `${BASE_URL}/index.do`);
+  jar.store('secure=1; Secure; Path=/', `${BASE_URL}/index.do`);
+  jar.store('other=1; Domain=example.com', `${BASE_URL}/index.do`);
+
+  assert.equal(jar.header(`${BASE_URL}/userlist.do`), 'menu=1; site=1; secure=1');
+  assert.equal(jar.header('https://www2.city.kawachinagano.lg.jp/'), 'site=1');
+  assert.equal(jar.header('http://www1.city.kawachinagano.lg.jp/'), 'site=1');
+});
+
+test('expired cookies are removed and session cookies stay until cleared', () => {
+  let now = Date.parse('2025-04-01T00:00:00Z');
+  const jar = createCookieJar({ now: () => now });
+  jar.store(['short=1; Max-Age=60; Path=/', 'dated=1; Expires=Tue, 01 Apr 2025 01:00:00 GMT; Path=/', 'session=1; Path=/'], `${BASE_URL}/index.do`);
+  assert.equal(jar.header(`${BASE_URL}/index.do`), 'short=1; dated=1; session=1');
+
+  now += 2 * 60 * 1000;
+  assert.equal(jar.header(`${BASE_URL}/index.do`), 'dated=1; session=1');
+
+  // 過去の期限で上書きされた Cookie は削除する
+  jar.store('session=1; Max-Age=0; Path=/', `${BASE_URL}/logout.do`);
+  assert.equal(jar.header(`${BASE_URL}/index.do`), 'dated=1');
+
+  jar.clear();
+  assert.equal(jar.header(`${BASE_URL}/index.do`), '');
+});
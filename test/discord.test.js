@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DISCORD_LIMITS,
+  EMBED_COLORS,
+  buildEmbedPayloads,
+  buildTextPayloads,
+  sendDiscordMessage,
+  splitEmbed,
+  splitText,
+} = require('../lib/discord');
+const { startFakeDiscord } = require('./helpers/fake-servers');
+
+const embedLength = embed => (embed.title || '').length + (embed.description || '').length +
+  (embed.fields || []).reduce((sum, field) => sum + field.name.length + field.value.length, 0);
+
+test('splitText keeps whole lines together and splits overlong lines', () => {
+  const lines = Array.from({ length: 300 }, (_, i) => `・ 本のタイトル ${i} (返却期限: 2025/04/04)`);
+  const chunks = splitText(lines.join('\n'), DISCORD_LIMITS.content);
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.length <= DISCORD_LIMITS.content));
+  assert.deepEqual(chunks.join('\n').split('\n'), lines);
+
+  const long = 'あ'.repeat(4500);
+  assert.deepEqual(splitText(long, DISCORD_LIMITS.content).map(chunk => chunk.length), [2000, 2000, 500]);
+});
+
+test('splitEmbed puts at most 25 fields in each embed', () => {
+  const fields = Array.from({ length: 60 }, (_, i) => ({ name: `本 ${i}`, value: '返却期限: 2025/04/04' }));
+  const parts = splitEmbed({ color: EMBED_COLORS.library, title: '【図書館】3日後に返却期限の本が 60冊 あります', fields });
+
+  assert.deepEqual(parts.map(part => part.fields.length), [25, 25, 10]);
+  assert.equal(parts[0].title, '【図書館】3日後に返却期限の本が 60冊 あります');
+  assert.equal(parts[1].title, '【図書館】3日後に返却期限の本が 60冊 あります（続き）');
+  assert.ok(parts.every(part => part.color === EMBED_COLORS.library));
+  assert.deepEqual(parts.flatMap(part => part.fields), fields);
+});
+
+test('splitEmbed truncates long field values and splits long descriptions', () => {
+  const [field] = splitEmbed({ fields: [{ name: 'x'.repeat(300), value: 'y'.repeat(2000) }] })[0].fields;
+  assert.equal(field.name.length, DISCORD_LIMITS.fieldName);
+  assert.equal(field.value.length, DISCORD_LIMITS.fieldValue);
+  assert.ok(field.value.endsWith('…'));
+
+  const description = Array.from({ length: 500 }, (_, i) => `・ 行 ${i} ${'あ'.repeat(10)}`).join('\n');
+  const parts = splitEmbed({ title: '見出し', description });
+  assert.ok(parts.length > 1);
+  assert.ok(parts.every(part => part.description.length <= DISCORD_LIMITS.description));
+});
+
+test('buildEmbedPayloads keeps each post within 10 embeds and 6000 characters', () => {
+  const longValue = 'あ'.repeat(1000);
+  const embeds = Array.from({ length: 15 }, (_, i) => ({
+    title: `見出し ${i}`,
+    fields: [{ name: `本 ${i}`, value: longValue }],
+  }));
+  const payloads = buildEmbedPayloads(embeds);
+
+  assert.ok(payloads.length > 1);
+  payloads.forEach(payload => {
+    assert.ok(payload.embeds.length <= DISCORD_LIMITS.embedsPerMessage);
+    assert.ok(payload.embeds.reduce((sum, embed) => sum + embedLength(embed), 0) <= DISCORD_LIMITS.embedTotal);
+  });
+  assert.equal(payloads.flatMap(payload => payload.embeds).length, 15);
+});
+
+test('buildTextPayloads splits plain text into 2000-character posts', () => {
+  const payloads = buildTextPayloads(Array(1500).fill('あ').join('\n'));
+  assert.ok(payloads.every(payload => payload.content.length <= DISCORD_LIMITS.content));
+  assert.equal(payloads.map(payload => payload.content).join('\n').split('\n').length, 1500);
+});
+
+test('sends only the rest as plain text when a later embed post is rejected', async () => {
+  const discord = await startFakeDiscord({ rejectEmbeds: true, acceptedEmbedPosts: 1 });
+  try {
+    // 長いフィールドの60冊は1回の投稿に1つずつの埋め込み3つになり、1回目だけが受け付けられる
+    const fields = Array.from({ length: 60 }, (_, i) => ({ name: `本 ${i}`, value: 'あ'.repeat(200) }));
+    const title = '【図書館】3日後に返却期限の本が 60冊 あります';
+    const text = [title, ...fields.map(field => `・ ${field.name}`)].join('\n');
+    await sendDiscordMessage(discord.webhookUrl('library'), {
+      text, embeds: [{ color: EMBED_COLORS.library, title, fields }], mention: true,
+    }, { mentions: ['<@111111111111111111>'] });
+
+    const [first, ...rest] = discord.messages;
+    assert.equal(first.payload.content, '<@111111111111111111>');
+    assert.deepEqual(first.payload.embeds[0].fields, fields.slice(0, 25));
+    // 送った本を重ねて送らない
+    assert.ok(rest.every(message => !message.payload.embeds));
+    assert.equal(rest.map(message => message.payload.content).join('\n'), [
+      `${title}（続き）`,
+      ...fields.slice(25, 50).map(field => `${field.name}: ${field.value}`),
+      '',
+      `${title}（続き）`,
+      ...fields.slice(50).map(field => `${field.name}: ${field.value}`),
+    ].join('\n'));
+  } finally {
+    await discord.close();
+  }
+});
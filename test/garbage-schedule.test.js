@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getGarbageCollection, getGarbageTypes, loadGarbageSchedule, validateGarbageSchedule } = require('../lib/garbage-schedule');
+const { parseZonedDate } = require('../lib/time');
+
+const day = text => parseZonedDate(text, 'yyyy-MM-dd', 'Asia/Tokyo');
+
+test('weekly and nthWeekday rules follow the default schedule', () => {
+  const schedule = loadGarbageSchedule();
+  const typesOn = text => getGarbageTypes(schedule, day(text));
+
+  // 2025/04 の火曜日は 1, 8, 15, 22, 29 日
+  assert.deepEqual(typesOn('2025-04-01'), ['ペットボトル', 'プラスチック製容器包装']);
+  assert.deepEqual(typesOn('2025-04-08'), ['燃えないゴミ']);
+  assert.deepEqual(typesOn('2025-04-15'), ['プラスチック製容器包装']);
+  assert.deepEqual(typesOn('2025-04-22'), ['カン・ビン・小型金属・古紙・古布']);
+  // 第5火曜日は収集なし
+  assert.deepEqual(typesOn('2025-04-29'), []);
+
+  assert.deepEqual(typesOn('2025-04-02'), ['燃えるゴミ']);
+  assert.deepEqual(typesOn('2025-04-05'), ['燃えるゴミ']);
+  assert.deepEqual(typesOn('2025-04-03'), []);
+});
+
+test('dates and everyOtherWeek rules match only their days', () => {
+  const schedule = validateGarbageSchedule({
+    rules: [
+      { type: 'dates', garbage: '粗大ゴミ', dates: ['2025-04-10'] },
+      { type: 'everyOtherWeek', garbage: '古紙', weekday: '月', startDate: '2025-04-07' },
+      // 曜日は大文字・小文字を区別しない。同じ種類が重なっても1回だけ返す
+      { type: 'weekly', garbage: '古紙', weekdays: ['MON'] },
+      { type: 'weekly', garbage: '燃えるゴミ', weekdays: ['木'] },
+    ],
+  });
+  const typesOn = text => getGarbageTypes(schedule, day(text));
+
+  assert.deepEqual(typesOn('2025-04-10'), ['粗大ゴミ', '燃えるゴミ']);
+  assert.deepEqual(typesOn('2025-04-17'), ['燃えるゴミ']);
+  assert.deepEqual(typesOn('2025-04-07'), ['古紙']);
+
+  const biweekly = validateGarbageSchedule({
+    rules: [{ type: 'everyOtherWeek', garbage: '古紙', weekday: 'mon', startDate: '2025-04-07' }],
+  });
+  const biweeklyOn = text => getGarbageTypes(biweekly, day(text));
+  assert.deepEqual(biweeklyOn('2025-04-07'), ['古紙']);
+  assert.deepEqual(biweeklyOn('2025-04-14'), []);
+  assert.deepEqual(biweeklyOn('2025-04-21'), ['古紙']);
+  // 開始日より前も2週間おきに数える
+  assert.deepEqual(biweeklyOn('2025-03-24'), ['古紙']);
+  assert.deepEqual(biweeklyOn('2025-03-31'), []);
+});
+
+test('applies cancelled, moved and extra collections with their breakdown', () => {
+  const { rules } = loadGarbageSchedule();
+  const schedule = validateGarbageSchedule({
+    rules,
+    exceptions: [
+      // 水曜の燃えるゴミを、ペットボトルなどの収集がある前日の火曜に振り替える
+      { type: 'move', date: '2025-04-02', to: '2025-04-01', garbage: ['燃えるゴミ'], note: '祝日のため' },
+      // 土曜の燃えるゴミを、同じ燃えるゴミの収集がある水曜に振り替える
+      { type: 'move', date: '2025-04-05', to: '2025-04-09' },
+      { type: 'cancel', date: '2025-04-08', note: '年末年始' },
+      { type: 'cancel', date: '2025-05-06', garbage: ['ペットボトル'] },
+      { type: 'extra', date: '2025-04-03', garbage: ['粗大ゴミ', '燃えるゴミ'], note: '臨時' },
+    ],
+  });
+  const collectionOn = text => getGarbageCollection(schedule, day(text));
+
+  assert.deepEqual(collectionOn('2025-04-01'), {
+    types: ['ペットボトル', 'プラスチック製容器包装', '燃えるゴミ'],
+    rescheduled: [{ garbage: '燃えるゴミ', from: '2025-04-02', note: '祝日のため' }],
+    cancelled: [],
+    extra: [],
+  });
+  assert.deepEqual(collectionOn('2025-04-02'), {
+    types: [],
+    rescheduled: [],
+    cancelled: [{ garbage: '燃えるゴミ', to: '2025-04-01', note: '祝日のため' }],
+    extra: [],
+  });
+
+  // 振替先に同じ種類の通常収集がある場合は、通常収集として1回だけ返す
+  assert.deepEqual(collectionOn('2025-04-05').cancelled, [{ garbage: '燃えるゴミ', to: '2025-04-09', note: undefined }]);
+  assert.deepEqual(collectionOn('2025-04-09'), { types: ['燃えるゴミ'], rescheduled: [], cancelled: [], extra: [] });
+
+  // garbage を省略した休止はその日の収集すべてが対象
+  assert.deepEqual(collectionOn('2025-04-08'), {
+    types: [],
+    rescheduled: [],
+    cancelled: [{ garbage: '燃えないゴミ', to: undefined, note: '年末年始' }],
+    extra: [],
+  });
+  // garbage を指定した休止は、その種類だけを除く
+  assert.deepEqual(collectionOn('2025-05-06').types, ['プラスチック製容器包装']);
+  assert.deepEqual(collectionOn('2025-05-06').cancelled, [{ garbage: 'ペットボトル', to: undefined, note: undefined }]);
+
+  assert.deepEqual(collectionOn('2025-04-03'), {
+    types: ['粗大ゴミ', '燃えるゴミ'],
+    rescheduled: [],
+    cancelled: [],
+    extra: [{ garbage: '粗大ゴミ', note: '臨時' }, { garbage: '燃えるゴミ', note: '臨時' }],
+  });
+  assert.deepEqual(getGarbageTypes(schedule, day('2025-04-02')), []);
+});
+
+test('lists every problem of an invalid schedule in one error', () => {
+  const invalid = {
+    rules: [
+      { type: 'monthly', garbage: '燃えるゴミ' },
+      { type: 'weekly', garbage: '', weekdays: ['wed', '水曜'] },
+      { type: 'nthWeekday', garbage: '燃えないゴミ', weekday: 'tue', nth: [0, 2] },
+      { type: 'dates', garbage: '粗大ゴミ', dates: ['2025/04/10'] },
+      { type: 'everyOtherWeek', garbage: '古紙', weekday: 'mon', startDate: '2025-04-08' },
+    ],
+    exceptions: [
+      { type: 'move', date: '2025-04-02', to: '2025-04-02' },
+      { type: 'extra', date: '2025-04-03' },
+    ],
+  };
+
+  assert.throws(() => validateGarbageSchedule(invalid, 'test.json'), error => {
+    assert.equal(error.message, [
+      'ゴミ収集スケジュールの定義が不正です (test.json):',
+      '- rules[0].type: "monthly" は未対応です (weekly / nthWeekday / dates / everyOtherWeek のいずれか)',
+      '- rules[1].garbage: ゴミの種類を文字列で指定してください',
+      '- rules[1].weekdays[1]: "水曜" は曜日として解釈できません',
+      '- rules[2].nth[0]: 0 は 1〜5 の整数である必要があります',
+      '- rules[3].dates[0]: "2025/04/10" は yyyy-MM-dd 形式の日付ではありません',
+      '- rules[4].startDate: 2025-04-08 は weekday (mon) と同じ曜日である必要があります',
+      '- exceptions[0].to: 振替先が元の日付 (2025-04-02) と同じです',
+      '- exceptions[1].garbage: ゴミの種類を文字列の配列で指定してください (例: ["燃えるゴミ"])',
+    ].join('\n'));
+    return true;
+  });
+
+  assert.throws(() => validateGarbageSchedule({}), /rules: ルールの配列を指定してください/);
+  assert.throws(() => validateGarbageSchedule({ rules: [], exceptions: {} }), /exceptions: 例外の配列を指定してください/);
+});
+
+test('reports the path of a schedule file that cannot be read', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'garbage-schedule-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const brokenPath = path.join(dir, 'broken.json');
+  fs.writeFileSync(brokenPath, '{ "rules": [');
+
+  assert.throws(() => loadGarbageSchedule(brokenPath),
+    error => error.message.startsWith(`ゴミ収集スケジュールを読み込めませんでした (${brokenPath}): `));
+  assert.throws(() => loadGarbageSchedule(path.join(dir, 'missing.json')), /ゴミ収集スケジュールを読み込めませんでした/);
+});
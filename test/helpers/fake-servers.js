@@ -0,0 +1,291 @@
+// テスト用のローカルサーバー（WebOpac と Discord ウェブフックの代わり）
+// 記録した WebOpac のページを返し、受け取ったリクエストを記録する
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+const WEBOPAC_PATH = '/WebOpac/webopac';
+
+const fixture = name => fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8');
+
+/**
+ * リクエストボディを文字列で読み込む
+ * @param {http.IncomingMessage} req リクエスト
+ * @returns {Promise<string>} ボディ
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * サーバーを空いているポートで起動する
+ * @param {http.RequestListener} handler リクエストの処理
+ * @returns {Promise<{server: http.Server, origin: string}>} サーバーとその URL
+ */
+function listen(handler) {
+  const server = http.createServer((req, res) => {
+    handler(req, res).catch(error => {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(error.stack);
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, origin: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+/**
+ * サーバーを停止する（keep-alive の接続も切る）
+ * @param {http.Server} server サーバー
+ * @returns {Promise<void>}
+ */
+function close(server) {
+  return new Promise(resolve => {
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+}
+
+/**
+ * WebOpac の代わりのサーバーを起動する
+ * @param {object} [scenario]
+ * @param {string} [scenario.userno] 正しい利用者番号
+ * @param {string} [scenario.passwd] 正しいパスワード
+ * @param {Object<number, string>} [scenario.loanPages] 貸出一覧のページ番号 -> フィクスチャ名
+ * @param {string} [scenario.reservations] 予約一覧のフィクスチャ名
+ * @param {number} [scenario.failedLogins] 最初の何回のログインを Cookie なしで失敗させるか
+ * @param {boolean} [scenario.timeout] 一覧ページでタイムアウトのページを返すか
+ * @param {boolean} [scenario.redirectAfterLogin] ログインに成功したら、セッションの Cookie を付けて利用者メニューへリダイレクトするか
+ * @param {number} [scenario.expiredSessions] ログイン済みのセッションを最初の何回の一覧ページで切れさせるか（タイムアウトのページを返す）
+ * @param {Object<number, string>} [scenario.renewedLoanPages] 延長の申し込み (extend.do) の後の貸出一覧（省略時は loanPages のまま）
+ * @returns {Promise<{baseUrl: string, requests: string[], renewals: Array<Array<[string, string]>>, close: () => Promise<void>}>}
+ *   WebOpac の URL、受け取ったリクエスト ("GET /WebOpac/webopac/index.do" の形式)、延長の申し込みで送られたフォームの項目、停止する関数
+ */
+async function startFakeWebOpac(scenario = {}) {
+  const {
+    userno = '12345678',
+    passwd = 'pass-1234',
+    loanPages = { 1: 'userlist-page1.html', 2: 'userlist-page2.html' },
+    reservations = 'webopac/reservations.html',
+    timeout = false,
+    redirectAfterLogin = false,
+  } = scenario;
+  let failedLogins = scenario.failedLogins || 0;
+  let expiredSessions = scenario.expiredSessions || 0;
+  let sessionCount = 0;
+  const authenticated = new Set();
+  const requests = [];
+  const renewals = [];
+
+  const { server, origin } = await listen(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(`${req.method} ${url.pathname}${url.search}`);
+    const sessionId = ((req.headers.cookie || '').match(/JSESSIONID=([^;]+)/) || [])[1];
+    const loggedIn = authenticated.has(sessionId);
+    const send = (name, headers = {}) => {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=UTF-8', ...headers });
+      res.end(fixture(name));
+    };
+    const newSession = () => `JSESSIONID=session-${++sessionCount}; Path=${WEBOPAC_PATH}`;
+
+    // ;jsessionid= の付いた URL も同じページとして扱う
+    switch (url.pathname.replace(/;.*$/, '')) {
+      case `${WEBOPAC_PATH}/index.do`:
+        send('webopac/index.html', { 'Set-Cookie': newSession() });
+        return;
+      case `${WEBOPAC_PATH}/usermenu.do`:
+        // セッションとは別の Cookie も設定する（Set-Cookie のたびに Cookie を置き換えるとセッションが失われる）
+        send(loggedIn ? 'webopac/usermenu.html' : 'webopac/login.html', { 'Set-Cookie': 'WOPAC_MENU=usermenu; Path=/WebOpac' });
+        return;
+      case `${WEBOPAC_PATH}/login.do`: {
+        const form = new URLSearchParams(await readBody(req));
+        if (failedLogins > 0) {
+          // セッションが切れたときのように Cookie を返さずログインフォームに戻す
+          failedLogins--;
+          send('webopac/login.html');
+          return;
+        }
+        if (form.get('userno') !== userno || form.get('passwd') !== passwd) {
+          send('webopac/login.html');
+          return;
+        }
+        const cookie = newSession();
+        authenticated.add(cookie.match(/JSESSIONID=([^;]+)/)[1]);
+        if (redirectAfterLogin) {
+          res.writeHead(302, { 'Location': 'usermenu.do', 'Set-Cookie': cookie });
+          res.end();
+          return;
+        }
+        send('webopac/usermenu.html', { 'Set-Cookie': cookie });
+        return;
+      }
+      case `${WEBOPAC_PATH}/userlist.do`: {
+        if (loggedIn && expiredSessions > 0) {
+          expiredSessions--;
+          authenticated.delete(sessionId);
+        }
+        if (!authenticated.has(sessionId) || timeout) {
+          send('webopac/timeout.html');
+          return;
+        }
+        const page = Number(url.searchParams.get('page') || 1);
+        const loans = renewals.length > 0 && scenario.renewedLoanPages ? scenario.renewedLoanPages : loanPages;
+        const name = url.searchParams.get('type') === '1' ? reservations : loans[page];
+        if (!name) {
+          res.writeHead(404);
+          res.end();
+          return;
+        }
+        send(name);
+        return;
+      }
+      case `${WEBOPAC_PATH}/extend.do`: {
+        if (req.method !== 'POST' || !loggedIn) {
+          send('webopac/timeout.html');
+          return;
+        }
+        renewals.push([...new URLSearchParams(await readBody(req))]);
+        send((scenario.renewedLoanPages || loanPages)[1]);
+        return;
+      }
+      default:
+        res.writeHead(404);
+        res.end();
+    }
+  });
+
+  return {
+    baseUrl: `${origin}${WEBOPAC_PATH}`,
+    requests,
+    renewals,
+    close: () => close(server),
+  };
+}
+
+/**
+ * ウェブフックのペイロードを検証しやすいよう1つの文字列にする
+ * 埋め込みは見出し・説明文・フィールド (名前と値) を改行で連結する
+ * @param {{content?: string, embeds?: Array<object>}} payload ペイロード
+ * @returns {string} 本文
+ */
+function payloadText(payload) {
+  return [
+    payload.content,
+    ...(payload.embeds || []).map(embed => [
+      embed.title,
+      embed.description,
+      ...(embed.fields || []).map(field => `${field.name}: ${field.value}`),
+    ].filter(Boolean).join('\n')),
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Discord ウェブフック（とスラッシュコマンドの応答の書き換え）の代わりのサーバーを起動する
+ * @param {object} [options]
+ * @param {boolean} [options.rejectEmbeds] 埋め込みを含む投稿を 400 で拒否するか
+ * @param {number} [options.acceptedEmbedPosts] rejectEmbeds でも、最初のこの数の埋め込みを含む投稿は受け付ける（途中の投稿の拒否）
+ * @param {string[]} [options.failingWebhooks] 投稿を 500 で失敗させるウェブフックの名前
+ * @returns {Promise<{
+ *   webhookUrl: (name: string) => string,
+ *   apiBaseUrl: string,
+ *   messages: Array<{webhook: string, payload: object, text: string}>,
+ *   edits: Array<{applicationId: string, token: string, payload: object, text: string}>,
+ *   followUps: Array<{applicationId: string, token: string, payload: object, text: string}>,
+ *   close: () => Promise<void>
+ * }>} ウェブフック URL を作る関数、API の URL、受け取ったメッセージ、スラッシュコマンドの応答の書き換えとフォローアップのメッセージ、停止する関数
+ */
+async function startFakeDiscord({ rejectEmbeds = false, acceptedEmbedPosts = 0, failingWebhooks = [] } = {}) {
+  const messages = [];
+  let embedPosts = 0;
+  const edits = [];
+  const followUps = [];
+  const { server, origin } = await listen(async (req, res) => {
+    // スラッシュコマンドの元の応答の書き換え
+    const edit = req.url.match(/^\/api\/v10\/webhooks\/([^/]+)\/([^/]+)\/messages\/@original$/);
+    if (req.method === 'PATCH' && edit) {
+      const payload = JSON.parse(await readBody(req));
+      edits.push({ applicationId: edit[1], token: edit[2], payload, text: payloadText(payload) });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ id: String(edits.length) }));
+      return;
+    }
+    // スラッシュコマンドの応答の続き（フォローアップのメッセージ）
+    const followUp = req.url.match(/^\/api\/v10\/webhooks\/([^/]+)\/([^/?]+)$/);
+    if (req.method === 'POST' && followUp) {
+      const payload = JSON.parse(await readBody(req));
+      followUps.push({ applicationId: followUp[1], token: followUp[2], payload, text: payloadText(payload) });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ id: String(followUps.length) }));
+      return;
+    }
+    const match = req.url.match(/^\/api\/webhooks\/([^/?]+)/);
+    if (req.method !== 'POST' || !match) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const payload = JSON.parse(await readBody(req));
+    if (failingWebhooks.includes(match[1])) {
+      res.writeHead(500);
+      res.end();
+      return;
+    }
+    if (rejectEmbeds && payload.embeds && ++embedPosts > acceptedEmbedPosts) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ code: 50035, message: 'Invalid Form Body' }));
+      return;
+    }
+    messages.push({ webhook: match[1], payload, text: payloadText(payload) });
+    res.writeHead(204);
+    res.end();
+  });
+
+  return {
+    webhookUrl: name => `${origin}/api/webhooks/${name}`,
+    apiBaseUrl: `${origin}/api/v10`,
+    messages,
+    edits,
+    followUps,
+    close: () => close(server),
+  };
+}
+
+/**
+ * JSON を受け取る API (Slack の Incoming Webhook・LINE Messaging API など) の代わりのサーバーを起動する
+ * @param {object} [options]
+ * @param {number} [options.status] 返すステータスコード
+ * @returns {Promise<{
+ *   url: string,
+ *   requests: Array<{method: string, path: string, headers: object, body: object}>,
+ *   close: () => Promise<void>
+ * }>} サーバーの URL、受け取ったリクエスト、停止する関数
+ */
+async function startFakeApi({ status = 200 } = {}) {
+  const requests = [];
+  const { server, origin } = await listen(async (req, res) => {
+    const body = await readBody(req);
+    requests.push({ method: req.method, path: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end('{}');
+  });
+
+  return {
+    url: origin,
+    requests,
+    close: () => close(server),
+  };
+}
+
+module.exports = {
+  startFakeApi,
+  startFakeDiscord,
+  startFakeWebOpac,
+};
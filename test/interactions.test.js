@@ -0,0 +1,202 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const path = require('path');
+
+const { handleInteractionRequest } = require('../index');
+const { loadConfig } = require('../lib/config');
+const { EMBED_COLORS, createMessage } = require('../lib/discord');
+const {
+  EPHEMERAL_FLAG, MAX_TIMESTAMP_SKEW_SECONDS, RESPONSE_TYPES, editOriginalResponse, verifyInteractionSignature,
+} = require('../lib/interactions');
+const { startFakeDiscord, startFakeWebOpac } = require('./helpers/fake-servers');
+
+// 2025/04/01 (火) 19:30 JST。/gomi の日付を省略すると明日の 4/2 (水)（燃えるゴミの日）になる
+const NOW = new Date('2025-04-01T10:30:00Z');
+const config = loadConfig(path.join(__dirname, '..', 'config', 'config.json'));
+
+// Discord のアプリケーションの代わりに、ローカルで作った鍵でリクエストに署名する
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+// 公開鍵は Developer Portal と同じ16進数（SPKI の末尾32バイト）で渡す
+const PUBLIC_KEY = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex');
+
+before(() => {
+  ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+});
+
+/**
+ * 署名したリクエストと、応答を記録するレスポンスを作る
+ * @param {object} interaction Interaction
+ * @param {{signWith?: crypto.KeyObject, signedAt?: Date}} [options] signWith: 署名に使う秘密鍵（省略時はアプリケーションの鍵）、
+ *   signedAt: 署名の時刻（省略時は NOW）
+ * @returns {{req: object, res: object}} リクエストとレスポンス（res.statusCode / res.body に応答が入る）
+ */
+function createSignedRequest(interaction, { signWith = privateKey, signedAt = NOW } = {}) {
+  const rawBody = Buffer.from(JSON.stringify(interaction));
+  const timestamp = String(Math.floor(signedAt.getTime() / 1000));
+  const signature = crypto.sign(null, Buffer.concat([Buffer.from(timestamp), rawBody]), signWith).toString('hex');
+  const req = {
+    method: 'POST',
+    headers: { 'x-signature-ed25519': signature, 'x-signature-timestamp': timestamp },
+    rawBody,
+  };
+  const res = {
+    statusCode: null,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  return { req, res };
+}
+
+/**
+ * スラッシュコマンドの Interaction を作る
+ * @param {string} name コマンド名
+ * @param {Object<string, string>} [options] オプション
+ * @returns {object} Interaction
+ */
+function commandInteraction(name, options = {}) {
+  return {
+    type: 2,
+    application_id: '333333333333333333',
+    token: 'interaction-token',
+    data: { name, options: Object.entries(options).map(([optionName, value]) => ({ type: 3, name: optionName, value })) },
+  };
+}
+
+/**
+ * ローカルの WebOpac と Discord の API に向けてスラッシュコマンドを処理する
+ * @param {object} interaction Interaction
+ * @param {object} [scenario] startFakeWebOpac に渡すシナリオ
+ * @returns {Promise<{res: object, edits: Array<object>}>} レスポンスと、元の応答の書き換え
+ */
+async function runCommand(interaction, scenario = {}) {
+  const webOpac = await startFakeWebOpac(scenario);
+  const discord = await startFakeDiscord();
+  try {
+    const libraryAccounts = [{
+      name: '',
+      libraryId: '12345678',
+      libraryPassword: 'pass-1234',
+      adapter: 'kawachinagano',
+      adapterOptions: { baseUrl: webOpac.baseUrl, waitScale: 0 },
+    }];
+    const { req, res } = createSignedRequest(interaction);
+    await handleInteractionRequest(req, res, {
+      now: NOW, config, publicKey: PUBLIC_KEY, libraryAccounts, apiBaseUrl: discord.apiBaseUrl,
+    });
+    return { res, edits: discord.edits };
+  } finally {
+    await Promise.all([webOpac.close(), discord.close()]);
+  }
+}
+
+test('verifies the Ed25519 signature of interaction requests', async () => {
+  const { req, res } = createSignedRequest({ type: 1 });
+  await handleInteractionRequest(req, res, { now: NOW, config, publicKey: PUBLIC_KEY });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { type: RESPONSE_TYPES.pong });
+
+  // 別の鍵の署名・書き換えられた本文・ヘッダーのないリクエストは 401
+  const other = createSignedRequest({ type: 1 }, { signWith: crypto.generateKeyPairSync('ed25519').privateKey });
+  await handleInteractionRequest(other.req, other.res, { now: NOW, config, publicKey: PUBLIC_KEY });
+  assert.equal(other.res.statusCode, 401);
+
+  const tampered = createSignedRequest({ type: 1 });
+  tampered.req.rawBody = Buffer.from(JSON.stringify({ type: 2 }));
+  await handleInteractionRequest(tampered.req, tampered.res, { now: NOW, config, publicKey: PUBLIC_KEY });
+  assert.equal(tampered.res.statusCode, 401);
+
+  const { headers, rawBody } = createSignedRequest({ type: 1 }).req;
+  const verify = (key, signature) => verifyInteractionSignature(key, signature, headers['x-signature-timestamp'], rawBody, { now: NOW });
+  assert.equal(verify(PUBLIC_KEY, headers['x-signature-ed25519']), true);
+  assert.equal(verify(PUBLIC_KEY, undefined), false);
+  assert.equal(verify('not-a-key', headers['x-signature-ed25519']), false);
+});
+
+test('rejects a correctly signed request replayed with an old timestamp', async () => {
+  const interaction = commandInteraction('renew', { title: 'はらぺこ' });
+  const stale = createSignedRequest(interaction, { signedAt: new Date(NOW.getTime() - (MAX_TIMESTAMP_SKEW_SECONDS + 1) * 1000) });
+  await handleInteractionRequest(stale.req, stale.res, { now: NOW, config, publicKey: PUBLIC_KEY });
+  assert.equal(stale.res.statusCode, 401);
+
+  // 多少の時計のずれは受け付ける
+  const recent = createSignedRequest({ type: 1 }, { signedAt: new Date(NOW.getTime() - 60 * 1000) });
+  await handleInteractionRequest(recent.req, recent.res, { now: NOW, config, publicKey: PUBLIC_KEY });
+  assert.equal(recent.res.statusCode, 200);
+});
+
+test('answers /gomi immediately with the garbage collection of the day', async () => {
+  // 日付を省略すると、夕方なので明日
+  const tomorrow = await runCommand(commandInteraction('gomi'));
+  assert.equal(tomorrow.res.body.type, RESPONSE_TYPES.channelMessage);
+  assert.deepEqual(tomorrow.res.body.data.embeds, [{ color: EMBED_COLORS.garbage, title: '【ゴミ出し】4/2 (水) の収集', description: '燃えるゴミ' }]);
+  assert.equal(tomorrow.edits.length, 0);
+
+  const { res } = await runCommand(commandInteraction('gomi', { date: '2025-04-01' }));
+  assert.equal(res.body.data.embeds[0].title, '【ゴミ出し】4/1 (火) の収集');
+
+  const invalid = await runCommand(commandInteraction('gomi', { date: '4月2日' }));
+  assert.match(invalid.res.body.data.embeds[0].description, /yyyy-MM-dd 形式/);
+});
+
+test('defers /books and edits the response with the loans', async () => {
+  const { res, edits } = await runCommand(commandInteraction('books'));
+
+  // 貸出中の書名は実行した人にだけ見せる
+  assert.deepEqual(res.body, { type: RESPONSE_TYPES.deferredChannelMessage, data: { flags: EPHEMERAL_FLAG } });
+  assert.equal(edits.length, 1);
+  assert.equal(edits[0].applicationId, '333333333333333333');
+  assert.equal(edits[0].token, 'interaction-token');
+  const [embed] = edits[0].payload.embeds;
+  assert.match(embed.title, /^【図書館】貸出中の本が \d+冊 あります$/);
+  assert.deepEqual(embed.fields[0], { name: 'はらぺこあおむし', value: '返却期限: 2025/04/04' });
+  assert.deepEqual(edits[0].payload.allowed_mentions, { parse: [] });
+
+  const failed = await runCommand(commandInteraction('books'), { passwd: 'other' });
+  assert.equal(failed.edits[0].text, '【図書館】貸出中の本は見つかりませんでした\n貸出情報の取得に失敗しました。');
+});
+
+test('defers /renew and reports the renewal of the matching book', async () => {
+  // テスト用のページには延長の申し込み欄がない
+  const { res, edits } = await runCommand(commandInteraction('renew', { title: 'はらぺこ' }));
+  assert.deepEqual(res.body, { type: RESPONSE_TYPES.deferredChannelMessage });
+  assert.equal(edits[0].text, '【図書館】「はらぺこあおむし」は延長できませんでした (延長の申し込み欄がありません)');
+
+  const renewed = await runCommand(commandInteraction('renew', { title: 'ぐるんぱ' }), {
+    loanPages: { 1: 'webopac/userlist-renewal.html', 2: 'userlist-page2.html' },
+    renewedLoanPages: { 1: 'webopac/userlist-renewed.html', 2: 'userlist-page2.html' },
+  });
+  assert.equal(renewed.edits[0].text, '【図書館】「ぐりとぐら & ぐるんぱ」を延長しました (新しい返却期限: 2025/04/19)');
+
+  const missing = await runCommand(commandInteraction('renew', { title: 'ないほん' }));
+  assert.equal(missing.edits[0].text, '【図書館】「ないほん」に一致する貸出中の本は見つかりませんでした。');
+});
+
+test('sends what does not fit in the edited response as follow-up messages', async () => {
+  const discord = await startFakeDiscord();
+  try {
+    // 長いフィールドの60冊は1つのメッセージに収まらない（1メッセージに埋め込み1つずつ、3つになる）
+    const fields = Array.from({ length: 60 }, (_, i) => ({ name: `本 ${i}`, value: 'あ'.repeat(200) }));
+    const message = createMessage('【図書館】貸出中の本が 60冊 あります', [{ color: EMBED_COLORS.library, title: '【図書館】貸出中の本が 60冊 あります', fields }]);
+    await editOriginalResponse(commandInteraction('books'), message, { apiBaseUrl: discord.apiBaseUrl, ephemeral: true });
+
+    assert.equal(discord.edits.length, 1);
+    assert.equal(discord.followUps.length, 2);
+    assert.ok(discord.followUps.every(followUp => followUp.token === 'interaction-token' && followUp.payload.flags === EPHEMERAL_FLAG));
+    const sentFields = [...discord.edits, ...discord.followUps].flatMap(({ payload }) => payload.embeds.flatMap(embed => embed.fields));
+    assert.deepEqual(sentFields, fields);
+  } finally {
+    await discord.close();
+  }
+});
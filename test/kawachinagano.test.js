@@ -0,0 +1,132 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { format } = require('date-fns');
+
+const { createKawachinaganoAdapter } = require('../lib/library/kawachinagano');
+const { startFakeWebOpac } = require('./helpers/fake-servers');
+
+// スクレイパーは HTML をそのままログに出すので、テストの出力からは外す
+before(() => {
+  ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+});
+
+/**
+ * ローカルの WebOpac に向けたアダプターで処理を実行し、終わったらサーバーを止める
+ * @param {object} scenario startFakeWebOpac に渡すシナリオ
+ * @param {(adapter: object, webOpac: object) => Promise<void>} task 実行する処理
+ */
+async function withFakeWebOpac(scenario, task) {
+  const webOpac = await startFakeWebOpac(scenario);
+  try {
+    await task(createKawachinaganoAdapter({ baseUrl: webOpac.baseUrl, waitScale: 0 }), webOpac);
+  } finally {
+    await webOpac.close();
+  }
+}
+
+const countRequests = (webOpac, pattern) => webOpac.requests.filter(request => pattern.test(request)).length;
+
+test('logs in and reads every page of the borrowing list', async () => {
+  await withFakeWebOpac({}, async (adapter, webOpac) => {
+    const session = await adapter.login('12345678', 'pass-1234');
+    const books = await adapter.listLoans(session);
+
+    assert.equal(books.length, 12);
+    assert.deepEqual(webOpac.requests.slice(0, 4), [
+      'GET /WebOpac/webopac/index.do',
+      'GET /WebOpac/webopac/usermenu.do',
+      'POST /WebOpac/webopac/login.do',
+      'GET /WebOpac/webopac/usermenu.do',
+    ]);
+    assert.equal(countRequests(webOpac, /userlist\.do\?type=2&page=2/), 1);
+  });
+});
+
+test('retries the login once when the site returns no session cookie', async () => {
+  await withFakeWebOpac({ failedLogins: 1 }, async (adapter, webOpac) => {
+    const session = await adapter.login('12345678', 'pass-1234');
+    assert.match(session.jar.header(`${webOpac.baseUrl}/userlist.do`), /JSESSIONID=session-\d+; WOPAC_MENU=usermenu/);
+    assert.equal(countRequests(webOpac, /^POST .*login\.do/), 2);
+  });
+});
+
+test('keeps the session cookie set on the redirect after the login', async () => {
+  await withFakeWebOpac({ redirectAfterLogin: true }, async (adapter, webOpac) => {
+    const books = await adapter.listLoans(await adapter.login('12345678', 'pass-1234'));
+
+    assert.equal(books.length, 12);
+    assert.deepEqual(webOpac.requests.slice(2, 4), ['POST /WebOpac/webopac/login.do', 'GET /WebOpac/webopac/usermenu.do']);
+  });
+});
+
+test('gives up after the second failed login', async () => {
+  await withFakeWebOpac({ failedLogins: 2 }, async (adapter, webOpac) => {
+    await assert.rejects(adapter.login('12345678', 'pass-1234'), /ログインに失敗しました/);
+    assert.equal(countRequests(webOpac, /^POST .*login\.do/), 2);
+  });
+});
+
+test('falls back to table parsing when the GAS regex does not match', async () => {
+  await withFakeWebOpac({ loanPages: { 1: 'webopac/userlist-table.html' } }, async adapter => {
+    const books = await adapter.listLoans(await adapter.login('12345678', 'pass-1234'));
+    assert.deepEqual(books.map(book => [book.title, format(book.returnDate, 'yyyy/MM/dd')]), [
+      ['としょかんライオン', '2025/04/02'],
+      ['100かいだてのいえ', '2025/04/20'],
+    ]);
+  });
+});
+
+test('logs in again once when the session expires while reading the lists', async () => {
+  await withFakeWebOpac({ expiredSessions: 1 }, async (adapter, webOpac) => {
+    const session = await adapter.login('12345678', 'pass-1234');
+    const books = await adapter.listLoans(session);
+
+    assert.equal(books.length, 12);
+    assert.equal(countRequests(webOpac, /^POST .*login\.do/), 2);
+  });
+});
+
+test('reports a timeout page as an error when logging in again does not help', async () => {
+  await withFakeWebOpac({ timeout: true }, async (adapter, webOpac) => {
+    const session = await adapter.login('12345678', 'pass-1234');
+    await assert.rejects(adapter.listLoans(session), /貸出一覧ページでタイムアウトが発生しました/);
+    assert.equal(countRequests(webOpac, /^POST .*login\.do/), 2);
+  });
+});
+
+test('reads reservations and their pickup deadlines', async () => {
+  await withFakeWebOpac({}, async adapter => {
+    const reservations = await adapter.listReservations(await adapter.login('12345678', 'pass-1234'));
+    assert.deepEqual(reservations.map(r => [r.title, r.ready, r.pickupDeadline && format(r.pickupDeadline, 'yyyy/MM/dd')]), [
+      ['エルマーのぼうけん', true, '2025/04/08'],
+      ['かいけつゾロリのドラゴンたいじ', false, null],
+    ]);
+  });
+});
+
+test('renews books through the renewal form on the first page of the borrowing list', async () => {
+  const scenario = {
+    loanPages: { 1: 'webopac/userlist-renewal.html', 2: 'userlist-page2.html' },
+    renewedLoanPages: { 1: 'webopac/userlist-renewed.html', 2: 'userlist-page2.html' },
+  };
+  await withFakeWebOpac(scenario, async (adapter, webOpac) => {
+    const session = await adapter.login('12345678', 'pass-1234');
+    const books = await adapter.listLoans(session);
+    // 書名の文字参照は戻して読み取る
+    const targets = ['はらぺこあおむし', 'ぐりとぐら & ぐるんぱ', 'からすのパンやさん', 'スイミー']
+      .map(title => books.find(book => book.title === title));
+    assert.ok(targets.every(Boolean));
+
+    const { results, books: after } = await adapter.renew(session, targets);
+
+    // チェックした資料・hidden の項目・延長ボタンを1回だけ送る
+    assert.deepEqual(webOpac.renewals, [[['token', 'abc123'], ['chk', '1001'], ['chk', '1013'], ['extend', '延長する']]]);
+    assert.equal(countRequests(webOpac, /^POST .*extend\.do;jsessionid=session-1$/), 1);
+    const resultOf = title => results.find(result => result.title === title);
+    assert.equal(format(resultOf('はらぺこあおむし').returnDate, 'yyyy/MM/dd'), '2025/04/18');
+    assert.equal(format(resultOf('ぐりとぐら & ぐるんぱ').returnDate, 'yyyy/MM/dd'), '2025/04/19');
+    assert.deepEqual(resultOf('からすのパンやさん'), { title: 'からすのパンやさん', renewed: false, reason: '他の方の予約があります' });
+    assert.match(resultOf('スイミー').reason, /^2ページ目以降の資料は延長できません/);
+    assert.equal(after.length, 6);
+  });
+});
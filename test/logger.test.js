@@ -0,0 +1,75 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { configureLogging, createLogger } = require('../lib/logger');
+const { createKawachinaganoAdapter } = require('../lib/library/kawachinagano');
+const { startFakeWebOpac } = require('./helpers/fake-servers');
+
+/**
+ * ログの出力を配列に集める
+ * @param {object} [options] configureLogging に渡す設定
+ * @returns {Array<object>} 出力されたログ（JSON を解析したもの）
+ */
+function captureLogs(options = {}) {
+  const entries = [];
+  configureLogging({ level: undefined, redact: undefined, ...options, write: line => entries.push(JSON.parse(line)) });
+  return entries;
+}
+
+afterEach(() => {
+  configureLogging({ level: undefined, redact: undefined, write: undefined });
+});
+
+test('writes one JSON entry per line with the Cloud Logging severity', () => {
+  const entries = captureLogs();
+  const logger = createLogger('test');
+  logger.info('Fetching library page', { description: '貸出一覧', count: 2 });
+  logger.warn('Rate limited', { error: new Error('429') });
+  logger.debug('HTML dump', { html: '<html></html>' });
+
+  assert.deepEqual(entries[0], {
+    severity: 'INFO', message: 'Fetching library page', component: 'test', description: '貸出一覧', count: 2,
+  });
+  assert.equal(entries[1].severity, 'WARNING');
+  assert.equal(entries[1].error.message, '429');
+  assert.match(entries[1].error.stack, /^Error: 429/);
+  // debug は既定では出力しない
+  assert.equal(entries.length, 2);
+});
+
+test('redacts secrets always and personal data unless LOG_REDACT=false', () => {
+  const fields = {
+    cookie: 'JSESSIONID=abc',
+    libraryId: '12345678',
+    url: 'https://opac.example.jp/webopac/lenlst.do?page=2&sessionid=abc',
+    account: { password: 'pass-1234', books: [{ title: 'ぐりとぐら', returnDate: new Date('2025-04-04T00:00:00Z') }] },
+  };
+
+  const redacted = captureLogs();
+  createLogger('test').info('Loans', fields);
+  assert.deepEqual(redacted[0].account, { password: '[REDACTED]', books: [{ title: '[REDACTED]', returnDate: '2025-04-04T00:00:00.000Z' }] });
+  assert.equal(redacted[0].cookie, '[REDACTED]');
+  assert.equal(redacted[0].libraryId, '[REDACTED]');
+  assert.equal(redacted[0].url, '[REDACTED]');
+
+  const shown = captureLogs({ redact: false });
+  createLogger('test').info('Loans', fields);
+  assert.equal(shown[0].cookie, 'JSESSIONID=abc');
+  assert.equal(shown[0].account.books[0].title, 'ぐりとぐら');
+  assert.equal(shown[0].account.password, '[REDACTED]');
+});
+
+test('a debug-level scrape never logs the card number, password, cookies or book titles', async () => {
+  const entries = captureLogs({ level: 'debug' });
+  const webOpac = await startFakeWebOpac();
+  try {
+    const adapter = createKawachinaganoAdapter({ baseUrl: webOpac.baseUrl, waitScale: 0 });
+    await adapter.listLoans(await adapter.login('12345678', 'pass-1234'));
+  } finally {
+    await webOpac.close();
+  }
+
+  const output = entries.map(entry => JSON.stringify(entry)).join('\n');
+  assert.ok(entries.some(entry => entry.severity === 'DEBUG' && entry.html === '[REDACTED]'));
+  assert.doesNotMatch(output, /12345678|pass-1234|JSESSIONID|session-\d|はらぺこあおむし/);
+});
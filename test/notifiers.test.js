@@ -0,0 +1,140 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const { loadConfig } = require('../lib/config');
+const { EMBED_COLORS, createMessage } = require('../lib/discord');
+const { notifyRecipients } = require('../lib/notifiers');
+const { createEmailNotifier } = require('../lib/notifiers/email');
+const { createLineNotifier } = require('../lib/notifiers/line');
+const { createSlackNotifier } = require('../lib/notifiers/slack');
+const { startFakeApi, startFakeDiscord } = require('./helpers/fake-servers');
+
+before(() => {
+  ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+});
+
+const reminder = createMessage('【図書館】3日後に返却期限の本が 1冊 あります:\n・ ぐりとぐら (返却期限: 2025/04/04)', [{
+  color: EMBED_COLORS.library,
+  title: '【図書館】3日後に返却期限の本が 1冊 あります',
+  fields: [{ name: 'ぐりとぐら', value: '返却期限: 2025/04/04' }],
+}]);
+
+test('Slack receives the embeds as coloured attachments', async () => {
+  const slack = await startFakeApi();
+  try {
+    await createSlackNotifier({ name: 'Slack', webhookUrl: `${slack.url}/services/T000/B000/XXX` }).send(reminder);
+  } finally {
+    await slack.close();
+  }
+
+  assert.equal(slack.requests.length, 1);
+  assert.equal(slack.requests[0].path, '/services/T000/B000/XXX');
+  assert.deepEqual(slack.requests[0].body.attachments[0], {
+    color: '#1e88e5',
+    title: '【図書館】3日後に返却期限の本が 1冊 あります',
+    fields: [{ title: 'ぐりとぐら', value: '返却期限: 2025/04/04', short: false }],
+    fallback: '【図書館】3日後に返却期限の本が 1冊 あります',
+  });
+});
+
+test('LINE pushes the plain text split into 5000-character messages', async () => {
+  const line = await startFakeApi();
+  const longText = Array.from({ length: 600 }, (_, i) => `・ 本のタイトル ${i} (返却期限: 2025/04/04)`).join('\n');
+  try {
+    await createLineNotifier({ name: 'LINE', to: 'U1234', channelAccessToken: 'token-abc', apiBaseUrl: line.url })
+      .send(createMessage(longText));
+  } finally {
+    await line.close();
+  }
+
+  assert.equal(line.requests.length, 1);
+  const [request] = line.requests;
+  assert.equal(request.path, '/v2/bot/message/push');
+  assert.equal(request.headers.authorization, 'Bearer token-abc');
+  assert.equal(request.body.to, 'U1234');
+  assert.ok(request.body.messages.length > 1);
+  assert.ok(request.body.messages.every(message => message.type === 'text' && message.text.length <= 5000));
+  assert.equal(request.body.messages.map(message => message.text).join('\n'), longText);
+});
+
+test('email uses the first line as the subject and the plain text as the body', async () => {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  const sent = [];
+  const sendMail = transport.sendMail.bind(transport);
+  transport.sendMail = async mail => {
+    const info = await sendMail(mail);
+    sent.push(JSON.parse(info.message));
+    return info;
+  };
+
+  await createEmailNotifier({ name: 'メール', from: 'reminder@example.com', to: ['parent@example.com'] }, { transport })
+    .send(reminder);
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].subject, '【図書館】3日後に返却期限の本が 1冊 あります');
+  assert.deepEqual(sent[0].to, [{ address: 'parent@example.com', name: '' }]);
+  assert.equal(sent[0].text, reminder.text);
+});
+
+test('notifyRecipients sends to every subscribed recipient and reports failures at the end', async () => {
+  const discord = await startFakeDiscord();
+  const slack = await startFakeApi({ status: 500 });
+  const recipients = [
+    { name: 'Slack', type: 'slack', webhookUrl: `${slack.url}/services/x` },
+    { name: 'Discord (小塩町)', type: 'discord', topics: ['garbage'], areas: ['koshio'], webhookUrl: discord.webhookUrl('koshio') },
+    { name: 'Discord (図書館)', type: 'discord', topics: ['library'], webhookUrl: discord.webhookUrl('library') },
+  ];
+  try {
+    await assert.rejects(notifyRecipients(recipients, 'library', reminder), /通知の送信に失敗しました: Slack/);
+    await notifyRecipients(recipients.slice(1), 'garbage', createMessage('【ゴミ出し】明日の収集'), { areaId: 'other-area' });
+  } finally {
+    await Promise.all([discord.close(), slack.close()]);
+  }
+
+  // Slack が失敗しても図書館の Discord には届き、他の地区のゴミ出しは小塩町の通知先に送らない
+  assert.equal(slack.requests.length, 1);
+  assert.deepEqual(discord.messages.map(message => message.webhook), ['library']);
+});
+
+test('loadConfig validates recipients and falls back to the Discord webhooks', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reminder-config-'));
+  const writeConfig = config => {
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    return file;
+  };
+  const areas = [{ id: 'koshio', name: '小塩町', schedule: path.join(__dirname, '..', 'config', 'schedules', 'koshio.json') }];
+
+  try {
+    const defaults = loadConfig(writeConfig({ areas })).recipients;
+    assert.deepEqual(defaults.map(recipient => [recipient.type, recipient.webhookSecret, recipient.topics]), [
+      ['discord', 'discord-webhook-url', ['garbage']],
+      ['discord', 'discord-webhook-url', ['library']],
+    ]);
+
+    assert.throws(() => loadConfig(writeConfig({
+      areas,
+      recipients: [
+        { name: 'LINE', type: 'line', channelAccessTokenSecret: 'line-token' },
+        { name: 'Teams', type: 'teams' },
+        { name: 'メール', type: 'email', smtpUrlSecret: 'smtp-url', from: 'a@example.com', to: 'b@example.com', areas: ['unknown'] },
+        { name: 'メール2', type: 'email', smtpUrlSecret: 'smtp-url', from: 'a@example.com', to: 'b@example.com', mentions: ['<@1>'] },
+        { name: 'Discord', type: 'discord', webhookSecret: 'discord', reminders: { libraryDays: [3, -1], garbage: ['noon'] } },
+      ],
+    })), error => {
+      assert.match(error.message, /recipients\[0\]\.to: 指定してください/);
+      assert.match(error.message, /recipients\[1\]\.type:/);
+      assert.match(error.message, /recipients\[2\]\.areas:/);
+      assert.match(error.message, /recipients\[3\]\.mentions: email の通知先はメンションに対応していません/);
+      assert.match(error.message, /recipients\[4\]\.reminders\.libraryDays:/);
+      assert.match(error.message, /recipients\[4\]\.reminders\.garbage: evening \/ morning/);
+      return true;
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { format } = require('date-fns');
+
+const { collectListPages, findPagerUrls, parseTotalCount } = require('../lib/pager');
+const { inspectBorrowingPages, mergeBorrowingPages } = require('../lib/library/kawachinagano');
+
+const BASE_URL = 'https://www1.city.kawachinagano.lg.jp/WebOpac/webopac';
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+test('findPagerUrls returns the other pages of the same list', () => {
+  const urls = findPagerUrls(fixture('userlist-page1.html'), `${BASE_URL}/userlist.do?type=2&page=1`);
+  assert.deepEqual(urls, [`${BASE_URL}/userlist.do?type=2&page=2`]);
+});
+
+test('parseTotalCount reads the item count shown above the list', () => {
+  assert.equal(parseTotalCount(fixture('userlist-page1.html')), 12);
+  assert.equal(parseTotalCount('<html><body>貸出はありません</body></html>'), null);
+});
+
+test('a two-page borrowing list yields every book exactly once', async () => {
+  const firstUrl = `${BASE_URL}/userlist.do?type=2&page=1`;
+  const fetched = [];
+  const pages = await collectListPages(firstUrl, fixture('userlist-page1.html'), async url => {
+    fetched.push(url);
+    return fixture('userlist-page2.html');
+  });
+
+  // 2ページ目だけを1回取得し、1ページ目へ戻るリンクは辿らない
+  assert.deepEqual(fetched, [`${BASE_URL}/userlist.do?type=2&page=2`]);
+
+  const books = mergeBorrowingPages(pages);
+  assert.equal(books.length, 12);
+  assert.equal(new Set(books.map(book => book.title)).size, 12);
+  assert.deepEqual(books.slice(-2).map(book => [book.title, format(book.returnDate, 'yyyy/MM/dd')]), [
+    ['おおきなかぶ', '2025/04/05'],
+    ['スイミー', '2025/04/06'],
+  ]);
+});
+
+test('keeps a second copy of the same book but drops rows repeated across a page boundary', () => {
+  const page = rows => rows.map(([title, date]) =>
+    `<tr><td><a href="bookdetail.do"><strong>${title}</strong></a><br></td><td class="nwrap">${date}</td></tr>`).join('');
+  // 1ページ目を取得した後に1冊返却され、1ページ目の最後の行が2ページ目の先頭にも現れた
+  const books = mergeBorrowingPages([
+    page([['ぐりとぐら', '2025/04/04'], ['ぐりとぐら', '2025/04/04'], ['スイミー', '2025/04/06']]),
+    page([['スイミー', '2025/04/06'], ['おおきなかぶ', '2025/04/07']]),
+  ]);
+
+  assert.deepEqual(books.map(book => book.title), ['ぐりとぐら', 'ぐりとぐら', 'スイミー', 'おおきなかぶ']);
+});
+
+test('the borrowing list report names the extraction strategy and a content-independent fingerprint', () => {
+  const first = inspectBorrowingPages([fixture('userlist-page1.html')]).report;
+  const second = inspectBorrowingPages([fixture('userlist-page2.html')]).report;
+  const table = inspectBorrowingPages([fixture('webopac/userlist-table.html')]).report;
+
+  assert.equal(first.strategy, 'regex');
+  assert.equal(table.strategy, 'table-class');
+  // 書名や件数が違っても同じマークアップなら指紋は変わらない
+  assert.equal(first.fingerprint, second.fingerprint);
+  assert.notEqual(first.fingerprint, table.fingerprint);
+
+  const changed = inspectBorrowingPages([fixture('webopac/userlist-changed.html')]);
+  assert.equal(changed.books.length, 0);
+  assert.deepEqual([changed.report.strategy, changed.report.totalCount, changed.report.noLoansShown], ['none', 2, false]);
+  assert.equal(inspectBorrowingPages([fixture('webopac/userlist-empty.html')]).report.noLoansShown, true);
+});
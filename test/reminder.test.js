@@ -0,0 +1,470 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseRunOptions, runReminder } = require('../index');
+const { loadConfig } = require('../lib/config');
+const { EMBED_COLORS } = require('../lib/discord');
+const { createRetryQueue } = require('../lib/retry');
+const { createStateStore } = require('../lib/state');
+const { startFakeDiscord, startFakeWebOpac } = require('./helpers/fake-servers');
+
+// 2025/04/01 (火) 19:30 JST（夕方の実行）。明日の 4/2 (水) は燃えるゴミの日
+const NOW = new Date('2025-04-01T10:30:00Z');
+const config = loadConfig(path.join(__dirname, '..', 'config', 'config.json'));
+
+before(() => {
+  ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+});
+
+/**
+ * 一時ディレクトリの状態ファイルを使うストアを作る（テストの終わりに削除する）
+ * @param {import('node:test').TestContext} t テストのコンテキスト
+ * @returns {import('../lib/state').StateStore} ストア
+ */
+function createTempStateStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reminder-state-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createStateStore({ backend: 'file', path: path.join(dir, 'state.json') });
+}
+
+/**
+ * ローカルの WebOpac と Discord に向けたシークレット（図書館のカード1枚と、ゴミ出し・図書館の通知先）を作る
+ * @param {{baseUrl: string}} webOpac startFakeWebOpac の戻り値
+ * @param {{webhookUrl: (name: string) => string}} discord startFakeDiscord の戻り値
+ * @returns {object} getSecrets と同じ形のシークレット
+ */
+function createFakeSecrets(webOpac, discord) {
+  return {
+    libraryAccounts: [{
+      name: '',
+      libraryId: '12345678',
+      libraryPassword: 'pass-1234',
+      adapter: 'kawachinagano',
+      adapterOptions: { baseUrl: webOpac.baseUrl, waitScale: 0 },
+      autoRenew: false,
+    }],
+    recipients: [
+      { name: 'ゴミ出し', type: 'discord', topics: ['garbage'], webhookUrl: discord.webhookUrl('garbage') },
+      {
+        name: '図書館',
+        type: 'discord',
+        topics: ['library'],
+        mentions: ['<@111111111111111111>', '<@&222222222222222222>'],
+        webhookUrl: discord.webhookUrl('library'),
+      },
+    ],
+  };
+}
+
+/**
+ * ローカルの WebOpac と Discord に向けて runReminder を実行し、送信されたメッセージを返す
+ * 図書館の再試行はプロセスの中のキューに登録し、待たずに続けて実行する
+ * @param {object} [scenario] startFakeWebOpac に渡すシナリオ
+ * @param {object} [discordOptions] startFakeDiscord に渡すオプション
+ * @param {import('../lib/state').StateStore} [stateStore] 状態のストア（省略時は保存しない）
+ * @param {{now?: Date, timing?: string, config?: object, retryQueue?: object}} [runOptions] runReminder に渡す実行時刻・実行の時間帯・設定・再試行のキュー
+ *   （省略時は NOW の夕方の実行。retryQueue を undefined にすると設定の retry から作る）
+ * @returns {Promise<{messages: Array<{webhook: string, payload: object, text: string}>, webOpac: object, result: object, retries: Array<object>}>}
+ *   Discord に届いたメッセージ、WebOpac の代わりのサーバー、runReminder の戻り値、キューに登録された再試行（params と delayMs）
+ */
+async function runWithFakes(scenario = {}, discordOptions = {}, stateStore = createStateStore(), runOptions = {}) {
+  const webOpac = await startFakeWebOpac(scenario);
+  const discord = await startFakeDiscord(discordOptions);
+  const runConfig = runOptions.config || config;
+  const retryQueue = createRetryQueue({ backend: 'memory' });
+  const retries = [];
+  // 登録された再試行を記録しておく
+  const enqueue = retryQueue.enqueue;
+  retryQueue.enqueue = async (params, delayMs) => {
+    retries.push({ params, delayMs });
+    await enqueue(params, delayMs);
+  };
+  try {
+    const secrets = createFakeSecrets(webOpac, discord);
+    const result = await runReminder({ now: NOW, retryQueue, ...runOptions, config: runConfig, stateStore, secrets });
+    await retryQueue.drain(async params => {
+      await runReminder({ ...parseRunOptions(params, runConfig), config: runConfig, retryQueue, stateStore, secrets });
+    }, { wait: false });
+    return { messages: discord.messages, webOpac, result, retries };
+  } finally {
+    await Promise.all([webOpac.close(), discord.close()]);
+  }
+}
+
+test('sends the garbage, library and reservation reminders', async () => {
+  const { messages } = await runWithFakes();
+
+  assert.deepEqual(messages.map(message => message.webhook), ['garbage', 'library', 'library']);
+  const [garbage] = messages[0].payload.embeds;
+  assert.equal(garbage.title, '【ゴミ出し】明日の収集 (2025-04-02)');
+  assert.match(garbage.description, /燃えるゴミ/);
+  assert.equal(garbage.color, EMBED_COLORS.garbage);
+
+  // 3日後 (4/4) が期限の4冊を1冊ずつフィールドにする
+  const [books] = messages[1].payload.embeds;
+  assert.equal(books.title, '【図書館】3日後に返却期限の本が 4冊 あります');
+  assert.equal(books.color, EMBED_COLORS.library);
+  assert.deepEqual(books.fields[0], { name: 'はらぺこあおむし', value: '返却期限: 2025/04/04' });
+  assert.equal(books.fields.length, 4);
+
+  assert.deepEqual(messages[2].payload.embeds[0].fields, [{ name: 'エルマーのぼうけん', value: '取置期限: 2025/04/08' }]);
+});
+
+test('falls back to plain text when Discord rejects the embeds', async () => {
+  const { messages } = await runWithFakes({}, { rejectEmbeds: true });
+
+  assert.ok(messages.every(message => typeof message.payload.content === 'string' && !message.payload.embeds));
+  assert.match(messages[0].text, /^【ゴミ出し】明日の収集 \(2025-04-02\): 燃えるゴミ/);
+  assert.equal(messages[1].text.match(/2025\/04\/04/g).length, 4);
+});
+
+test('retries a failed library login and then sends the reminder', async () => {
+  // 初回はログインが2回とも失敗し、再試行で成功する
+  const { messages } = await runWithFakes({ failedLogins: 2, loanPages: { 1: 'webopac/userlist-table.html' } });
+  const libraryMessages = messages.filter(message => message.webhook === 'library').map(message => message.text);
+
+  assert.equal(libraryMessages[0], '【図書館】貸出情報の取得に失敗しました。5分後に再試行します。');
+  assert.match(libraryMessages[1], /としょかんライオン/);
+  assert.doesNotMatch(libraryMessages[1], /100かいだてのいえ/);
+  assert.ok(!libraryMessages.some(content => content.includes('諦めます')));
+});
+
+test('gives up after the retry when the list keeps timing out', async () => {
+  const { messages, webOpac } = await runWithFakes({ timeout: true });
+  const libraryMessages = messages.filter(message => message.webhook === 'library');
+
+  assert.deepEqual(libraryMessages.map(message => message.text), [
+    '【図書館】貸出情報の取得に失敗しました。5分後に再試行します。',
+    '【図書館】再試行も失敗しました。今回は諦めます。',
+  ]);
+  assert.ok(libraryMessages.every(message => message.payload.embeds[0].color === EMBED_COLORS.error));
+  // 1回目と再試行のそれぞれで、タイムアウトの後に1回だけログインし直す
+  assert.equal(webOpac.requests.filter(request => request.startsWith('POST')).length, 4);
+  // ゴミ出しの通知は図書館の失敗に影響されない（再試行では図書館だけを確認する）
+  assert.equal(messages.filter(message => message.webhook === 'garbage').length, 1);
+});
+
+test('re-enqueues failed library checks with exponential backoff until maxAttempts', async () => {
+  const retryConfig = { ...config, retry: { ...config.retry, maxAttempts: 3, initialDelayMinutes: 30, multiplier: 3 } };
+  const { messages, retries } = await runWithFakes({ timeout: true }, {}, createStateStore(), { config: retryConfig });
+
+  assert.deepEqual(retries, [
+    {
+      params: { date: '2025-04-01', only: 'library', dryRun: 'false', retryAttempt: '2', accounts: '[""]' },
+      delayMs: 30 * 60 * 1000,
+    },
+    {
+      params: { date: '2025-04-01', only: 'library', dryRun: 'false', retryAttempt: '3', accounts: '[""]' },
+      delayMs: 60 * 60 * 1000, // 90分は上限 (maxDelayMinutes) の60分に切り詰める
+    },
+  ]);
+  assert.deepEqual(messages.filter(message => message.webhook === 'library').map(message => message.text), [
+    '【図書館】貸出情報の取得に失敗しました。30分後に再試行します。',
+    '【図書館】再試行も失敗しました。1時間後にもう一度再試行します。',
+    '【図書館】再試行も失敗しました。今回は諦めます。',
+  ]);
+});
+
+test('does not promise a retry when no retry queue will run it', async () => {
+  // memory のキューは CLI しか実行しないので、関数としての実行では再試行を登録しない
+  const memoryConfig = { ...config, retry: { ...config.retry, backend: 'memory' } };
+  const { messages, retries } = await runWithFakes({ timeout: true }, {}, createStateStore(), { config: memoryConfig, retryQueue: undefined });
+  assert.deepEqual(retries, []);
+  assert.deepEqual(messages.filter(message => message.webhook === 'library').map(message => message.text), [
+    '【図書館】貸出情報の取得に失敗しました。',
+  ]);
+
+  // 登録に失敗した場合も同じ
+  const failingQueue = { backend: 'cloud-tasks', enqueue: async () => { throw new Error('PERMISSION_DENIED'); } };
+  const failed = await runWithFakes({ timeout: true }, {}, createStateStore(), { retryQueue: failingQueue });
+  assert.deepEqual(failed.messages.filter(message => message.webhook === 'library').map(message => message.text), [
+    '【図書館】貸出情報の取得に失敗しました。',
+  ]);
+});
+
+test('a dry run reports the failure without enqueueing a retry', async () => {
+  const options = parseRunOptions({ date: '2025-04-01', dryRun: 'true', only: 'library' }, config);
+  const { messages, retries, result } = await runWithFakes({ timeout: true }, {}, createStateStore(), options);
+
+  assert.deepEqual(messages, []);
+  assert.deepEqual(retries, []);
+  assert.deepEqual(result.notifications.map(notification => notification.text), [
+    '【図書館】貸出情報の取得に失敗しました。5分後に再試行します。',
+  ]);
+});
+
+test('reports new and returned books compared with the previous run', async t => {
+  const stateStore = createTempStateStore(t);
+  await runWithFakes({ loanPages: { 1: 'webopac/userlist-table.html' } }, {}, stateStore);
+
+  // 前回の2冊のうち「100かいだてのいえ」は借りたまま、もう1冊は返却し、11冊を新しく借りた
+  const { messages } = await runWithFakes({}, {}, stateStore);
+  const [library] = messages.filter(message => message.webhook === 'library');
+  const titles = library.payload.embeds.map(embed => embed.title);
+  assert.deepEqual(titles.slice(0, 2), [
+    '【図書館】新しく借りた本が 11冊 あります',
+    '【図書館】返却済みになった本が 1冊 あります',
+  ]);
+  assert.deepEqual(library.payload.embeds[1].fields, [{ name: 'としょかんライオン', value: '返却済み' }]);
+});
+
+test('alerts separately when the loan page structure changes', async t => {
+  const stateStore = createTempStateStore(t);
+  await runWithFakes({ loanPages: { 1: 'webopac/userlist-table.html' } }, {}, stateStore);
+
+  // 前回と違うマークアップの一覧（正規表現で読み取れる）に変わった
+  const { messages } = await runWithFakes({}, {}, stateStore);
+  const alert = messages.find(message => message.payload.embeds && message.payload.embeds[0].color === EMBED_COLORS.scraper);
+  assert.equal(alert.webhook, 'library');
+  assert.equal(alert.payload.embeds[0].title, '【図書館】⚠️ 貸出一覧を正しく読み取れていない可能性があります');
+  assert.match(alert.text, /貸出一覧のページの構造が変わりました（[0-9a-f]{12} → [0-9a-f]{12}）。（抽出方法: GASスクリプトの正規表現）/);
+  assert.match(alert.payload.content, /<@111111111111111111>/);
+
+  // 新しい構造を基準として保存するので、同じ構造のままなら次回は警告しない
+  const next = await runWithFakes({}, {}, stateStore);
+  assert.ok(next.messages.every(message => !message.text.includes('正しく読み取れていない')));
+});
+
+test('alerts instead of reporting every book as returned when none can be read', async t => {
+  const stateStore = createTempStateStore(t);
+  await runWithFakes({}, {}, stateStore);
+
+  const { messages } = await runWithFakes({ loanPages: { 1: 'webopac/userlist-changed.html' } }, {}, stateStore);
+  const libraryTexts = messages.filter(message => message.webhook === 'library').map(message => message.text);
+  assert.ok(libraryTexts.some(text =>
+    text.includes('貸出一覧から本を1冊も読み取れませんでした（前回は 12冊、ページの表示は 2件）。（抽出方法: 抽出できず）')));
+  assert.ok(!libraryTexts.some(text => text.includes('返却済みになった本')));
+  // 読み取れなかった一覧では前回の貸出一覧を上書きしない
+  assert.equal((await stateStore.get('loans-default')).books.length, 12);
+});
+
+test('an explicitly empty loan page is a normal result, not an alert', async t => {
+  const stateStore = createTempStateStore(t);
+  await runWithFakes({}, {}, stateStore);
+
+  const { messages } = await runWithFakes({ loanPages: { 1: 'webopac/userlist-empty.html' } }, {}, stateStore);
+  const libraryTexts = messages.filter(message => message.webhook === 'library').map(message => message.text);
+  assert.ok(!libraryTexts.some(text => text.includes('正しく読み取れていない')));
+  assert.match(libraryTexts[0], /返却済みになった本が 12冊 あります/);
+});
+
+test('does not send the same notifications twice when the function is retried', async t => {
+  const stateStore = createTempStateStore(t);
+  const first = await runWithFakes({}, {}, stateStore);
+  const second = await runWithFakes({}, {}, stateStore);
+
+  assert.equal(first.messages.length, 3);
+  assert.deepEqual(second.messages, []);
+});
+
+test('announces a ready reservation once and again only when its pickup deadline is near', async t => {
+  const stateStore = createTempStateStore(t);
+  const reservationTitles = ({ messages }) => messages
+    .flatMap(message => message.payload.embeds || [])
+    .filter(embed => embed.title.includes('予約'))
+    .map(embed => embed.title);
+
+  // エルマーのぼうけんは 4/1 から取置中で、取置期限は 4/8
+  const first = await runWithFakes({}, {}, stateStore);
+  assert.deepEqual(reservationTitles(first), ['【図書館】受け取りできる予約が 1冊 あります']);
+
+  // 翌日の実行では同じ予約を知らせない
+  const nextDay = await runWithFakes({}, {}, stateStore, { now: new Date('2025-04-02T10:30:00Z') });
+  assert.deepEqual(reservationTitles(nextDay), []);
+
+  // 取置期限の前日には、期限のお知らせとしてもう一度知らせる
+  const dayBeforeDeadline = await runWithFakes({}, {}, stateStore, { now: new Date('2025-04-07T10:30:00Z') });
+  assert.deepEqual(reservationTitles(dayBeforeDeadline), ['【図書館】取置期限が今日/明日の予約が 1冊 あります。早めに受け取ってください']);
+});
+
+test('finishes the library reminders and saves the loans when another recipient fails', async t => {
+  const stateStore = createTempStateStore(t);
+  const webOpac = await startFakeWebOpac();
+  const discord = await startFakeDiscord({ failingWebhooks: ['garbage'] });
+  try {
+    await assert.rejects(
+      runReminder({ now: NOW, config, stateStore, secrets: createFakeSecrets(webOpac, discord) }),
+      /通知の送信に失敗しました: ゴミ出し/);
+  } finally {
+    await Promise.all([webOpac.close(), discord.close()]);
+  }
+
+  // ゴミ出しの通知先の失敗の後も、図書館のリマインドと予約のお知らせを送り、貸出一覧を保存する
+  assert.deepEqual(discord.messages.map(message => message.webhook), ['library', 'library']);
+  assert.equal((await stateStore.get('loans-default')).books.length, 12);
+});
+
+test('nags about overdue books with stronger wording and mentions as the delay grows', async () => {
+  const scenario = { loanPages: { 1: 'webopac/userlist-table.html' } };
+  // としょかんライオンの返却期限は 4/2。4/3 は1日、4/10 は8日超過
+  const oneDay = await runWithFakes(scenario, {}, createStateStore(), { now: new Date('2025-04-03T10:30:00Z') });
+  const eightDays = await runWithFakes(scenario, {}, createStateStore(), { now: new Date('2025-04-10T10:30:00Z') });
+  const overdueOf = ({ messages }) => messages.find(message => message.webhook === 'library').payload;
+
+  const first = overdueOf(oneDay);
+  assert.equal(first.content, undefined);
+  assert.deepEqual(first.embeds[0], {
+    color: EMBED_COLORS.overdue,
+    title: '【図書館】返却期限を過ぎた本が 1冊 あります',
+    description: '返却期限を過ぎています。返却をお忘れなく。',
+    fields: [{ name: 'としょかんライオン', value: '返却期限: 2025/04/02、1日超過' }],
+  });
+
+  const later = overdueOf(eightDays);
+  assert.equal(later.content, '<@111111111111111111> <@&222222222222222222>');
+  assert.deepEqual(later.allowed_mentions, { parse: [], users: ['111111111111111111'], roles: ['222222222222222222'] });
+  assert.equal(later.embeds[0].color, EMBED_COLORS.error);
+  assert.match(later.embeds[0].description, /至急返却してください/);
+  assert.deepEqual(later.embeds[0].fields, [{ name: 'としょかんライオン', value: '返却期限: 2025/04/02、8日超過' }]);
+});
+
+test('sends reminders at the timings each recipient prefers', async () => {
+  const webOpac = await startFakeWebOpac({ loanPages: { 1: 'webopac/userlist-table.html' } });
+  const discord = await startFakeDiscord();
+  const secrets = {
+    libraryAccounts: [{
+      name: '',
+      libraryId: '12345678',
+      libraryPassword: 'pass-1234',
+      adapter: 'kawachinagano',
+      adapterOptions: { baseUrl: webOpac.baseUrl, waitScale: 0 },
+      autoRenew: false,
+    }],
+    recipients: [
+      { name: '夜', type: 'discord', webhookUrl: discord.webhookUrl('evening') },
+      { name: '朝', type: 'discord', reminders: { garbage: ['morning'], libraryDays: [19] }, webhookUrl: discord.webhookUrl('morning') },
+    ],
+  };
+  const titlesOf = webhook => discord.messages
+    .filter(message => message.webhook === webhook)
+    .flatMap(message => message.payload.embeds.map(embed => embed.title));
+  try {
+    // 4/1 19:30 の夕方の実行と 4/2 7:00 の朝の実行
+    await runReminder({ now: NOW, config, secrets, stateStore: createStateStore() });
+    const requestsInEvening = webOpac.requests.length;
+    await runReminder({ now: new Date('2025-04-01T22:00:00Z'), config, secrets, stateStore: createStateStore() });
+
+    assert.equal(webOpac.requests.length, requestsInEvening, '朝の実行では図書館を確認しない');
+  } finally {
+    await Promise.all([webOpac.close(), discord.close()]);
+  }
+
+  assert.deepEqual(titlesOf('evening').slice(0, 2), [
+    '【ゴミ出し】明日の収集 (2025-04-02)',
+    '【図書館】明日が返却期限の本が 1冊 あります',
+  ]);
+  assert.deepEqual(titlesOf('morning').slice(0, 1), ['【図書館】19日後に返却期限の本が 1冊 あります']);
+  assert.equal(titlesOf('morning').at(-1), '【ゴミ出し】今日の収集 (2025-04-02)');
+  assert.ok(!titlesOf('evening').includes('【ゴミ出し】今日の収集 (2025-04-02)'));
+});
+
+test('gives the same reminders around midnight whatever the runtime time zone is', async t => {
+  const originalTimeZone = process.env.TZ;
+  t.after(() => {
+    if (originalTimeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = originalTimeZone;
+  });
+  const scenario = { loanPages: { 1: 'webopac/userlist-table.html' } };
+  const textsAt = async iso => {
+    const { messages } = await runWithFakes(scenario, {}, createStateStore(), { now: new Date(iso), timing: 'evening' });
+    return messages.map(message => `${message.webhook}: ${message.text}`);
+  };
+
+  // 設定のタイムゾーン (Asia/Tokyo) で 4/1 23:59 と 4/2 00:01 の実行
+  const results = {};
+  for (const timeZone of ['UTC', 'Asia/Tokyo']) {
+    process.env.TZ = timeZone;
+    results[timeZone] = {
+      beforeMidnight: await textsAt('2025-04-01T14:59:00Z'),
+      afterMidnight: await textsAt('2025-04-01T15:01:00Z'),
+    };
+  }
+
+  assert.deepEqual(results.UTC, results['Asia/Tokyo']);
+  const { beforeMidnight, afterMidnight } = results.UTC;
+  assert.match(beforeMidnight[0], /^garbage: 【ゴミ出し】明日の収集 \(2025-04-02\)/);
+  assert.match(beforeMidnight[1], /明日が返却期限の本が 1冊 あります\nとしょかんライオン/);
+  // 日付が変わると 4/3 (木) の収集はなく、としょかんライオンは今日が返却期限になる
+  assert.ok(!afterMidnight.some(text => text.startsWith('garbage:')));
+  assert.match(afterMidnight[0], /今日が返却期限の本が 1冊 あります\nとしょかんライオン/);
+});
+
+test('reads the library dates in the configured time zone', async () => {
+  // ロサンゼルスの 4/1 (火) 19:30（東京では 4/2 (水) 11:30）
+  const { messages } = await runWithFakes({ loanPages: { 1: 'webopac/userlist-table.html' } }, {}, createStateStore(), {
+    now: new Date('2025-04-02T02:30:00Z'),
+    config: { ...config, timeZone: 'America/Los_Angeles' },
+  });
+  const titles = messages.flatMap(message => message.payload.embeds.map(embed => embed.title));
+
+  assert.equal(titles[0], '【ゴミ出し】明日の収集 (2025-04-02)');
+  // としょかんライオンの返却期限 4/2 は、設定のタイムゾーンの暦で明日
+  assert.equal(titles[1], '【図書館】明日が返却期限の本が 1冊 あります');
+});
+
+test('the weekly digest lists the coming week of collections and books due within 14 days in one post', async () => {
+  const { messages, result } = await runWithFakes({}, {}, createStateStore(), { mode: 'weekly' });
+
+  assert.equal(result.mode, 'weekly');
+  // 通知先ごとに1つの投稿で、受け取る内容だけを載せる（毎日のリマインドは送らない）
+  assert.deepEqual(messages.map(message => message.webhook), ['garbage', 'library']);
+  // プレーンテキストで送る通知先（LINE・メールなど）向けの本文
+  assert.equal(result.notifications[0].text, [
+    '【週間まとめ・ゴミ出し】4/2 (水)〜4/8 (火):',
+    '・ 4/2 (水): 燃えるゴミ',
+    '・ 4/5 (土): 燃えるゴミ',
+    '・ 4/8 (火): 燃えないゴミ',
+  ].join('\n'));
+  assert.deepEqual(messages[0].payload.embeds[0].fields[2], { name: '4/8 (火)', value: '燃えないゴミ' });
+
+  const [books] = messages[1].payload.embeds;
+  assert.equal(books.title, '【週間まとめ・図書館】14日以内に返却期限の本が 12冊 あります');
+  assert.deepEqual(books.fields[0], { name: 'はらぺこあおむし', value: '返却期限: 4/4 (金)' });
+  assert.deepEqual(books.fields.at(-1), { name: 'スイミー', value: '返却期限: 4/6 (日)' });
+});
+
+test('the weekly digest notes a library failure without retrying', async () => {
+  const { messages, retries } = await runWithFakes({ timeout: true }, {}, createStateStore(), { mode: 'weekly', only: 'library' });
+
+  assert.deepEqual(retries, []);
+  assert.deepEqual(messages.map(message => message.text), [
+    '【週間まとめ・図書館】14日以内に返却期限の本は見つかりませんでした\n貸出情報は取得できませんでした。',
+  ]);
+});
+
+test('previews the messages for a given date without sending them', async t => {
+  const stateStore = createTempStateStore(t);
+  const options = parseRunOptions({ date: '2025-04-01', dryRun: 'true', only: 'library' }, config);
+  const { messages, result } = await runWithFakes({ loanPages: { 1: 'webopac/userlist-table.html' } }, {}, stateStore, options);
+
+  assert.deepEqual(messages, []);
+  assert.equal(result.date, '2025-04-01');
+  assert.equal(result.timing, 'evening');
+  assert.equal(result.dryRun, true);
+  assert.deepEqual(result.notifications.map(notification => [notification.recipient, notification.topic]), [
+    ['図書館', 'library'],
+    ['図書館', 'library'],
+  ]);
+  assert.match(result.notifications[0].text, /明日が返却期限の本が 1冊 あります/);
+  // プレビューでは貸出一覧を保存しない
+  assert.equal(await stateStore.get('loans-default'), null);
+});
+
+test('rejects invalid run options', () => {
+  assert.deepEqual(parseRunOptions({}, config), { dryRun: false });
+  assert.deepEqual(parseRunOptions({ dryRun: 'false' }, config, { dryRun: true }), { dryRun: false });
+  assert.throws(() => parseRunOptions({ date: '2025/04/01', only: 'books', dryRun: 'yes' }, config), error => {
+    assert.match(error.message, /date は yyyy-MM-dd 形式/);
+    assert.match(error.message, /only は garbage \/ library/);
+    assert.match(error.message, /dryRun は true \/ false/);
+    return true;
+  });
+  assert.equal(parseRunOptions({ mode: 'weekly' }, config).mode, 'weekly');
+  assert.throws(() => parseRunOptions({ mode: 'monthly' }, config), /mode は daily \/ weekly/);
+  assert.deepEqual(parseRunOptions({ retryAttempt: '2', accounts: '["母"]' }, config).retry, { attempt: 2, accounts: ['母'] });
+  assert.throws(() => parseRunOptions({ retryAttempt: '1', accounts: '母' }, config), /retryAttempt は 2 以上の整数/);
+  assert.throws(() => parseRunOptions({ retryAttempt: '2', accounts: '母' }, config), /accounts はカードの表示名の配列/);
+});
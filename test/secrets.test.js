@@ -0,0 +1,97 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadConfig } = require('../lib/config');
+const { createSecretAccessor, createSecretSource, toEnvName } = require('../lib/secrets');
+const { createEnvSecretSource } = require('../lib/secrets/env');
+const { parseDotEnv } = require('../lib/secrets/file');
+
+const SCHEDULE = path.join(__dirname, '..', 'config', 'schedules', 'koshio.json');
+
+before(() => {
+  ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+});
+
+/**
+ * 一時ディレクトリを作る（テストの終わりに削除する）
+ * @param {import('node:test').TestContext} t テストのコンテキスト
+ * @returns {string} ディレクトリのパス
+ */
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reminder-secrets-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('secret names map to environment variable names with an optional prefix', async () => {
+  assert.equal(toEnvName('discord-webhook-url'), 'DISCORD_WEBHOOK_URL');
+
+  const source = createEnvSecretSource({ prefix: 'REMINDER_' }, { REMINDER_LIBRARY_ID: '12345678', LIBRARY_PASSWORD: 'pass' });
+  assert.equal(await source.get('library-id'), '12345678');
+  assert.equal(await source.get('library-password'), null);
+});
+
+test('file sources read JSON and .env files by secret name or environment variable name', async t => {
+  const dir = createTempDir(t);
+  fs.writeFileSync(path.join(dir, 'secrets.json'), JSON.stringify({ 'library-id': '12345678', LIBRARY_PASSWORD: 'pass-1234' }));
+  fs.writeFileSync(path.join(dir, '.env'), [
+    '# 図書館のカード',
+    'LIBRARY_ID=12345678',
+    'export DISCORD_WEBHOOK_URL="https://discord.com/api/webhooks/1/abc"',
+    '',
+  ].join('\n'));
+
+  const json = createSecretSource({ backend: 'file', path: path.join(dir, 'secrets.json') });
+  assert.equal(await json.get('library-id'), '12345678');
+  assert.equal(await json.get('library-password'), 'pass-1234');
+  assert.equal(await json.get('discord-webhook-url'), null);
+
+  const dotEnv = createSecretSource({ backend: 'file', path: path.join(dir, '.env') });
+  assert.equal(await dotEnv.get('library-id'), '12345678');
+  assert.equal(await dotEnv.get('discord-webhook-url'), 'https://discord.com/api/webhooks/1/abc');
+  assert.deepEqual(parseDotEnv("A='1 2'\nB = 3\nnot a line"), { A: '1 2', B: '3' });
+
+  await assert.rejects(createSecretSource({ backend: 'file', path: path.join(dir, 'missing.json') }).get('library-id'),
+    /シークレットのファイルを読み込めませんでした/);
+});
+
+test('the accessor tries each source in order and names them when nothing is found', async () => {
+  const accessSecret = createSecretAccessor([
+    createEnvSecretSource({}, { LIBRARY_ID: 'first' }),
+    createEnvSecretSource({ prefix: 'FALLBACK_' }, { FALLBACK_LIBRARY_ID: 'second', FALLBACK_LIBRARY_PASSWORD: 'pass' }),
+  ]);
+  assert.equal(await accessSecret('library-id'), 'first');
+  assert.equal(await accessSecret('library-password'), 'pass');
+  await assert.rejects(accessSecret('discord-webhook-url'), /シークレット "discord-webhook-url" が見つかりません \(env \/ env\)/);
+  assert.throws(() => createSecretSource({ backend: 'vault' }), /"vault" は存在しません/);
+});
+
+test('loadConfig defaults to Secret Manager and resolves the secrets file next to the config', t => {
+  const dir = createTempDir(t);
+  const writeConfig = secrets => {
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify({ areas: [{ id: 'koshio', name: '小塩町', schedule: SCHEDULE }], secrets }));
+    return file;
+  };
+
+  assert.deepEqual(loadConfig(writeConfig(undefined)).secrets, {
+    backend: 'secret-manager',
+    names: { reminderHttpToken: 'reminder-http-token', calendarFeedToken: 'calendar-feed-token', discordPublicKey: 'discord-public-key' },
+  });
+  assert.deepEqual(loadConfig(writeConfig({ backend: 'file', path: 'secrets.json', names: { calendarFeedToken: 'ical-token' } })).secrets, {
+    backend: 'file',
+    path: path.join(dir, 'secrets.json'),
+    names: { reminderHttpToken: 'reminder-http-token', calendarFeedToken: 'ical-token', discordPublicKey: 'discord-public-key' },
+  });
+
+  assert.throws(() => loadConfig(writeConfig({ backend: 'file', projectId: 1, names: { unknown: 'x' } })), error => {
+    assert.match(error.message, /secrets\.path: シークレットのファイルのパスを指定してください/);
+    assert.match(error.message, /secrets\.projectId: 文字列で指定してください/);
+    assert.match(error.message, /secrets\.names\.unknown: reminderHttpToken \/ calendarFeedToken/);
+    return true;
+  });
+  assert.throws(() => loadConfig(writeConfig({ backend: 'vault' })), /secrets\.backend: secret-manager \/ env \/ file/);
+});
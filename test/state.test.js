@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SENT_LOG_DAYS, createStateStore, diffLoans, loadSentLog } = require('../lib/state');
+const { parseZonedDate } = require('../lib/time');
+
+const day = text => parseZonedDate(text, 'yyyy-MM-dd', 'Asia/Tokyo');
+const loan = (title, returnDate, owner = '父') => ({ title, returnDate: day(returnDate), owner });
+
+test('diffLoans tells apart the same title on different cards and a second copy', () => {
+  const previous = [loan('ぐりとぐら', '2025-04-04'), loan('ぐりとぐら', '2025-04-04', '母')];
+  const current = [
+    loan('ぐりとぐら', '2025-04-04'),
+    // 同じ本をもう1冊借りた（別の返却期限）
+    loan('ぐりとぐら', '2025-04-15'),
+    loan('はらぺこあおむし', '2025-04-15', '母'),
+  ];
+
+  const { borrowed, returned } = diffLoans(previous, current);
+  assert.deepEqual(borrowed, [current[1], current[2]]);
+  // 父が同じ書名を借りたままでも、母の分は返却済み
+  assert.deepEqual(returned, [previous[1]]);
+});
+
+test('diffLoans does not report a renewed book as returned and borrowed again', () => {
+  const previous = [loan('ぐりとぐら', '2025-04-04'), loan('ぐりとぐら', '2025-04-10')];
+  const current = [loan('ぐりとぐら', '2025-04-10'), loan('ぐりとぐら', '2025-04-18')];
+
+  assert.deepEqual(diffLoans(previous, current), { borrowed: [], returned: [] });
+});
+
+test('the sent log keeps the records of each date for a few days in one document', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createStateStore({ backend: 'file', path: path.join(dir, 'state.json') });
+
+  const today = await loadSentLog(store, day('2025-04-02'));
+  await today.add('garbage');
+
+  // 別の日（日付を指定した実行など）の記録を書いても、今日の記録は残る
+  const other = await loadSentLog(store, day('2025-03-20'));
+  assert.equal(other.has('garbage'), false);
+  await other.add('library');
+  assert.equal((await loadSentLog(store, day('2025-04-02'))).has('garbage'), true);
+  assert.equal((await loadSentLog(store, day('2025-03-20'))).has('library'), true);
+
+  // 新しい方から SENT_LOG_DAYS 日分だけを残す
+  for (let i = 3; i < 3 + SENT_LOG_DAYS; i++) {
+    await (await loadSentLog(store, day(`2025-04-${String(i).padStart(2, '0')}`))).add('garbage');
+  }
+  const { notifications } = JSON.parse(fs.readFileSync(path.join(dir, 'state.json'), 'utf8'));
+  assert.deepEqual(Object.keys(notifications.dates), ['2025-04-03', '2025-04-04', '2025-04-05', '2025-04-06', '2025-04-07', '2025-04-08', '2025-04-09']);
+});